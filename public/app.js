@@ -8,37 +8,145 @@ let currentProject = null;
 let currentBuildId = null;
 let monacoEditor = null;
 let openFiles = new Map();
+let currentFilePath = null;
 let serialPort = null;
 let serialReader = null;
 let isBuildComplete = false;  // Rastrear se build foi concluído
 let isBuildInProgress = false;  // Rastrear se build está em andamento
+let activeJobId = null;  // Build ou comando que o botão Cancelar interrompe
+let lastJobId = null;  // Último build/comando iniciado (para baixar o log)
+let subscribedProjectId = null;  // Projeto cujos logs este cliente recebe
+let currentUser = null;  // Usuário logado (sessão via cookie HttpOnly)
 
 // ============================================
 // Initialization
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
-    initWebSocket();
     initEventListeners();
     initTabs();
     initMonaco();
-    loadProjects();
+    checkSession();
 });
 
+// ============================================
+// Authentication
+// ============================================
+
+// Sessão existente (cookie) abre o IDE direto; senão, pedir login
+async function checkSession() {
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/me`);
+        if (response.ok) {
+            const data = await response.json();
+            startSession(data.user);
+            return;
+        }
+    } catch (err) {
+        // Servidor indisponível: tratar como sem sessão
+    }
+    showLogin();
+}
+
+function startSession(user) {
+    currentUser = user;
+    document.getElementById('currentUserName').textContent =
+        user.role === 'admin' ? `${user.username} (admin)` : user.username;
+    document.getElementById('loginModal').style.display = 'none';
+    initWebSocket();
+    loadProjects();
+}
+
+function showLogin(message = '') {
+    currentUser = null;
+    document.getElementById('loginError').textContent = message;
+    document.getElementById('loginModal').style.display = 'flex';
+    document.getElementById('loginUsername').focus();
+}
+
+async function submitLogin(e) {
+    e.preventDefault();
+    const errorEl = document.getElementById('loginError');
+    errorEl.textContent = '';
+
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('loginUsername').value,
+                password: document.getElementById('loginPassword').value
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            errorEl.textContent = data.error || 'Falha no login';
+            return;
+        }
+        document.getElementById('loginPassword').value = '';
+        startSession(data.user);
+    } catch (err) {
+        errorEl.textContent = `Erro: ${err.message}`;
+    }
+}
+
+async function logout() {
+    try {
+        await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST' });
+    } finally {
+        // Recarregar descarta projeto aberto, WebSocket e estado do editor
+        window.location.reload();
+    }
+}
+
 function initWebSocket() {
     const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     ws = new WebSocket(`${wsProtocol}//${window.location.host}/ws`);
 
+    ws.onopen = () => {
+        // Nova conexão não tem assinaturas; o servidor reenvia o log dos jobs em andamento
+        subscribedProjectId = null;
+        subscribeProjectLogs();
+    };
+
     ws.onmessage = (event) => {
         const data = JSON.parse(event.data);
-        handleLogMessage(data);
+        if (data.event) {
+            handleBuildEvent(data);
+        } else {
+            handleLogMessage(data);
+        }
     };
 
     ws.onclose = () => {
-        setTimeout(initWebSocket, 3000);
+        if (currentUser) setTimeout(reconnectWebSocket, 3000);
     };
 }
 
+// A conexão pode ter caído por sessão expirada: nesse caso voltar ao login
+async function reconnectWebSocket() {
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/me`);
+        if (response.status === 401) {
+            showLogin('Sessão expirada. Entre novamente.');
+            return;
+        }
+    } catch (err) {
+        // Servidor fora do ar: tentar o WebSocket de novo mesmo assim
+    }
+    initWebSocket();
+}
+
+// Receber apenas os logs do projeto aberto
+function subscribeProjectLogs() {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (!currentProject || currentProject.id === subscribedProjectId) return;
+
+    ws.send(JSON.stringify({ action: 'unsubscribe' }));
+    ws.send(JSON.stringify({ action: 'subscribe', projectId: currentProject.id }));
+    subscribedProjectId = currentProject.id;
+}
+
 function handleLogMessage(data) {
     const terminal = document.getElementById('terminalOutput');
     const line = document.createElement('span');
@@ -55,9 +163,89 @@ function handleLogMessage(data) {
         updateStatus('Concluído', 'success');
     } else if (data.type === 'error') {
         updateStatus('Erro', 'error');
+    } else if (data.type === 'cancelled') {
+        updateStatus('Cancelado', 'ready');
+    }
+
+    if (data.buildId === activeJobId && ['success', 'error', 'cancelled'].includes(data.type)) {
+        setActiveJob(null);
+    }
+}
+
+function setActiveJob(jobId) {
+    activeJobId = jobId;
+    if (jobId) lastJobId = jobId;
+    document.getElementById('btnCancelBuild').style.display = jobId ? 'inline-flex' : 'none';
+}
+
+async function cancelActiveJob() {
+    if (!activeJobId) return;
+
+    const btn = document.getElementById('btnCancelBuild');
+    btn.disabled = true;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/build/${activeJobId}/cancel`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            appendTerminal(`❌ ${data.error}\n`, 'error');
+        }
+    } catch (err) {
+        appendTerminal(`❌ Erro ao cancelar: ${err.message}\n`, 'error');
+    } finally {
+        btn.disabled = false;
     }
 }
 
+function handleBuildEvent(data) {
+    if (data.event === 'progress' && data.buildId === currentBuildId && isBuildInProgress) {
+        renderBuildProgress(data.progress);
+    }
+    if (data.event === 'provisioning' && data.buildId === provisioningJobId) {
+        provisioningJobId = null;
+        downloadFile(data.url, data.filename);
+    }
+}
+
+const BUILD_PHASE_LABELS = {
+    configure: 'Configurando CMake',
+    compile: 'Compilando',
+    link: 'Linkando',
+    binaries: 'Gerando binários',
+    done: 'Concluído'
+};
+
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+function renderBuildProgress(progress) {
+    const container = document.getElementById('buildProgress');
+    if (!progress) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = 'flex';
+    document.getElementById('buildProgressBar').style.width = `${progress.percent}%`;
+
+    let text = BUILD_PHASE_LABELS[progress.phase] || progress.phase;
+    if (progress.targetCount > 1) {
+        text = `[${progress.targetIndex + 1}/${progress.targetCount} ${progress.target}] ${text}`;
+    }
+    if (progress.total) {
+        text += ` ${progress.current}/${progress.total} (${progress.percent}%)`;
+    }
+    if (progress.etaMs) {
+        text += ` · ~${formatDuration(progress.etaMs)}`;
+    }
+    document.getElementById('buildProgressText').textContent = text;
+    updateStatus(BUILD_PHASE_LABELS[progress.phase] || 'Compilando...', 'building');
+}
+
 function updateStatus(text, type = 'ready') {
     const indicator = document.getElementById('statusIndicator');
     indicator.querySelector('.text').textContent = text;
@@ -80,14 +268,22 @@ function initEventListeners() {
     document.getElementById('btnSetTarget').addEventListener('click', showTargetModal);
     document.getElementById('btnBuild').addEventListener('click', () => buildProject(false));
     document.getElementById('btnQuickBuild').addEventListener('click', () => buildProject(false));
+    document.getElementById('btnBuildMatrix').addEventListener('click', showMatrixModal);
     document.getElementById('btnClean').addEventListener('click', cleanProject);
     document.getElementById('btnFlash').addEventListener('click', handleFlashClick);
     document.getElementById('btnMonitor').addEventListener('click', () => switchTab('monitor'));
+    document.getElementById('btnCancelBuild').addEventListener('click', cancelActiveJob);
+    document.getElementById('btnBuildHistoryMore').addEventListener('click', () => loadBuildHistory({ append: true }));
 
     // Analysis
     document.getElementById('btnSize').addEventListener('click', () => runCommand('size'));
     document.getElementById('btnSizeComponents').addEventListener('click', () => runCommand('size-components'));
     document.getElementById('btnSizeFiles').addEventListener('click', () => runCommand('size-files'));
+    document.getElementById('btnCoredump').addEventListener('click', () => {
+        switchTab('coredump');
+        loadCoredumpBuilds();
+    });
+    document.getElementById('analyzeCoredump').addEventListener('click', analyzeCoredump);
 
     // Configuration
     document.getElementById('btnMenuconfig').addEventListener('click', () => {
@@ -98,23 +294,87 @@ function initEventListeners() {
         switchTab('partitions');
         loadPartitions();
     });
+    document.getElementById('btnNvs').addEventListener('click', () => {
+        switchTab('nvs');
+        loadNvs();
+    });
     document.getElementById('btnReconfigure').addEventListener('click', () => runCommand('reconfigure'));
 
     // Config
     document.getElementById('saveConfig').addEventListener('click', saveConfig);
+    document.getElementById('saveConfigDefaults').addEventListener('click', saveConfigDefaults);
+    document.getElementById('showConfigDiff').addEventListener('click', showConfigDiff);
+    document.getElementById('closeConfigDiff').addEventListener('click', () => {
+        document.getElementById('configDiff').style.display = 'none';
+    });
     document.getElementById('configSearch').addEventListener('input', filterConfig);
 
     // Partitions
     document.getElementById('addPartition').addEventListener('click', addPartition);
     document.getElementById('savePartitions').addEventListener('click', savePartitions);
+    document.getElementById('showPartitionsBinary').addEventListener('click', showPartitionsBinary);
+    document.getElementById('closePartitionsBinary').addEventListener('click', () => {
+        document.getElementById('partitionsBinary').style.display = 'none';
+    });
+    document.getElementById('showPresetModal').addEventListener('click', showPresetModal);
+    document.getElementById('addFsImage').addEventListener('click', addFsImage);
+
+    // NVS
+    document.getElementById('addNvsNamespace').addEventListener('click', () => addNvsEntry('namespace'));
+    document.getElementById('addNvsEntry').addEventListener('click', () => addNvsEntry('data'));
+    document.getElementById('saveNvs').addEventListener('click', saveNvs);
+    document.getElementById('downloadNvsImage').addEventListener('click', downloadNvsImage);
+    document.getElementById('showProvisionModal').addEventListener('click', showProvisionModal);
+    document.getElementById('closeProvisionModal').addEventListener('click', hideProvisionModal);
+    document.getElementById('startProvision').addEventListener('click', startProvision);
+    document.getElementById('provisionDevicesFile').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (file) document.getElementById('provisionDevices').value = await file.text();
+    });
+    document.getElementById('saveFsImages').addEventListener('click', saveFsImages);
+    document.getElementById('closePresetModal').addEventListener('click', hidePresetModal);
+    document.getElementById('applyPreset').addEventListener('click', () => applyPreset(false));
+    ['presetLayout', 'presetStorage', 'presetFlashSize', 'presetCoredump'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => applyPreset(true));
+    });
 
     // Terminal
     document.getElementById('clearTerminal').addEventListener('click', clearTerminal);
+    document.getElementById('downloadBuildLog').addEventListener('click', downloadBuildLog);
+
+    // Conta
+    document.getElementById('loginForm').addEventListener('submit', submitLogin);
+    document.getElementById('btnLogout').addEventListener('click', logout);
 
     // Monitor
     document.getElementById('connectSerial').addEventListener('click', toggleSerial);
     document.getElementById('clearMonitor').addEventListener('click', clearMonitor);
     document.getElementById('downloadLogs').addEventListener('click', downloadLogs);
+    document.getElementById('monitorBody').addEventListener('scroll', () => scheduleMonitorRender());
+    window.addEventListener('resize', () => scheduleMonitorRender());
+    document.querySelectorAll('#monitorLevels input, #monitorTagFilter, #monitorSearchRegex').forEach(input => {
+        input.addEventListener('change', updateMonitorFilter);
+    });
+    document.getElementById('monitorSearch').addEventListener('input', () => {
+        clearTimeout(monitorSearchTimer);
+        monitorSearchTimer = setTimeout(updateMonitorFilter, 200);
+    });
+    document.getElementById('showTimestamp').addEventListener('change', () => scheduleMonitorRender());
+    document.getElementById('togglePlotter').addEventListener('click', togglePlotter);
+    document.getElementById('plotterMode').addEventListener('change', updatePlotterMode);
+    document.getElementById('plotterRegex').addEventListener('change', updatePlotterMode);
+    document.getElementById('plotterPause').addEventListener('click', togglePlotterPause);
+    document.getElementById('plotterZoomIn').addEventListener('click', () => zoomPlotter(1 / PLOTTER_ZOOM_STEP));
+    document.getElementById('plotterZoomOut').addEventListener('click', () => zoomPlotter(PLOTTER_ZOOM_STEP));
+    document.getElementById('plotterClear').addEventListener('click', clearPlotter);
+    document.getElementById('plotterExport').addEventListener('click', exportPlotterCsv);
+    initPlotterCanvas();
+    document.getElementById('monitorView').addEventListener('change', updateMonitorView);
+    document.getElementById('editMacros').addEventListener('click', showMacroModal);
+    document.getElementById('addMacro').addEventListener('click', addMacro);
+    document.getElementById('closeMacroModal').addEventListener('click', hideMacroModal);
+    document.getElementById('saveMacros').addEventListener('click', saveMacros);
+    appendMonitor('Clique em "Conectar" para iniciar o monitor serial...\n');
     document.getElementById('sendSerial').addEventListener('click', sendSerialData);
     document.getElementById('serialInput').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') sendSerialData();
@@ -122,6 +382,15 @@ function initEventListeners() {
 
     // Flash
     document.getElementById('testManifest').addEventListener('click', testManifestUrl);
+    document.getElementById('useMergedImage').addEventListener('change', applyFlashManifest);
+    document.querySelectorAll('esp-web-install-button').forEach(btn => {
+        btn.addEventListener('click', releaseSerialForFlash);
+    });
+    watchInstallDialogs();
+
+    // Matrix Modal
+    document.getElementById('closeMatrixModal').addEventListener('click', hideMatrixModal);
+    document.getElementById('startMatrixBuild').addEventListener('click', startMatrixBuild);
 
     // Target Modal
     document.getElementById('closeTargetModal').addEventListener('click', hideTargetModal);
@@ -153,10 +422,12 @@ async function testManifestUrl() {
             const manifest = await response.json();
             appendTerminal(`✅ Manifest válido!\n`, 'success');
             appendTerminal(`   Nome: ${manifest.name}\n`, 'info');
-            appendTerminal(`   Chip: ${manifest.builds[0].chipFamily}\n`, 'info');
-            appendTerminal(`   Partes: ${manifest.builds[0].parts.length}\n`, 'info');
-            manifest.builds[0].parts.forEach(p => {
-                appendTerminal(`     - ${p.path} @ 0x${p.offset.toString(16)}\n`, 'stdout');
+            manifest.builds.forEach(build => {
+                appendTerminal(`   Chip: ${build.chipFamily}\n`, 'info');
+                appendTerminal(`   Partes: ${build.parts.length}\n`, 'info');
+                build.parts.forEach(p => {
+                    appendTerminal(`     - ${p.path} @ 0x${p.offset.toString(16)}\n`, 'stdout');
+                });
             });
         } else {
             appendTerminal(`❌ Erro ao acessar manifest: ${response.status} ${response.statusText}\n`, 'error');
@@ -182,6 +453,7 @@ function initTabs() {
     document.querySelectorAll('.tab').forEach(tab => {
         tab.addEventListener('click', () => {
             switchTab(tab.dataset.tab);
+            if (tab.dataset.tab === 'coredump') loadCoredumpBuilds();
         });
     });
 }
@@ -192,6 +464,12 @@ function switchTab(tabId) {
 
     document.querySelector(`.tab[data-tab="${tabId}"]`).classList.add('active');
     document.getElementById(`tab-${tabId}`).classList.add('active');
+    // A aba oculta não tem altura: as linhas visíveis são calculadas ao abrir
+    if (tabId === 'monitor') {
+        scheduleMonitorRender();
+        schedulePlotterDraw();
+    }
+    if (tabId === 'flash') loadBuildHistory();
 }
 
 // ============================================
@@ -220,9 +498,11 @@ async function handleFileUpload(e) {
         if (data.success) {
             currentProject = data.project;
             appendTerminal(`✅ Projeto carregado: ${data.project.name}\n`, 'success');
+            subscribeProjectLogs();
             updateProjectUI();
             enableButtons();
             loadFileTree();
+            loadSerialMacros();
         } else {
             appendTerminal(`❌ Erro: ${data.error}\n`, 'error');
         }
@@ -245,9 +525,9 @@ function updateProjectUI() {
 
 function enableButtons() {
     const buttons = [
-        'btnSetTarget', 'btnBuild', 'btnQuickBuild', 'btnClean', 'btnFlash', 'btnMonitor',
-        'btnSize', 'btnSizeComponents', 'btnSizeFiles',
-        'btnMenuconfig', 'btnPartitions', 'btnReconfigure'
+        'btnSetTarget', 'btnBuild', 'btnBuildMatrix', 'btnQuickBuild', 'btnClean', 'btnFlash', 'btnMonitor',
+        'btnSize', 'btnSizeComponents', 'btnSizeFiles', 'btnCoredump',
+        'btnMenuconfig', 'btnPartitions', 'btnNvs', 'btnReconfigure'
     ];
 
     buttons.forEach(id => {
@@ -259,7 +539,8 @@ function enableButtons() {
 // Build & Commands
 // ============================================
 
-async function buildProject(autoFlashAfter = false) {
+// targets: lista de chips para um build multi-target (null = target selecionado)
+async function buildProject(autoFlashAfter = false, targets = null) {
     if (!currentProject) {
         appendTerminal('❌ Nenhum projeto carregado!\n', 'error');
         return false;
@@ -276,17 +557,26 @@ async function buildProject(autoFlashAfter = false) {
     updateStatus('Compilando...', 'building');
     clearTerminal();
     switchTab('terminal');
-    appendTerminal(`🔧 Iniciando build para ${target}...\n\n`, 'info');
+    appendTerminal(`🔧 Iniciando build para ${targets ? targets.join(', ') : target}...\n\n`, 'info');
 
     try {
         const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/build`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ target })
+            body: JSON.stringify(targets ? { targets } : { target })
         });
 
         const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
         currentBuildId = data.buildId;
+        setActiveJob(data.buildId);
+
+        if (data.status === 'queued') {
+            updateStatus(`Na fila (#${data.queuePosition})`, 'building');
+            appendTerminal(`⏳ Build na fila (posição ${data.queuePosition})...\n`, 'info');
+        }
 
         // Poll for completion
         return new Promise((resolve) => {
@@ -297,6 +587,7 @@ async function buildProject(autoFlashAfter = false) {
         appendTerminal(`❌ Erro: ${err.message}\n`, 'error');
         updateStatus('Erro', 'error');
         isBuildInProgress = false;
+        setActiveJob(null);
         return false;
     }
 }
@@ -307,12 +598,26 @@ async function pollBuildStatus(buildId, autoFlashAfter = false, resolve = null)
             const response = await fetch(`${API_BASE}/api/build/${buildId}`);
             const build = await response.json();
 
-            if (build.status === 'success') {
+            if (['success', 'failed', 'cancelled'].includes(build.status)) {
+                if (activeJobId === buildId) setActiveJob(null);
+                renderBuildProgress(null);
+            }
+
+            if (build.status === 'queued') {
+                updateStatus(`Na fila (#${build.queuePosition})`, 'building');
+            } else if (build.status === 'building') {
+                if (build.progress) {
+                    renderBuildProgress(build.progress);
+                } else {
+                    updateStatus('Compilando...', 'building');
+                }
+            } else if (build.status === 'success') {
                 clearInterval(interval);
                 isBuildComplete = true;
                 isBuildInProgress = false;
                 updateStatus('Build OK', 'success');
                 updateFlashUI(build);
+                updateDiagnostics(build.diagnostics);
 
                 if (autoFlashAfter) {
                     appendTerminal('\n✅ Build concluído! Abrindo Flash...\n', 'success');
@@ -325,6 +630,16 @@ async function pollBuildStatus(buildId, autoFlashAfter = false, resolve = null)
                 isBuildInProgress = false;
                 isBuildComplete = false;
                 updateStatus('Build Falhou', 'error');
+                updateDiagnostics(build.diagnostics);
+                if (build.diagnosticsSummary?.errors) {
+                    appendTerminal(`\n⚠️ ${build.diagnosticsSummary.errors} erro(s) — veja a aba Problemas\n`, 'error');
+                }
+                if (resolve) resolve(false);
+            } else if (build.status === 'cancelled') {
+                clearInterval(interval);
+                isBuildInProgress = false;
+                isBuildComplete = false;
+                updateStatus('Cancelado', 'ready');
                 if (resolve) resolve(false);
             }
         } catch (err) {
@@ -369,7 +684,8 @@ async function cleanProject() {
         const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/fullclean`, {
             method: 'POST'
         });
-        await response.json();
+        const data = await response.json();
+        setActiveJob(data.buildId);
     } catch (err) {
         appendTerminal(`❌ Erro: ${err.message}\n`, 'error');
     }
@@ -385,12 +701,35 @@ async function runCommand(command) {
         const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/${command}`, {
             method: 'POST'
         });
-        await response.json();
+        const data = await response.json();
+        setActiveJob(data.buildId);
     } catch (err) {
         appendTerminal(`❌ Erro: ${err.message}\n`, 'error');
     }
 }
 
+// ============================================
+// Multi-target Build
+// ============================================
+
+function showMatrixModal() {
+    document.getElementById('matrixModal').style.display = 'flex';
+}
+
+function hideMatrixModal() {
+    document.getElementById('matrixModal').style.display = 'none';
+}
+
+function startMatrixBuild() {
+    const targets = Array.from(document.querySelectorAll('#matrixTargets input:checked')).map(i => i.value);
+    if (targets.length === 0) {
+        appendTerminal('❌ Selecione pelo menos um target.\n', 'error');
+        return;
+    }
+    hideMatrixModal();
+    buildProject(false, targets);
+}
+
 // ============================================
 // Target Selection
 // ============================================
@@ -432,6 +771,46 @@ async function selectTarget(target) {
 
 let lastBuildManifest = null;
 let lastBuildId = null;
+let lastBuildHasMergedManifest = false;
+
+// Build gravado pelo flasher em cada projeto (projectId → buildId), para
+// decodificar crashes com o ELF certo mesmo depois de novos builds
+const FLASHED_BUILDS_KEY = 'flashedBuilds';
+
+function readFlashedBuilds() {
+    try {
+        return JSON.parse(localStorage.getItem(FLASHED_BUILDS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function setFlashedBuild(projectId, buildId) {
+    const flashed = readFlashedBuilds();
+    if (buildId) flashed[projectId] = buildId;
+    else delete flashed[projectId];
+    try {
+        localStorage.setItem(FLASHED_BUILDS_KEY, JSON.stringify(flashed));
+    } catch (e) { }
+}
+
+// Apontar os botões de flash para o manifest normal ou o da imagem única
+function applyFlashManifest() {
+    if (!lastBuildId) return null;
+
+    const useMerged = lastBuildHasMergedManifest && document.getElementById('useMergedImage').checked;
+    // Usar nova rota de API em vez do arquivo estático
+    const manifestApiUrl = `${window.location.origin}/api/manifest/${lastBuildId}${useMerged ? '?variant=merged' : ''}`;
+    lastBuildManifest = manifestApiUrl;
+
+    console.log('Manifest API URL:', manifestApiUrl);
+
+    document.querySelectorAll('esp-web-install-button').forEach(btn => {
+        btn.setAttribute('manifest', manifestApiUrl);
+    });
+
+    return manifestApiUrl;
+}
 
 function updateFlashUI(build) {
     if (!build.binaries) return;
@@ -443,38 +822,38 @@ function updateFlashUI(build) {
     const grid = document.getElementById('binariesGrid');
     grid.innerHTML = '';
 
+    const offsets = {};
+    (build.flashLayout || []).forEach(part => {
+        offsets[part.name] = part.offset;
+    });
+    Object.values(build.mergedImages || {}).forEach(name => {
+        offsets[name] = '0x0 (imagem única)';
+    });
+
     Object.entries(build.binaries).forEach(([name, url]) => {
         const item = document.createElement('div');
         item.className = 'binary-item';
         item.innerHTML = `
             <span class="binary-name">${name}</span>
+            ${offsets[name] ? `<span class="binary-offset">@ ${offsets[name]}</span>` : ''}
             <a href="${url}" download class="btn btn-outline btn-sm">⬇️ Download</a>
         `;
         grid.appendChild(item);
     });
 
+    renderBuildArtifacts(build);
+    loadBuildHistory();
+
+    // Manifest alternativo com a imagem única
+    lastBuildHasMergedManifest = Boolean(build.mergedManifestUrl);
+    document.getElementById('useMergedImageOption').style.display = lastBuildHasMergedManifest ? 'flex' : 'none';
+
     // Usar rota de API para manifest (mais confiável)
     if (build.manifestUrl && lastBuildId) {
-        // Usar nova rota de API em vez do arquivo estático
-        const manifestApiUrl = `${window.location.origin}/api/manifest/${lastBuildId}`;
-        lastBuildManifest = manifestApiUrl;
-
-        console.log('Manifest API URL:', manifestApiUrl);
+        const manifestApiUrl = applyFlashManifest();
 
-        const flashButtons = document.querySelectorAll('esp-web-install-button');
-        flashButtons.forEach(btn => {
-            btn.setAttribute('manifest', manifestApiUrl);
+        document.querySelectorAll('esp-web-install-button').forEach(btn => {
             btn.style.display = 'inline-block';
-
-            // Adicionar listener para desconectar serial antes de flashar
-            btn.addEventListener('click', async (e) => {
-                if (serialPort) {
-                    appendTerminal('⚠️ Desconectando monitor serial para flash...\n', 'info');
-                    await disconnectSerial();
-                    // Pequeno delay para garantir que a porta foi liberada
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                }
-            }, { once: false });
         });
 
         appendTerminal(`📦 Flash pronto!\n`, 'success');
@@ -482,6 +861,151 @@ function updateFlashUI(build) {
     }
 }
 
+// Desconectar o monitor serial antes de o instalador abrir a porta
+async function releaseSerialForFlash() {
+    if (!serialPort) return;
+    appendTerminal('⚠️ Desconectando monitor serial para flash...\n', 'info');
+    await disconnectSerial();
+    // Pequeno delay para garantir que a porta foi liberada
+    await new Promise(resolve => setTimeout(resolve, 500));
+}
+
+// O ESP Web Tools não emite evento de fim de gravação: o diálogo de
+// instalação é acompanhado enquanto está aberto, e o build só fica lembrado
+// como gravado quando o estado da instalação chega a "finished"
+const INSTALL_DIALOG_POLL_MS = 250;
+
+function watchInstallDialogs() {
+    new MutationObserver(mutations => {
+        mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+            if (node.localName === 'ewt-install-dialog') watchInstallDialog(node);
+        }));
+    }).observe(document.body, { childList: true });
+}
+
+function watchInstallDialog(dialog) {
+    const projectId = currentProject?.id;
+    const manifestPath = dialog.manifestPath || lastBuildManifest;
+    const buildId = manifestPath && new URL(manifestPath, window.location.href).pathname.match(/\/api\/manifest\/([^/]+)$/)?.[1];
+    if (!projectId || !buildId) return;
+
+    let lastState = null;
+    const timer = setInterval(() => {
+        if (!dialog.isConnected) {
+            clearInterval(timer);
+            return;
+        }
+        const state = dialog._installState?.state || null;
+        if (state === 'finished' && lastState !== 'finished') {
+            setFlashedBuild(projectId, buildId);
+            appendTerminal(`✅ Firmware do build ${buildId} gravado\n`, 'success');
+        }
+        lastState = state;
+    }, INSTALL_DIALOG_POLL_MS);
+    dialog.addEventListener('closed', () => clearInterval(timer), { once: true });
+}
+
+const ARTIFACT_LABELS = {
+    elf: 'ELF da aplicação',
+    map: 'Map do linker',
+    bootloaderElf: 'ELF do bootloader',
+    projectDescription: 'project_description.json',
+    compileCommands: 'compile_commands.json',
+    sdkconfig: 'sdkconfig'
+};
+
+// ELF, map e metadados guardados com o build (um grupo por target no matrix)
+function renderBuildArtifacts(build) {
+    const section = document.getElementById('artifactsSection');
+    const grid = document.getElementById('artifactsGrid');
+    grid.innerHTML = '';
+    document.getElementById('artifactsBuildLabel').textContent = buildLabel(build);
+
+    const targets = Object.entries(build.artifacts || {});
+    section.style.display = targets.length ? 'block' : 'none';
+
+    targets.forEach(([target, artifacts]) => {
+        Object.keys(ARTIFACT_LABELS)
+            .filter(kind => artifacts[kind])
+            .forEach(kind => {
+                const item = document.createElement('div');
+                item.className = 'binary-item';
+                item.innerHTML = `
+                    <span class="binary-name"></span>
+                    <span class="binary-offset"></span>
+                    <a download class="btn btn-outline btn-sm">⬇️ Download</a>
+                `;
+                item.querySelector('.binary-name').textContent = artifacts[kind].split('/').pop();
+                item.querySelector('.binary-offset').textContent =
+                    targets.length > 1 ? `${ARTIFACT_LABELS[kind]} · ${target}` : ARTIFACT_LABELS[kind];
+                item.querySelector('a').href = `/builds/${build.id}/${artifacts[kind]}`;
+                grid.appendChild(item);
+            });
+    });
+}
+
+function buildLabel(build) {
+    const time = build.endTime || build.startTime || build.queuedAt;
+    return `${new Date(time).toLocaleString()} (${(build.targets || [build.target]).join(', ')})`;
+}
+
+// Histórico de builds do projeto, paginado pelo servidor; qualquer build
+// pode ter os artefatos abertos na seção de depuração
+const BUILD_HISTORY_PAGE_SIZE = 20;
+const BUILD_STATUS_LABELS = {
+    queued: 'na fila',
+    building: 'compilando',
+    success: 'ok',
+    failed: 'falhou',
+    cancelled: 'cancelado'
+};
+let buildHistoryOffset = 0;
+
+async function loadBuildHistory({ append = false } = {}) {
+    if (!currentProject) return;
+
+    const list = document.getElementById('buildHistoryList');
+    const more = document.getElementById('btnBuildHistoryMore');
+    if (!append) buildHistoryOffset = 0;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/builds?projectId=${currentProject.id}&limit=${BUILD_HISTORY_PAGE_SIZE}&offset=${buildHistoryOffset}`);
+        const buildList = await response.json();
+        const total = parseInt(response.headers.get('X-Total-Count')) || 0;
+
+        if (!append) list.innerHTML = '';
+        buildList.forEach(build => list.appendChild(renderBuildHistoryItem(build)));
+        buildHistoryOffset += buildList.length;
+
+        if (!list.children.length) {
+            list.innerHTML = '<p class="placeholder">Nenhum build deste projeto</p>';
+        }
+        more.style.display = buildHistoryOffset < total ? 'inline-block' : 'none';
+    } catch (err) {
+        appendTerminal(`❌ Erro ao carregar histórico de builds: ${err.message}\n`, 'error');
+    }
+}
+
+function renderBuildHistoryItem(build) {
+    const item = document.createElement('div');
+    item.className = 'binary-item';
+    item.innerHTML = `
+        <span class="binary-name"></span>
+        <span class="binary-offset"></span>
+        <button type="button" class="btn btn-outline btn-sm">🐞 Artefatos</button>
+    `;
+    item.querySelector('.binary-name').textContent = buildLabel(build);
+    item.querySelector('.binary-offset').textContent = BUILD_STATUS_LABELS[build.status] || build.status;
+
+    const button = item.querySelector('button');
+    button.disabled = !build.artifacts;
+    button.addEventListener('click', () => {
+        renderBuildArtifacts(build);
+        document.getElementById('artifactsSection').scrollIntoView({ behavior: 'smooth' });
+    });
+    return item;
+}
+
 // ============================================
 // File Tree
 // ============================================
@@ -499,7 +1023,7 @@ async function loadFileTree(subPath = '') {
         const container = subPath === '' ? tree : document.querySelector(`[data-path="${subPath}"]`);
 
         data.items
-            .filter(item => !item.name.startsWith('.') && item.name !== 'build')
+            .filter(item => !item.name.startsWith('.') && item.name !== 'build' && !/^build_esp32/.test(item.name))
             .sort((a, b) => {
                 if (a.isDirectory !== b.isDirectory) return b.isDirectory - a.isDirectory;
                 return a.name.localeCompare(b.name);
@@ -560,7 +1084,8 @@ function initMonaco() {
     });
 }
 
-async function openFile(filePath) {
+// position: { line, column } opcional para posicionar o cursor
+async function openFile(filePath, position = null) {
     if (!currentProject) return;
 
     try {
@@ -586,6 +1111,15 @@ async function openFile(filePath) {
 
         // Store open file
         openFiles.set(filePath, data.content);
+        currentFilePath = filePath;
+        applyEditorMarkers();
+
+        if (monacoEditor && position) {
+            const lineNumber = Math.min(position.line, monacoEditor.getModel().getLineCount());
+            monacoEditor.setPosition({ lineNumber, column: position.column || 1 });
+            monacoEditor.revealLineInCenter(lineNumber);
+            setTimeout(() => monacoEditor.focus(), 0);
+        }
 
         // Update tabs
         updateEditorTabs(filePath);
@@ -651,430 +1185,2976 @@ async function saveCurrentFile() {
 }
 
 // ============================================
-// Config (sdkconfig)
+// Problems (diagnósticos do build)
 // ============================================
 
-let configData = {};
-
-async function loadConfig() {
-    if (!currentProject) return;
+let buildDiagnostics = [];
 
-    try {
-        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/sdkconfig`);
-        const data = await response.json();
-        configData = data.configs;
-        renderConfig(configData);
-    } catch (err) {
-        appendTerminal(`❌ Erro ao carregar config: ${err.message}\n`, 'error');
-    }
+function updateDiagnostics(diagnostics) {
+    buildDiagnostics = diagnostics || [];
+    renderProblems();
+    applyEditorMarkers();
 }
 
-function renderConfig(configs) {
-    const list = document.getElementById('configList');
+function renderProblems() {
+    const list = document.getElementById('problemsList');
+    const badge = document.getElementById('problemsBadge');
+    const errors = buildDiagnostics.filter(d => d.severity === 'error').length;
+    const warnings = buildDiagnostics.filter(d => d.severity === 'warning').length;
+
+    document.getElementById('problemsSummary').textContent =
+        buildDiagnostics.length ? `${errors} erro(s), ${warnings} warning(s)` : '';
+
+    badge.style.display = errors + warnings > 0 ? 'inline-block' : 'none';
+    badge.textContent = errors || warnings;
+    badge.classList.toggle('warning', errors === 0);
+
     list.innerHTML = '';
+    if (buildDiagnostics.length === 0) {
+        list.innerHTML = '<p class="placeholder">Nenhum problema no último build</p>';
+        return;
+    }
 
-    Object.entries(configs).forEach(([key, value]) => {
-        const item = document.createElement('div');
-        item.className = 'config-item';
-        item.dataset.key = key;
-
-        let input;
-        if (typeof value === 'boolean') {
-            input = `<input type="checkbox" ${value ? 'checked' : ''}>`;
-        } else if (typeof value === 'number') {
-            input = `<input type="number" value="${value}">`;
-        } else {
-            input = `<input type="text" value="${value || ''}">`;
-        }
+    const icons = { error: '❌', warning: '⚠️', note: 'ℹ️' };
 
-        item.innerHTML = `
-            <span class="config-key">${key}</span>
-            <div class="config-value">${input}</div>
-        `;
+    buildDiagnostics.forEach(d => {
+        const item = document.createElement('div');
+        item.className = `problem-item ${d.inProject ? 'clickable' : ''}`;
 
-        list.appendChild(item);
-    });
-}
+        const severity = document.createElement('span');
+        severity.className = `problem-severity ${d.severity}`;
+        severity.textContent = icons[d.severity] || icons.note;
 
-function filterConfig(e) {
-    const search = e.target.value.toLowerCase();
-    document.querySelectorAll('.config-item').forEach(item => {
-        const key = item.dataset.key.toLowerCase();
-        item.style.display = key.includes(search) ? 'flex' : 'none';
-    });
-}
+        const message = document.createElement('span');
+        message.className = 'problem-message';
+        message.textContent = d.message;
 
-async function saveConfig() {
-    if (!currentProject) return;
+        const location = document.createElement('span');
+        location.className = 'problem-location';
+        location.textContent = d.file ? `${d.file}${d.line ? `:${d.line}:${d.column}` : ''}` : d.source;
 
-    const configs = {};
-    document.querySelectorAll('.config-item').forEach(item => {
-        const key = item.dataset.key;
-        const input = item.querySelector('input');
+        item.append(severity, message, location);
 
-        if (input.type === 'checkbox') {
-            configs[key] = input.checked;
-        } else if (input.type === 'number') {
-            configs[key] = parseInt(input.value);
-        } else {
-            configs[key] = input.value;
+        if (d.inProject) {
+            item.addEventListener('click', () => openFile(d.file, { line: d.line, column: d.column }));
         }
+
+        list.appendChild(item);
     });
+}
 
-    try {
-        await fetch(`${API_BASE}/api/project/${currentProject.id}/sdkconfig`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ configs })
-        });
+// Marcadores do Monaco para o arquivo aberto
+function applyEditorMarkers() {
+    if (!monacoEditor) return;
 
-        appendTerminal('💾 Configuração salva!\n', 'success');
-    } catch (err) {
-        appendTerminal(`❌ Erro ao salvar: ${err.message}\n`, 'error');
-    }
+    const model = monacoEditor.getModel();
+    const severities = {
+        error: monaco.MarkerSeverity.Error,
+        warning: monaco.MarkerSeverity.Warning,
+        note: monaco.MarkerSeverity.Info
+    };
+
+    const markers = buildDiagnostics
+        .filter(d => d.inProject && d.file === currentFilePath && d.line)
+        .filter(d => d.line <= model.getLineCount())
+        .map(d => ({
+            startLineNumber: d.line,
+            startColumn: d.column || 1,
+            endLineNumber: d.line,
+            endColumn: model.getLineMaxColumn(d.line),
+            severity: severities[d.severity] || severities.note,
+            message: d.message,
+            source: d.source
+        }));
+
+    monaco.editor.setModelMarkers(model, 'build', markers);
 }
 
 // ============================================
-// Partitions
+// Config (sdkconfig) — menuconfig a partir do Kconfig
 // ============================================
 
-let partitionsData = [];
+let kconfigMenus = [];
+let kconfigValues = {};  // Valores atuais, por nome sem CONFIG_ (hex como "0x..")
+let kconfigOriginal = {};  // Valores ao carregar, para enviar só o que mudou
+let kconfigSymbolNodes = new Map();  // Nome → nós do símbolo (pode aparecer em mais de um menu)
+let kconfigFields = [];  // { node, element, inputs } de cada opção renderizada
+let kconfigErrors = new Map();
+let kconfigVisibleCache = new Map();
 
-async function loadPartitions() {
+async function loadConfig() {
     if (!currentProject) return;
 
+    const list = document.getElementById('configList');
+    list.innerHTML = '<p class="placeholder">Gerando menu do Kconfig...</p>';
+
     try {
-        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/partitions`);
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/kconfig`);
         const data = await response.json();
-        partitionsData = data.partitions;
-        renderPartitions(partitionsData);
+        if (!response.ok) {
+            renderConfigUnavailable(data);
+            return;
+        }
+
+        kconfigMenus = data.menus;
+        kconfigValues = {};
+        kconfigSymbolNodes = new Map();
+        indexKconfigNodes(kconfigMenus, null);
+        for (const [name, value] of Object.entries(data.values)) {
+            const node = kconfigSymbolNodes.get(name)?.[0];
+            kconfigValues[name] = node?.type === 'hex' && typeof value === 'number'
+                ? `0x${value.toString(16)}`
+                : value;
+        }
+        kconfigOriginal = { ...kconfigValues };
+        kconfigErrors = new Map();
+        renderConfig();
+        loadConfigDiffBuilds();
     } catch (err) {
-        appendTerminal(`❌ Erro ao carregar partições: ${err.message}\n`, 'error');
+        appendTerminal(`❌ Erro ao carregar config: ${err.message}\n`, 'error');
     }
 }
 
-function renderPartitions(partitions) {
-    // Visual representation
-    const visual = document.getElementById('partitionsVisual');
-    visual.innerHTML = '';
+function renderConfigUnavailable(data) {
+    const list = document.getElementById('configList');
+    list.innerHTML = '';
 
-    const totalSize = partitions.reduce((sum, p) => sum + parseSize(p.size), 0);
+    const message = document.createElement('p');
+    message.className = 'placeholder';
+    message.textContent = data.error || 'Menu do Kconfig indisponível';
+    list.appendChild(message);
+
+    if (data.needsReconfigure) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-outline';
+        button.textContent = '🔄 Reconfigure';
+        button.addEventListener('click', () => runCommand('reconfigure'));
+        list.appendChild(button);
+    }
+}
 
-    partitions.forEach(p => {
-        const block = document.createElement('div');
-        const size = parseSize(p.size);
-        const percent = (size / totalSize) * 100;
+// Guardar o pai de cada nó (para dependências herdadas) e os nós de cada símbolo
+function indexKconfigNodes(nodes, parent) {
+    (nodes || []).forEach(node => {
+        node.parent = parent;
+        if (node.name && node.type !== 'choice') {
+            if (!kconfigSymbolNodes.has(node.name)) kconfigSymbolNodes.set(node.name, []);
+            kconfigSymbolNodes.get(node.name).push(node);
+        }
+        indexKconfigNodes(node.children, node);
+    });
+}
 
-        block.className = `partition-block type-${p.subtype || p.type}`;
-        block.style.width = `${Math.max(percent, 5)}%`;
-        block.title = `${p.name}: ${p.size}`;
-        block.textContent = p.name;
+// Avaliação das expressões "depends on": &&, ||, !, =, !=, <, <=, >, >= e parênteses
+function tokenizeKconfigExpr(expr) {
+    const tokens = [];
+    const pattern = /\s*(&&|\|\||!=|<=|>=|[()!=<>]|"(?:[^"\\]|\\.)*"|[A-Za-z0-9_]+)/y;
+    let match;
+    while ((match = pattern.exec(expr))) tokens.push(match[1]);
+    return tokens;
+}
 
-        visual.appendChild(block);
-    });
+// bool, tristate ou "menuconfig FOO" (um menu que também é um bool)
+function isKconfigBool(node) {
+    return node.type === 'bool' || node.type === 'tristate' || (node.type === 'menu' && node.is_menuconfig);
+}
 
-    // Table
-    const tbody = document.getElementById('partitionsBody');
-    tbody.innerHTML = '';
+function kconfigSymbolValue(token) {
+    if (token.startsWith('"')) return token.slice(1, -1).replace(/\\(.)/g, '$1');
 
-    partitions.forEach((p, index) => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td><input type="text" value="${p.name}" data-field="name"></td>
-            <td>
-                <select data-field="type">
-                    <option value="app" ${p.type === 'app' ? 'selected' : ''}>app</option>
-                    <option value="data" ${p.type === 'data' ? 'selected' : ''}>data</option>
-                </select>
-            </td>
-            <td>
-                <select data-field="subtype">
-                    <option value="factory" ${p.subtype === 'factory' ? 'selected' : ''}>factory</option>
-                    <option value="ota_0" ${p.subtype === 'ota_0' ? 'selected' : ''}>ota_0</option>
-                    <option value="ota_1" ${p.subtype === 'ota_1' ? 'selected' : ''}>ota_1</option>
-                    <option value="nvs" ${p.subtype === 'nvs' ? 'selected' : ''}>nvs</option>
-                    <option value="phy" ${p.subtype === 'phy' ? 'selected' : ''}>phy</option>
-                    <option value="spiffs" ${p.subtype === 'spiffs' ? 'selected' : ''}>spiffs</option>
-                    <option value="fat" ${p.subtype === 'fat' ? 'selected' : ''}>fat</option>
-                </select>
-            </td>
-            <td><input type="text" value="${p.offset}" data-field="offset"></td>
-            <td><input type="text" value="${p.size}" data-field="size"></td>
+    const nodes = kconfigSymbolNodes.get(token);
+    if (!nodes) {
+        // Constantes (y, n, números) ou símbolo inexistente neste target
+        return /^(y|n|-?\d+|0x[0-9a-fA-F]+)$/.test(token) ? token : 'n';
+    }
+
+    const value = kconfigValues[token];
+    if (isKconfigBool(nodes[0])) {
+        return value === true && isKconfigSymbolActive(token) ? 'y' : 'n';
+    }
+    return value === undefined || value === null ? '' : String(value);
+}
+
+function compareKconfigValues(a, op, b) {
+    const numeric = v => /^-?\d+$/.test(v) ? parseInt(v, 10) : /^0x[0-9a-f]+$/i.test(v) ? parseInt(v, 16) : NaN;
+    let left = numeric(a);
+    let right = numeric(b);
+    if (isNaN(left) || isNaN(right)) {
+        left = a;
+        right = b;
+    }
+    switch (op) {
+        case '=': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+    }
+    return false;
+}
+
+function evalKconfigExpr(expr) {
+    if (!expr) return true;
+    const tokens = tokenizeKconfigExpr(expr);
+    let pos = 0;
+
+    function factor() {
+        const token = tokens[pos++];
+        if (token === undefined) return true;
+        if (token === '(') {
+            const value = orExpr();
+            pos++;  // ')'
+            return value;
+        }
+        if (token === '!') return !factor();
+        if (['=', '!=', '<', '<=', '>', '>='].includes(tokens[pos])) {
+            const op = tokens[pos++];
+            return compareKconfigValues(kconfigSymbolValue(token), op, kconfigSymbolValue(tokens[pos++] || ''));
+        }
+        return kconfigSymbolValue(token) === 'y';
+    }
+
+    function andExpr() {
+        let value = factor();
+        while (tokens[pos] === '&&') {
+            pos++;
+            const right = factor();
+            value = value && right;
+        }
+        return value;
+    }
+
+    function orExpr() {
+        let value = andExpr();
+        while (tokens[pos] === '||') {
+            pos++;
+            const right = andExpr();
+            value = value || right;
+        }
+        return value;
+    }
+
+    return orExpr();
+}
+
+// Visível = depends on do próprio nó e de todos os menus acima
+function isKconfigNodeVisible(node) {
+    if (!node) return true;
+    if (kconfigVisibleCache.has(node)) return kconfigVisibleCache.get(node);
+    kconfigVisibleCache.set(node, true);  // Proteção contra dependência circular
+    const visible = evalKconfigExpr(node.depends_on) && isKconfigNodeVisible(node.parent);
+    kconfigVisibleCache.set(node, visible);
+    return visible;
+}
+
+function isKconfigSymbolActive(name) {
+    return (kconfigSymbolNodes.get(name) || []).some(isKconfigNodeVisible);
+}
+
+function renderConfig() {
+    const list = document.getElementById('configList');
+    list.innerHTML = '';
+    kconfigFields = [];
+
+    kconfigMenus.forEach(node => renderKconfigNode(node, list));
+    if (kconfigFields.length === 0) {
+        list.innerHTML = '<p class="placeholder">Nenhuma opção configurável</p>';
+    }
+    refreshKconfigState();
+    document.getElementById('configSearch').value = '';
+}
+
+function kconfigLabel(node, withKey = true) {
+    const label = document.createElement('div');
+    label.className = 'kconfig-label';
+
+    const title = document.createElement('span');
+    title.className = 'kconfig-title';
+    title.textContent = node.title || node.name;
+    label.appendChild(title);
+
+    if (withKey && node.name) {
+        const key = document.createElement('span');
+        key.className = 'config-key';
+        key.textContent = `CONFIG_${node.name}`;
+        label.appendChild(key);
+    }
+    return label;
+}
+
+function kconfigHelp(node, item) {
+    if (!node.help) return;
+    const help = document.createElement('div');
+    help.className = 'kconfig-help';
+    help.textContent = node.help;
+    help.hidden = true;
+
+    const toggle = document.createElement('button');
+    toggle.className = 'btn-icon kconfig-help-toggle';
+    toggle.type = 'button';
+    toggle.textContent = '?';
+    toggle.title = 'Ajuda';
+    toggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        help.hidden = !help.hidden;
+    });
+
+    item.querySelector('.kconfig-label').appendChild(toggle);
+    item.appendChild(help);
+}
+
+function renderKconfigNode(node, container) {
+    if (node.type === 'menu') {
+        const details = document.createElement('details');
+        details.className = 'kconfig-menu';
+
+        const summary = document.createElement('summary');
+        summary.appendChild(kconfigLabel(node, false));
+        details.appendChild(summary);
+
+        const inputs = [];
+        // "menuconfig FOO": o próprio menu é um bool
+        if (node.is_menuconfig && node.name) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = kconfigValues[node.name] === true;
+            checkbox.addEventListener('click', e => e.stopPropagation());
+            checkbox.addEventListener('change', () => setKconfigValue(node, checkbox.checked));
+            summary.prepend(checkbox);
+            inputs.push(checkbox);
+        }
+
+        const body = document.createElement('div');
+        body.className = 'kconfig-children';
+        (node.children || []).forEach(child => renderKconfigNode(child, body));
+        details.appendChild(body);
+        container.appendChild(details);
+
+        kconfigFields.push({ node, element: details, inputs, search: `${node.title} ${node.name || ''}`.toLowerCase() });
+        return;
+    }
+
+    // Símbolo sem prompt: não é editável, mas pode ter filhos visíveis
+    if (node.type !== 'choice' && !node.title) {
+        (node.children || []).forEach(child => renderKconfigNode(child, container));
+        return;
+    }
+
+    const item = document.createElement('div');
+    item.className = 'config-item kconfig-item';
+    if (node.name) item.dataset.key = node.name;
+
+    const main = document.createElement('div');
+    main.className = 'kconfig-main';
+    main.appendChild(kconfigLabel(node, node.type !== 'choice'));
+
+    const valueBox = document.createElement('div');
+    valueBox.className = 'config-value';
+    const inputs = [];
+
+    if (node.type === 'choice') {
+        const select = document.createElement('select');
+        select.className = 'select-input';
+        (node.children || []).filter(child => child.name).forEach(child => {
+            const option = document.createElement('option');
+            option.value = child.name;
+            option.textContent = child.title || child.name;
+            option.selected = kconfigValues[child.name] === true;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            (node.children || []).filter(child => child.name).forEach(child => {
+                kconfigValues[child.name] = child.name === select.value;
+            });
+            refreshKconfigState();
+        });
+        valueBox.appendChild(select);
+        inputs.push(select);
+    } else if (node.type === 'bool' || node.type === 'tristate') {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = kconfigValues[node.name] === true;
+        checkbox.addEventListener('change', () => setKconfigValue(node, checkbox.checked));
+        valueBox.appendChild(checkbox);
+        inputs.push(checkbox);
+    } else {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = kconfigValues[node.name] ?? '';
+        input.addEventListener('input', () => setKconfigValue(node, input.value));
+        valueBox.appendChild(input);
+        inputs.push(input);
+
+        if (Array.isArray(node.range)) {
+            const fmt = n => node.type === 'hex' ? `0x${n.toString(16)}` : n;
+            const hint = document.createElement('span');
+            hint.className = 'kconfig-range';
+            hint.textContent = `${fmt(node.range[0])}–${fmt(node.range[1])}`;
+            valueBox.appendChild(hint);
+        }
+    }
+
+    main.appendChild(valueBox);
+    item.appendChild(main);
+    kconfigHelp(node, item);
+
+    const error = document.createElement('div');
+    error.className = 'kconfig-error';
+    item.appendChild(error);
+    container.appendChild(item);
+
+    const choiceNames = node.type === 'choice' ? (node.children || []).map(c => `${c.name} ${c.title}`).join(' ') : '';
+    kconfigFields.push({
+        node,
+        element: item,
+        inputs,
+        error,
+        search: `${node.title} ${node.name || ''} ${choiceNames}`.toLowerCase()
+    });
+
+    // Opções que dependem desta (aninhadas pelo Kconfig sob o símbolo)
+    const dependents = (node.type === 'choice' ? [] : node.children || []);
+    if (dependents.length > 0) {
+        const body = document.createElement('div');
+        body.className = 'kconfig-children';
+        dependents.forEach(child => renderKconfigNode(child, body));
+        container.appendChild(body);
+    }
+}
+
+// Validar e aplicar o valor digitado/marcado
+function validateKconfigValue(node, raw) {
+    if (isKconfigBool(node)) return { value: raw };
+
+    const text = String(raw).trim();
+    let number = null;
+    if (node.type === 'int') {
+        if (!/^-?\d+$/.test(text)) return { error: 'Número inteiro inválido' };
+        number = parseInt(text, 10);
+    } else if (node.type === 'hex') {
+        if (!/^0x[0-9a-fA-F]+$/.test(text)) return { error: 'Use hexadecimal (0x...)' };
+        number = parseInt(text, 16);
+    } else if (/[\r\n]/.test(raw)) {
+        return { error: 'Texto deve ter uma linha' };
+    }
+
+    if (number !== null && Array.isArray(node.range)) {
+        const [min, max] = node.range;
+        if (number < min || number > max) {
+            const fmt = n => node.type === 'hex' ? `0x${n.toString(16)}` : n;
+            return { error: `Fora do intervalo ${fmt(min)}–${fmt(max)}` };
+        }
+    }
+
+    return { value: node.type === 'int' ? number : node.type === 'hex' ? text : raw };
+}
+
+function setKconfigValue(node, raw) {
+    const { value, error } = validateKconfigValue(node, raw);
+    if (error) {
+        kconfigErrors.set(node.name, error);
+    } else {
+        kconfigErrors.delete(node.name);
+        kconfigValues[node.name] = value;
+    }
+    refreshKconfigState();
+}
+
+// Recalcular dependências: opções com "depends on" falso ficam desabilitadas
+function refreshKconfigState() {
+    kconfigVisibleCache = new Map();
+
+    kconfigFields.forEach(field => {
+        const visible = isKconfigNodeVisible(field.node);
+        field.element.classList.toggle('kconfig-disabled', !visible);
+        field.element.title = !visible && field.node.depends_on ? `Depende de: ${field.node.depends_on}` : '';
+        field.inputs.forEach(input => { input.disabled = !visible; });
+        if (field.error) {
+            const message = kconfigErrors.get(field.node.name) || '';
+            field.error.textContent = message;
+            field.element.classList.toggle('kconfig-invalid', Boolean(message));
+        }
+    });
+
+    document.getElementById('saveConfig').disabled = kconfigErrors.size > 0;
+}
+
+function filterConfig(e) {
+    const search = e.target.value.toLowerCase().trim();
+
+    // Itens primeiro; depois os menus, que estão em kconfigFields do mais
+    // interno para o mais externo (cada menu entra depois dos filhos)
+    kconfigFields.filter(f => f.node.type !== 'menu').forEach(field => {
+        field.element.style.display = !search || field.search.includes(search) ? '' : 'none';
+    });
+    kconfigFields.filter(f => f.node.type === 'menu').forEach(field => {
+        const hasMatch = [...field.element.querySelectorAll('.kconfig-item, .kconfig-menu')]
+            .some(el => el.style.display !== 'none');
+        const visible = !search || field.search.includes(search) || hasMatch;
+        field.element.style.display = visible ? '' : 'none';
+        if (search) field.element.open = visible;
+    });
+}
+
+// Retorna true se o sdkconfig ficou salvo (ou não havia alterações)
+async function saveConfig({ quiet = false } = {}) {
+    if (!currentProject) return false;
+
+    if (kconfigErrors.size > 0) {
+        appendTerminal('❌ Corrija os valores inválidos antes de salvar\n', 'error');
+        return false;
+    }
+
+    // Apenas opções alteradas e ativas (as inativas o IDF ignora)
+    const changes = {};
+    for (const [name, value] of Object.entries(kconfigValues)) {
+        if (value !== kconfigOriginal[name] && isKconfigSymbolActive(name)) {
+            changes[name] = value;
+        }
+    }
+    if (Object.keys(changes).length === 0) {
+        if (!quiet) appendTerminal('ℹ️ Nenhuma alteração no sdkconfig\n', 'info');
+        return true;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/sdkconfig`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            (data.errors || []).forEach(err => kconfigErrors.set(err.name, err.message));
+            refreshKconfigState();
+            appendTerminal(`❌ Erro ao salvar: ${data.error}\n`, 'error');
+            (data.errors || []).forEach(err => appendTerminal(`   CONFIG_${err.name}: ${err.message}\n`, 'error'));
+            return false;
+        }
+
+        kconfigOriginal = { ...kconfigValues };
+        appendTerminal(`💾 Configuração salva! (${data.updated.length} opções)\n`, 'success');
+        return true;
+    } catch (err) {
+        appendTerminal(`❌ Erro ao salvar: ${err.message}\n`, 'error');
+        return false;
+    }
+}
+
+// Gravar sdkconfig.defaults mínimo a partir do sdkconfig (alterações pendentes são salvas antes)
+async function saveConfigDefaults() {
+    if (!currentProject) return;
+    if (!await saveConfig({ quiet: true })) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/sdkconfig/defaults`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            appendTerminal(`❌ Erro ao gerar sdkconfig.defaults: ${data.error}\n`, 'error');
+            return;
+        }
+
+        appendTerminal(`📄 sdkconfig.defaults salvo (${data.options} opções diferentes dos defaults do IDF)\n`, 'success');
+        appendTerminal(data.content.endsWith('\n') ? data.content : `${data.content}\n`, 'stdout');
+        loadFileTree();
+    } catch (err) {
+        appendTerminal(`❌ Erro: ${err.message}\n`, 'error');
+    }
+}
+
+// Builds do projeto que guardaram o sdkconfig, como opções de comparação
+async function loadConfigDiffBuilds() {
+    const select = document.getElementById('configDiffAgainst');
+    select.querySelectorAll('option[data-build]').forEach(option => option.remove());
+
+    try {
+        const response = await fetch(`${API_BASE}/api/builds?projectId=${currentProject.id}&status=success`);
+        const buildList = await response.json();
+        buildList
+            .filter(b => b.sdkconfigs)
+            .forEach(build => {
+                Object.keys(build.sdkconfigs).forEach(target => {
+                    const option = document.createElement('option');
+                    option.dataset.build = build.id;
+                    option.dataset.target = target;
+                    option.value = `build:${build.id}:${target}`;
+                    option.textContent = `vs build de ${new Date(build.endTime).toLocaleString()} (${target})`;
+                    select.appendChild(option);
+                });
+            });
+    } catch (err) {
+        // Sem builds para comparar
+    }
+}
+
+async function showConfigDiff() {
+    if (!currentProject) return;
+
+    const option = document.getElementById('configDiffAgainst').selectedOptions[0];
+    const params = option.dataset.build
+        ? `against=build&buildId=${option.dataset.build}&target=${option.dataset.target}`
+        : `against=${option.value}`;
+
+    const panel = document.getElementById('configDiff');
+    const body = document.getElementById('configDiffBody');
+    document.getElementById('configDiffTitle').textContent = `Diferenças ${option.textContent}`;
+    body.innerHTML = '<p class="placeholder">Comparando...</p>';
+    panel.style.display = 'flex';
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/sdkconfig/diff?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            body.innerHTML = '';
+            const message = document.createElement('p');
+            message.className = 'placeholder';
+            message.textContent = data.error;
+            body.appendChild(message);
+            return;
+        }
+        renderConfigDiff(data.entries);
+    } catch (err) {
+        body.innerHTML = `<p class="placeholder">Erro: ${err.message}</p>`;
+    }
+}
+
+function renderConfigDiff(entries) {
+    const body = document.getElementById('configDiffBody');
+    body.innerHTML = '';
+
+    if (entries.length === 0) {
+        body.innerHTML = '<p class="placeholder">Nenhuma diferença</p>';
+        return;
+    }
+
+    const format = value => value === null ? '—' : value === true ? 'y' : value === false ? 'n' : String(value);
+    const table = document.createElement('table');
+    table.className = 'config-diff-table';
+    table.innerHTML = '<thead><tr><th>Opção</th><th>Base</th><th>Atual</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        [
+            [entry.name, ''],
+            [format(entry.base), 'diff-base'],
+            [format(entry.current), 'diff-current']
+        ].forEach(([text, className]) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (className) cell.className = className;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    body.appendChild(table);
+}
+
+// ============================================
+// Partitions
+// ============================================
+
+let partitionsData = [];
+let partitionsValidation = null;
+let partitionsValidateTimer = null;
+
+// SubTipos oferecidos no editor para cada tipo (valores fora da lista são mantidos)
+const PARTITION_SUBTYPE_OPTIONS = {
+    app: ['factory', 'ota_0', 'ota_1', 'ota_2', 'ota_3', 'test'],
+    data: ['nvs', 'phy', 'ota', 'nvs_keys', 'coredump', 'efuse', 'spiffs', 'littlefs', 'fat', 'undefined']
+};
+
+async function loadPartitions() {
+    if (!currentProject) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/partitions`);
+        const data = await response.json();
+        partitionsData = data.partitions;
+        partitionsValidation = data;
+        renderPartitions(partitionsData);
+        loadFsImages();
+    } catch (err) {
+        appendTerminal(`❌ Erro ao carregar partições: ${err.message}\n`, 'error');
+    }
+}
+
+function renderPartitions(partitions) {
+    // Table
+    const tbody = document.getElementById('partitionsBody');
+    tbody.innerHTML = '';
+
+    partitions.forEach((p, index) => {
+        const row = document.createElement('tr');
+        const subtypes = [...(PARTITION_SUBTYPE_OPTIONS[p.type] || [])];
+        if (p.subtype && !subtypes.includes(p.subtype)) subtypes.unshift(p.subtype);
+        const types = ['app', 'data'];
+        if (p.type && !types.includes(p.type)) types.push(p.type);
+
+        row.innerHTML = `
+            <td><input type="text" data-field="name"></td>
+            <td><select data-field="type"></select></td>
+            <td><select data-field="subtype"></select></td>
+            <td><input type="text" data-field="offset"></td>
+            <td><input type="text" data-field="size"></td>
+            <td><input type="text" data-field="flags" placeholder="encrypted, readonly"></td>
             <td>
                 <button class="btn btn-icon" onclick="removePartition(${index})">🗑️</button>
             </td>
         `;
+        // Valores via DOM, nunca interpolados no HTML
+        const typeSelect = row.querySelector('[data-field="type"]');
+        types.forEach(type => typeSelect.add(new Option(type, type, false, type === p.type)));
+        const subtypeSelect = row.querySelector('[data-field="subtype"]');
+        subtypes.forEach(subtype => subtypeSelect.add(new Option(subtype, subtype, false, subtype === p.subtype)));
+        ['name', 'offset', 'size', 'flags'].forEach(field => {
+            row.querySelector(`[data-field="${field}"]`).value = p[field] || '';
+        });
+
+        row.querySelectorAll('input').forEach(input => input.addEventListener('input', onPartitionEdited));
+        typeSelect.addEventListener('change', () => {
+            // Trocar o tipo troca a lista de subtipos
+            collectPartitions();
+            partitionsData[index].subtype = PARTITION_SUBTYPE_OPTIONS[typeSelect.value]?.[0] || '';
+            renderPartitions(partitionsData);
+            schedulePartitionsValidation();
+        });
+        subtypeSelect.addEventListener('change', onPartitionEdited);
+
+        row.dataset.index = index;
+        tbody.appendChild(row);
+    });
+
+    renderPartitionsValidation();
+}
+
+// Visual, offsets calculados e erros por linha a partir da última validação
+function renderPartitionsValidation() {
+    const validation = partitionsValidation || { errors: [], warnings: [], resolved: [], settings: {} };
+    const resolvedByRow = new Map(validation.resolved.map(r => [r.row, r]));
+
+    const visual = document.getElementById('partitionsVisual');
+    visual.innerHTML = '';
+
+    // Com o tamanho da flash conhecido, os blocos são proporcionais à flash
+    const ordered = [...validation.resolved].sort((a, b) => parseSize(a.offset) - parseSize(b.offset));
+    const flashSize = validation.settings.flashSizeBytes;
+    const totalSize = flashSize || ordered.reduce((sum, r) => sum + r.size, 0);
+
+    ordered.forEach(r => {
+        const p = partitionsData[r.row];
+        const block = document.createElement('div');
+        const percent = (r.size / totalSize) * 100;
+
+        block.className = `partition-block type-${p.subtype || p.type}`;
+        block.style.width = `${Math.max(percent, 5)}%`;
+        block.title = `${r.name}: ${r.offset} (${formatBytes(r.size)})`;
+        block.textContent = r.name;
+
+        visual.appendChild(block);
+    });
+
+    if (flashSize && ordered.length > 0) {
+        const last = ordered[ordered.length - 1];
+        const free = flashSize - (parseSize(last.offset) + last.size);
+        if (free > 0) {
+            const block = document.createElement('div');
+            block.className = 'partition-block type-free';
+            block.style.flex = '1';
+            block.title = `Livre: ${formatBytes(free)}`;
+            block.textContent = `livre ${formatBytes(free)}`;
+            visual.appendChild(block);
+        }
+    }
+
+    document.querySelectorAll('#partitionsBody tr').forEach(row => {
+        const index = parseInt(row.dataset.index);
+        const resolved = resolvedByRow.get(index);
+        const offsetInput = row.querySelector('[data-field="offset"]');
+        offsetInput.placeholder = resolved?.autoOffset ? `auto (${resolved.offset})` : 'auto';
+
+        row.querySelectorAll('[data-field]').forEach(input => {
+            const messages = validation.errors
+                .filter(e => e.row === index && e.field === input.dataset.field)
+                .map(e => e.message);
+            input.classList.toggle('input-invalid', messages.length > 0);
+            input.title = messages.join('\n');
+        });
+    });
+
+    const issues = document.getElementById('partitionsIssues');
+    issues.innerHTML = '';
+
+    const info = document.createElement('div');
+    info.className = 'partitions-info';
+    info.textContent = `Flash: ${validation.settings.flashSize || '?'} · Tabela em ${validation.settings.tableOffset || '0x8000'}`;
+    issues.appendChild(info);
+
+    validation.errors.forEach(error => {
+        const item = document.createElement('div');
+        item.className = 'partitions-issue error';
+        const name = error.row !== null ? partitionsData[error.row]?.name : null;
+        item.textContent = error.row !== null
+            ? `❌ Linha ${error.row + 1}${name ? ` (${name})` : ''}: ${error.message}`
+            : `❌ ${error.message}`;
+        issues.appendChild(item);
+    });
+
+    validation.warnings.forEach(warning => {
+        const item = document.createElement('div');
+        item.className = 'partitions-issue warning';
+        item.textContent = `⚠️ ${warning}`;
+        issues.appendChild(item);
+    });
+
+    if (validation.settings.usesCustomCsv === false && validation.exists !== false) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-outline btn-sm';
+        button.textContent = 'Usar partitions.csv no sdkconfig';
+        button.addEventListener('click', usePartitionsCsv);
+        issues.appendChild(button);
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 && bytes % (1024 * 1024) === 0) return `${bytes / 1024 / 1024}MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)}K`;
+    return `${bytes}B`;
+}
+
+function onPartitionEdited() {
+    collectPartitions();
+    schedulePartitionsValidation();
+}
+
+function schedulePartitionsValidation() {
+    clearTimeout(partitionsValidateTimer);
+    partitionsValidateTimer = setTimeout(validatePartitions, 400);
+}
+
+async function validatePartitions() {
+    if (!currentProject) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/partitions/validate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ partitions: partitionsData })
+        });
+        if (!response.ok) return;
+        partitionsValidation = await response.json();
+        renderPartitionsValidation();
+    } catch (err) {
+        // Validação volta na próxima edição ou ao salvar
+    }
+}
+
+function parseSize(size) {
+    if (typeof size === 'number') return size;
+    if (size.startsWith('0x')) return parseInt(size, 16);
+    const match = size.match(/(\d+)(K|M)?/i);
+    if (!match) return 0;
+    const num = parseInt(match[1]);
+    if (match[2]?.toUpperCase() === 'K') return num * 1024;
+    if (match[2]?.toUpperCase() === 'M') return num * 1024 * 1024;
+    return num;
+}
+
+function addPartition() {
+    collectPartitions();
+    partitionsData.push({
+        name: 'new_partition',
+        type: 'data',
+        subtype: 'spiffs',
+        offset: '',
+        size: '0x10000',
+        flags: ''
+    });
+    renderPartitions(partitionsData);
+    schedulePartitionsValidation();
+}
+
+window.removePartition = function (index) {
+    collectPartitions();
+    partitionsData.splice(index, 1);
+    renderPartitions(partitionsData);
+    schedulePartitionsValidation();
+};
+
+// Collect data from table
+function collectPartitions() {
+    partitionsData = [...document.querySelectorAll('#partitionsBody tr')].map(row => ({
+        name: row.querySelector('[data-field="name"]').value,
+        type: row.querySelector('[data-field="type"]').value,
+        subtype: row.querySelector('[data-field="subtype"]').value,
+        offset: row.querySelector('[data-field="offset"]').value,
+        size: row.querySelector('[data-field="size"]').value,
+        flags: row.querySelector('[data-field="flags"]').value
+    }));
+    return partitionsData;
+}
+
+async function savePartitions() {
+    if (!currentProject) return;
+
+    const partitions = collectPartitions();
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/partitions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ partitions })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            appendTerminal(`❌ ${data.error}\n`, 'error');
+            (data.errors || []).forEach(error => {
+                const where = error.row !== null ? `Linha ${error.row + 1}: ` : '';
+                appendTerminal(`   ${where}${error.message}\n`, 'error');
+            });
+            await validatePartitions();
+            return;
+        }
+
+        appendTerminal('💾 Partições salvas!\n', 'success');
+        (data.warnings || []).forEach(warning => appendTerminal(`⚠️ ${warning}\n`, 'info'));
+        await loadPartitions();
+    } catch (err) {
+        appendTerminal(`❌ Erro ao salvar: ${err.message}\n`, 'error');
+    }
+}
+
+// Apontar o sdkconfig para o partitions.csv do projeto
+async function usePartitionsCsv() {
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/sdkconfig`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                changes: { PARTITION_TABLE_CUSTOM: true, PARTITION_TABLE_CUSTOM_FILENAME: 'partitions.csv' }
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            appendTerminal(`❌ Erro ao atualizar sdkconfig: ${data.error}\n`, 'error');
+            (data.errors || []).forEach(err => appendTerminal(`   CONFIG_${err.name}: ${err.message}\n`, 'error'));
+            return;
+        }
+        appendTerminal('💾 sdkconfig usando partitions.csv\n', 'success');
+        await loadPartitions();
+    } catch (err) {
+        appendTerminal(`❌ Erro: ${err.message}\n`, 'error');
+    }
+}
+
+// Imagens de sistema de arquivos (pasta do projeto → partição de dados)
+let fsImagesData = [];
+let fsImagePartitions = [];
+let fsTypes = [];
+
+async function loadFsImages() {
+    if (!currentProject) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/fs-images`);
+        const data = await response.json();
+        if (!response.ok) {
+            renderFsImagesMessage(data.error);
+            return;
+        }
+        fsImagesData = data.images;
+        fsImagePartitions = data.partitions;
+        fsTypes = data.fsTypes;
+        renderFsImages();
+    } catch (err) {
+        appendTerminal(`❌ Erro ao carregar imagens: ${err.message}\n`, 'error');
+    }
+}
+
+function renderFsImagesMessage(message) {
+    const tbody = document.getElementById('fsImagesBody');
+    tbody.innerHTML = '<tr><td colspan="4" class="placeholder"></td></tr>';
+    tbody.querySelector('td').textContent = message;
+}
+
+function renderFsImages() {
+    const tbody = document.getElementById('fsImagesBody');
+    tbody.innerHTML = '';
+
+    if (fsImagePartitions.length === 0) {
+        renderFsImagesMessage('Nenhuma partição de dados no partitions.csv');
+        return;
+    }
+
+    fsImagesData.forEach((image, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><select data-field="partition"></select></td>
+            <td><input type="text" data-field="folder" placeholder="data"></td>
+            <td><select data-field="fsType"></select></td>
+            <td><button class="btn btn-icon" onclick="removeFsImage(${index})">🗑️</button></td>
+        `;
+
+        const partitionSelect = row.querySelector('[data-field="partition"]');
+        fsImagePartitions.forEach(p => {
+            const label = `${p.name} (${p.subtype}, ${p.offset}, ${formatBytes(p.size)})`;
+            partitionSelect.add(new Option(label, p.name, false, p.name === image.partition));
+        });
+        const typeSelect = row.querySelector('[data-field="fsType"]');
+        fsTypes.forEach(type => typeSelect.add(new Option(type, type, false, type === image.fsType)));
+        row.querySelector('[data-field="folder"]').value = image.folder || '';
+
+        // Tipo acompanha o subtipo da partição escolhida
+        partitionSelect.addEventListener('change', () => {
+            const partition = fsImagePartitions.find(p => p.name === partitionSelect.value);
+            if (fsTypes.includes(partition?.subtype)) typeSelect.value = partition.subtype;
+        });
+
+        tbody.appendChild(row);
+    });
+}
+
+function collectFsImages() {
+    fsImagesData = [...document.querySelectorAll('#fsImagesBody tr')]
+        .filter(row => row.querySelector('[data-field="partition"]'))
+        .map(row => ({
+            partition: row.querySelector('[data-field="partition"]').value,
+            folder: row.querySelector('[data-field="folder"]').value,
+            fsType: row.querySelector('[data-field="fsType"]').value
+        }));
+    return fsImagesData;
+}
+
+function addFsImage() {
+    if (fsImagePartitions.length === 0) return;
+    collectFsImages();
+    const partition = fsImagePartitions.find(p => fsTypes.includes(p.subtype)) || fsImagePartitions[0];
+    fsImagesData.push({
+        partition: partition.name,
+        folder: 'data',
+        fsType: fsTypes.includes(partition.subtype) ? partition.subtype : 'spiffs'
+    });
+    renderFsImages();
+}
+
+window.removeFsImage = function (index) {
+    collectFsImages();
+    fsImagesData.splice(index, 1);
+    renderFsImages();
+};
+
+async function saveFsImages() {
+    if (!currentProject) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/fs-images`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ images: collectFsImages() })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            appendTerminal(`❌ ${data.error}\n`, 'error');
+            return;
+        }
+        appendTerminal(`💾 Imagens de sistema de arquivos salvas (${data.images.length})\n`, 'success');
+    } catch (err) {
+        appendTerminal(`❌ Erro ao salvar: ${err.message}\n`, 'error');
+    }
+}
+
+// Presets de tabela (assistente de OTA/armazenamento)
+async function showPresetModal() {
+    if (!currentProject) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/partitions/presets`);
+        const data = await response.json();
+
+        const layout = document.getElementById('presetLayout');
+        layout.innerHTML = '';
+        data.presets.forEach(preset => {
+            const option = new Option(preset.name, preset.id);
+            option.title = preset.description;
+            layout.add(option);
+        });
+
+        const flashSize = document.getElementById('presetFlashSize');
+        flashSize.innerHTML = '';
+        data.flashSizes.forEach(size => flashSize.add(new Option(size, size, false, size === data.flashSize)));
+
+        document.getElementById('presetModal').style.display = 'flex';
+        applyPreset(true);
+    } catch (err) {
+        appendTerminal(`❌ Erro ao carregar presets: ${err.message}\n`, 'error');
+    }
+}
+
+function hidePresetModal() {
+    document.getElementById('presetModal').style.display = 'none';
+}
+
+// preview: só mostra a tabela gerada; senão grava CSV + sdkconfig
+async function applyPreset(preview) {
+    const body = {
+        preset: document.getElementById('presetLayout').value,
+        storage: document.getElementById('presetStorage').value,
+        flashSize: document.getElementById('presetFlashSize').value,
+        coredump: document.getElementById('presetCoredump').checked,
+        preview
+    };
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/partitions/preset`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            const details = (data.errors || []).map(err => err.name ? `CONFIG_${err.name}: ${err.message}` : err.message);
+            if (preview) {
+                document.getElementById('presetPreview').textContent = [data.error, ...details].join('\n');
+            } else {
+                appendTerminal(`❌ ${data.error}\n`, 'error');
+                details.forEach(detail => appendTerminal(`   ${detail}\n`, 'error'));
+            }
+            return;
+        }
+
+        if (preview) {
+            renderPresetPreview(data);
+            return;
+        }
+
+        hidePresetModal();
+        appendTerminal(`💾 Preset aplicado: partitions.csv + ${data.sdkconfig.updated.map(name => `CONFIG_${name}`).join(', ')}\n`, 'success');
+        data.warnings.forEach(warning => appendTerminal(`⚠️ ${warning}\n`, 'info'));
+        await loadPartitions();
+    } catch (err) {
+        appendTerminal(`❌ Erro: ${err.message}\n`, 'error');
+    }
+}
+
+function renderPresetPreview({ partitions, warnings }) {
+    const container = document.getElementById('presetPreview');
+    container.innerHTML = '';
+
+    const table = document.createElement('table');
+    table.className = 'config-diff-table';
+    table.innerHTML = '<thead><tr><th>Nome</th><th>Tipo</th><th>SubTipo</th><th>Offset</th><th>Tamanho</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    partitions.forEach(p => {
+        const row = document.createElement('tr');
+        [p.name, p.type, p.subtype, p.offset, `${p.size} (${formatBytes(parseSize(p.size))})`].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+
+    warnings.forEach(warning => {
+        const item = document.createElement('div');
+        item.className = 'partitions-issue warning';
+        item.textContent = `⚠️ ${warning}`;
+        container.appendChild(item);
+    });
+}
+
+// partition-table.bin decodificado e em hexdump (gerado do CSV ou do último build)
+async function showPartitionsBinary() {
+    if (!currentProject) return;
+
+    const source = document.getElementById('partitionsBinarySource').value;
+    const panel = document.getElementById('partitionsBinary');
+    const body = document.getElementById('partitionsBinaryBody');
+    panel.style.display = 'flex';
+    body.innerHTML = '<p class="placeholder">Gerando...</p>';
+
+    const url = `${API_BASE}/api/project/${currentProject.id}/partitions/binary?source=${source}`;
+    document.getElementById('downloadPartitionsBinary').href = `${url}&format=bin`;
+
+    try {
+        const response = await fetch(url);
+        const data = await response.json();
+        body.innerHTML = '';
+
+        if (!response.ok) {
+            const message = document.createElement('p');
+            message.className = 'placeholder';
+            message.textContent = data.error;
+            body.appendChild(message);
+            return;
+        }
+
+        const summary = document.createElement('div');
+        summary.className = 'partitions-info';
+        const md5 = !data.md5 ? 'sem MD5' : data.md5.valid ? `MD5 ok (${data.md5.stored})` : 'MD5 NÃO confere';
+        summary.textContent = `${data.size} bytes em ${data.offset} · ${md5} · compare com: esptool.py read_flash ${data.offset} 0xc00 table.bin`;
+        body.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'config-diff-table';
+        table.innerHTML = '<thead><tr><th>Nome</th><th>Tipo</th><th>SubTipo</th><th>Offset</th><th>Tamanho</th><th>Flags</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        data.partitions.forEach(p => {
+            const row = document.createElement('tr');
+            [p.name, p.type, p.subtype, p.offset, p.size, p.flags].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        body.appendChild(table);
+
+        const dump = document.createElement('pre');
+        dump.className = 'partitions-hexdump';
+        dump.textContent = data.hexdump;
+        body.appendChild(dump);
+    } catch (err) {
+        body.innerHTML = `<p class="placeholder">Erro: ${err.message}</p>`;
+    }
+}
+
+// ============================================
+// NVS
+// ============================================
+
+let nvsEntries = [];
+let nvsEncodings = {};
+
+async function loadNvs() {
+    if (!currentProject) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/nvs`);
+        const data = await response.json();
+        if (!response.ok) {
+            renderNvsIssues([{ row: null, message: data.error }]);
+            return;
+        }
+
+        nvsEntries = data.entries;
+        nvsEncodings = data.encodings;
+
+        const partitionSelect = document.getElementById('nvsPartition');
+        partitionSelect.innerHTML = '';
+        data.partitions.forEach(p => {
+            const label = `${p.name} (${p.offset}, ${formatBytes(p.size)})`;
+            partitionSelect.add(new Option(label, p.name, false, p.name === data.settings.partition));
+        });
+        document.getElementById('nvsEncrypted').checked = data.settings.encrypted;
+        document.getElementById('nvsEncrypted').disabled = !data.hasKeysPartition && !data.settings.encrypted;
+        document.getElementById('nvsEncrypted').parentElement.title = data.hasKeysPartition
+            ? '' : 'Adicione uma partição nvs_keys à tabela para criptografar';
+        document.getElementById('nvsFlashWithBuild').checked = data.settings.flashWithBuild;
+
+        renderNvs();
+        renderNvsIssues([]);
+    } catch (err) {
+        appendTerminal(`❌ Erro ao carregar NVS: ${err.message}\n`, 'error');
+    }
+}
+
+function renderNvs() {
+    const tbody = document.getElementById('nvsBody');
+    tbody.innerHTML = '';
+
+    nvsEntries.forEach((entry, index) => {
+        const row = document.createElement('tr');
+        row.dataset.index = index;
+        row.innerHTML = `
+            <td><input type="text" data-field="key" maxlength="15"></td>
+            <td><select data-field="type"></select></td>
+            <td><select data-field="encoding"></select></td>
+            <td><input type="text" data-field="value"></td>
+            <td><button class="btn btn-icon" onclick="removeNvsEntry(${index})">🗑️</button></td>
+        `;
+
+        const typeSelect = row.querySelector('[data-field="type"]');
+        ['namespace', 'data', 'file'].forEach(type => typeSelect.add(new Option(type, type, false, type === entry.type)));
+        const encodingSelect = row.querySelector('[data-field="encoding"]');
+        (nvsEncodings[entry.type] || []).forEach(encoding => {
+            encodingSelect.add(new Option(encoding, encoding, false, encoding === entry.encoding));
+        });
+        row.querySelector('[data-field="key"]').value = entry.key;
+        const valueInput = row.querySelector('[data-field="value"]');
+        valueInput.value = entry.value || '';
+        valueInput.placeholder = entry.type === 'file' ? 'caminho no projeto' : '';
+
+        if (entry.type === 'namespace') {
+            row.classList.add('nvs-namespace');
+            encodingSelect.disabled = true;
+            valueInput.disabled = true;
+        }
+
+        // Trocar o tipo troca a lista de encodings
+        typeSelect.addEventListener('change', () => {
+            collectNvsEntries();
+            const changed = nvsEntries[index];
+            changed.encoding = nvsEncodings[changed.type]?.includes(changed.encoding)
+                ? changed.encoding
+                : (nvsEncodings[changed.type] || [''])[0];
+            if (changed.type === 'namespace') changed.value = '';
+            renderNvs();
+        });
+
+        tbody.appendChild(row);
+    });
+}
+
+function renderNvsIssues(errors) {
+    const issues = document.getElementById('nvsIssues');
+    issues.innerHTML = '';
+
+    document.querySelectorAll('#nvsBody [data-field]').forEach(input => {
+        input.classList.remove('input-invalid');
+        input.title = '';
+    });
+
+    errors.forEach(error => {
+        const item = document.createElement('div');
+        item.className = 'partitions-issue error';
+        item.textContent = error.row !== null && error.row !== undefined
+            ? `❌ Linha ${error.row + 1}: ${error.message}`
+            : `❌ ${error.message}`;
+        issues.appendChild(item);
+
+        const input = document.querySelector(`#nvsBody tr[data-index="${error.row}"] [data-field="${error.field}"]`);
+        if (input) {
+            input.classList.add('input-invalid');
+            input.title = error.message;
+        }
+    });
+}
+
+function collectNvsEntries() {
+    nvsEntries = [...document.querySelectorAll('#nvsBody tr')].map(row => ({
+        key: row.querySelector('[data-field="key"]').value,
+        type: row.querySelector('[data-field="type"]').value,
+        encoding: row.querySelector('[data-field="type"]').value === 'namespace'
+            ? '' : row.querySelector('[data-field="encoding"]').value,
+        value: row.querySelector('[data-field="type"]').value === 'namespace'
+            ? '' : row.querySelector('[data-field="value"]').value
+    }));
+    return nvsEntries;
+}
+
+function addNvsEntry(type) {
+    collectNvsEntries();
+    nvsEntries.push(type === 'namespace'
+        ? { key: 'storage', type: 'namespace', encoding: '', value: '' }
+        : { key: '', type: 'data', encoding: 'string', value: '' });
+    renderNvs();
+}
+
+window.removeNvsEntry = function (index) {
+    collectNvsEntries();
+    nvsEntries.splice(index, 1);
+    renderNvs();
+};
+
+function nvsSettings() {
+    return {
+        partition: document.getElementById('nvsPartition').value || null,
+        encrypted: document.getElementById('nvsEncrypted').checked,
+        flashWithBuild: document.getElementById('nvsFlashWithBuild').checked
+    };
+}
+
+// Retorna true se o nvs.csv ficou salvo
+async function saveNvs({ quiet = false } = {}) {
+    if (!currentProject) return false;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/nvs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ entries: collectNvsEntries(), settings: nvsSettings() })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            renderNvsIssues(data.errors?.length ? data.errors : [{ row: null, message: data.error }]);
+            appendTerminal(`❌ ${data.error}\n`, 'error');
+            return false;
+        }
+
+        renderNvsIssues([]);
+        if (!quiet) appendTerminal('💾 nvs.csv salvo!\n', 'success');
+        return true;
+    } catch (err) {
+        appendTerminal(`❌ Erro ao salvar: ${err.message}\n`, 'error');
+        return false;
+    }
+}
+
+// Imagem avulsa: .bin (ou ZIP com a chave, se criptografado)
+async function downloadNvsImage() {
+    if (!await saveNvs({ quiet: true })) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/nvs/image`, { method: 'POST' });
+        if (!response.ok) {
+            const data = await response.json();
+            renderNvsIssues(data.errors?.length ? data.errors : [{ row: null, message: data.error }]);
+            appendTerminal(`❌ ${data.error}\n`, 'error');
+            return;
+        }
+
+        const blob = await response.blob();
+        const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'nvs.bin';
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        const offset = response.headers.get('X-Flash-Offset');
+        appendTerminal(`🔑 ${filename} gerado${offset ? ` (gravar em ${offset})` : ''}\n`, 'success');
+    } catch (err) {
+        appendTerminal(`❌ Erro: ${err.message}\n`, 'error');
+    }
+}
+
+// ============================================
+// Provisionamento em lote
+// ============================================
+
+let provisioningJobId = null;
+
+function downloadFile(url, filename) {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+}
+
+async function showProvisionModal() {
+    if (!currentProject) return;
+    // O modelo é o nvs.csv salvo
+    if (!await saveNvs({ quiet: true })) return;
+
+    const select = document.getElementById('provisionBuild');
+    select.innerHTML = '';
+    try {
+        const response = await fetch(`${API_BASE}/api/builds?projectId=${currentProject.id}&status=success`);
+        const buildList = await response.json();
+        buildList
+            .filter(b => b.flashLayout)
+            .forEach(build => {
+                (build.targets || [build.target]).forEach(target => {
+                    const option = new Option(`${new Date(build.endTime).toLocaleString()} (${target})`, build.id);
+                    option.dataset.target = target;
+                    select.add(option);
+                });
+            });
+    } catch (err) {
+        // Sem builds: o servidor recusa o lote com a mensagem
+    }
+    if (select.options.length === 0) {
+        select.add(new Option('Nenhum build com sucesso', ''));
+    }
+
+    renderProvisionIssues([]);
+    document.getElementById('provisionModal').style.display = 'flex';
+}
+
+function hideProvisionModal() {
+    document.getElementById('provisionModal').style.display = 'none';
+}
+
+function renderProvisionIssues(errors) {
+    const issues = document.getElementById('provisionIssues');
+    issues.innerHTML = '';
+    errors.forEach(error => {
+        const where = [
+            error.device ? `Dispositivo ${error.device}` : null,
+            error.row !== null && error.row !== undefined ? `nvs.csv linha ${error.row + 1}` : null
+        ].filter(Boolean).join(', ');
+        const item = document.createElement('div');
+        item.className = 'partitions-issue error';
+        item.textContent = `❌ ${where ? `${where}: ` : ''}${error.message}`;
+        issues.appendChild(item);
+    });
+}
+
+async function startProvision() {
+    const option = document.getElementById('provisionBuild').selectedOptions[0];
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/provision`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                devices: document.getElementById('provisionDevices').value,
+                buildId: option?.value || undefined,
+                target: option?.dataset.target
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            renderProvisionIssues(data.errors?.length ? data.errors : [{ message: data.error }]);
+            return;
+        }
+
+        hideProvisionModal();
+        provisioningJobId = data.buildId;
+        setActiveJob(data.buildId);
+        updateStatus(`Provisionando ${data.devices} dispositivo(s)...`, 'building');
+        switchTab('terminal');
+    } catch (err) {
+        renderProvisionIssues([{ message: err.message }]);
+    }
+}
+
+// ============================================
+// Serial Monitor
+// ============================================
+
+let isSerialConnecting = false;
+
+async function toggleSerial() {
+    const btn = document.getElementById('connectSerial');
+
+    if (isSerialConnecting) {
+        appendMonitor('⏳ Aguarde, operação em andamento...\n');
+        return;
+    }
+
+    if (serialPort) {
+        await disconnectSerial();
+        btn.textContent = '🔌 Conectar';
+    } else {
+        await connectSerial();
+    }
+}
+
+async function connectSerial() {
+    if (!('serial' in navigator)) {
+        appendMonitor('❌ Web Serial API não suportada neste navegador!\n');
+        appendMonitor('💡 Use Chrome, Edge ou Opera para acessar o monitor serial.\n');
+        return;
+    }
+
+    isSerialConnecting = true;
+    const btn = document.getElementById('connectSerial');
+
+    try {
+        // Se já temos uma porta, verificar se está aberta
+        if (serialPort) {
+            try {
+                // Tentar fechar primeiro se já existir
+                if (serialReader) {
+                    await serialReader.cancel().catch(() => { });
+                    serialReader = null;
+                }
+                await serialPort.close().catch(() => { });
+            } catch (e) {
+                // Ignorar erros ao fechar
+            }
+            serialPort = null;
+        }
+
+        // Solicitar nova porta
+        serialPort = await navigator.serial.requestPort();
+        const baudRate = parseInt(document.getElementById('baudRate').value);
+
+        // Verificar se a porta já está aberta
+        if (serialPort.readable) {
+            appendMonitor('⚠️ Porta já estava aberta, reconectando...\n');
+            try {
+                await serialPort.close();
+            } catch (e) {
+                // Ignorar
+            }
+        }
+
+        // Abrir a porta
+        await serialPort.open({ baudRate });
+
+        document.getElementById('serialInput').disabled = false;
+        document.getElementById('sendSerial').disabled = false;
+        renderMacroBar();
+        document.getElementById('serialConnectionStatus').innerHTML = '<span class="dot online"></span><span>Conectado</span>';
+        btn.textContent = '🔌 Desconectar';
+
+        appendMonitor(`✅ Conectado! Baud rate: ${baudRate}\n`);
+        appendMonitor('📟 Aguardando dados...\n\n');
+
+        // Atualizar aviso de flash
+        updateFlashWarning();
+
+        // Start reading
+        readSerial();
+
+    } catch (err) {
+        serialPort = null;
+        if (err.name === 'NotFoundError') {
+            // Usuário cancelou
+            appendMonitor('ℹ️ Seleção de porta cancelada.\n');
+        } else if (err.message.includes('already open')) {
+            appendMonitor('⚠️ Porta já está aberta. Tentando reconectar...\n');
+            // Forçar reset
+            serialPort = null;
+            serialReader = null;
+        } else {
+            appendMonitor(`❌ Erro ao conectar: ${err.message}\n`);
+        }
+        btn.textContent = '🔌 Conectar';
+    } finally {
+        isSerialConnecting = false;
+    }
+}
+
+async function readSerial() {
+    const decoder = new TextDecoder();
+
+    while (serialPort?.readable) {
+        try {
+            serialReader = serialPort.readable.getReader();
+
+            while (true) {
+                const { value, done } = await serialReader.read();
+                if (done) {
+                    serialReader.releaseLock();
+                    break;
+                }
+
+                // Hex muda só a exibição: o texto continua alimentando o
+                // plotter e a detecção de crash
+                const hexView = document.getElementById('monitorView').value === 'hex';
+                if (hexView) appendHexData(value);
+
+                const text = decoder.decode(value, { stream: true });
+                appendSerialData(text, { display: !hexView });
+                scanSerialCrash(text);
+            }
+        } catch (err) {
+            // Port closed or error - this is expected when disconnecting
+            if (err.name !== 'NetworkError') {
+                console.log('Serial read ended:', err.message);
+            }
+        } finally {
+            if (serialReader) {
+                try {
+                    serialReader.releaseLock();
+                } catch (e) {
+                    // Ignore
+                }
+            }
+        }
+        break; // Exit loop after reader is done
+    }
+}
+
+async function disconnectSerial() {
+    const btn = document.getElementById('connectSerial');
+
+    try {
+        if (serialReader) {
+            await serialReader.cancel().catch(() => { });
+            serialReader = null;
+        }
+
+        if (serialPort) {
+            // Aguardar um pouco para garantir que o reader foi liberado
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            try {
+                await serialPort.close();
+            } catch (e) {
+                // Porta pode já estar fechada
+            }
+            serialPort = null;
+        }
+
+        document.getElementById('serialInput').disabled = true;
+        document.getElementById('sendSerial').disabled = true;
+        stopMacroTimers();
+        document.getElementById('serialConnectionStatus').innerHTML = '<span class="dot offline"></span><span>Desconectado</span>';
+
+        flushSerialPartial();
+        appendMonitor('\n🔌 Desconectado\n');
+    } catch (err) {
+        appendMonitor(`⚠️ Erro ao desconectar: ${err.message}\n`);
+    } finally {
+        serialPort = null;
+        serialReader = null;
+        btn.textContent = '🔌 Conectar';
+        updateFlashWarning();
+    }
+}
+
+async function sendSerialData() {
+    if (!serialPort?.writable) return;
+
+    const input = document.getElementById('serialInput');
+    const format = document.getElementById('serialInputFormat').value;
+
+    try {
+        const bytes = serialPayload(format, input.value, document.getElementById('serialLineEnding').value);
+        if (bytes.length === 0) return;
+        await writeSerial(bytes);
+        appendMonitor(`> ${format === 'hex' ? formatHexBytes(bytes) : input.value}\n`);
+        input.value = '';
+    } catch (err) {
+        appendMonitor(`❌ Erro ao enviar: ${err.message}\n`);
+    }
+}
+
+// ============================================
+// Monitor: linhas, filtros e rolagem virtual
+// ============================================
+
+// O monitor guarda linhas (texto sem ANSI, trechos coloridos e, nas linhas do
+// ESP_LOG, nível/tempo/tag/mensagem) e só cria elementos para as que estão na
+// tela. Cada linha tem altura fixa, então a posição vem do índice e a rolagem
+// continua leve com centenas de milhares de linhas.
+const MONITOR_ROW_HEIGHT = 20;
+const MONITOR_OVERSCAN = 30;
+const MONITOR_MAX_LINES = 200000;
+const MONITOR_TRIM_CHUNK = 10000;
+// Saída sem \n (binária, por exemplo) é quebrada para não virar uma linha gigante
+const MONITOR_MAX_LINE_LENGTH = 4096;
+const MONITOR_LEVELS = ['E', 'W', 'I', 'D', 'V'];
+// E (1234) wifi: mensagem | I (12:34:56.789) tag: mensagem
+const ESP_LOG_PATTERN = /^([EWIDV]) \(([^)]*)\) ([^:]*?): ?(.*)$/;
+const ANSI_ESCAPE = /\x1b\[([0-9;?]*)([A-Za-z])/g;
+
+let monitorLines = [];
+let monitorFirstId = 0;     // id de monitorLines[0] (as mais antigas são descartadas)
+let monitorNextId = 0;
+let monitorVisible = [];    // ids das linhas que passam nos filtros, em ordem
+let monitorPartial = '';    // texto da serial depois do último \n
+let monitorPartialTime = null;
+let monitorAnsi = { fg: null, bold: false };
+let monitorTags = new Set();
+let monitorTagsChanged = false;
+let monitorFilter = { levels: new Set([...MONITOR_LEVELS, 'other']), tag: '', search: null };
+let monitorRenderPending = false;
+let monitorFollow = false;
+let monitorSearchTimer = null;
+
+// Texto recebido da serial; a última linha fica pendente até chegar o \n.
+// Com display false (visão hex) as linhas só vão para o plotter
+function appendSerialData(text, { display = true } = {}) {
+    const now = Date.now();
+    const pieces = (monitorPartial + text).split('\n');
+    monitorPartial = pieces.pop();
+
+    const lines = pieces.map((piece, index) => {
+        const time = index === 0 && monitorPartialTime ? monitorPartialTime : now;
+        return createMonitorLine(piece, 'serial', monitorAnsi, time);
+    });
+    if (monitorPartial.length > MONITOR_MAX_LINE_LENGTH) {
+        lines.push(createMonitorLine(monitorPartial, 'serial', monitorAnsi, monitorPartialTime || now));
+        monitorPartial = '';
+    }
+    monitorPartialTime = monitorPartial ? (pieces.length > 0 ? now : monitorPartialTime || now) : null;
+
+    if (display) addMonitorLines(lines);
+    plotSerialLines(lines);
+}
+
+// Mensagens do próprio IDE (conexão, comandos enviados, avisos)
+function appendMonitor(text) {
+    const pieces = text.split('\n');
+    if (pieces[pieces.length - 1] === '') pieces.pop();
+    addMonitorLines(pieces.map(piece => createMonitorLine(piece, 'note', { fg: null, bold: false })));
+}
+
+function flushSerialPartial() {
+    if (!monitorPartial) return;
+    const line = createMonitorLine(monitorPartial, 'serial', monitorAnsi, monitorPartialTime || Date.now());
+    monitorPartial = '';
+    monitorPartialTime = null;
+    addMonitorLines([line]);
+}
+
+function monitorLine(kind, segments, time = Date.now()) {
+    return {
+        id: null,
+        kind,
+        text: segments.map(segment => segment.text).join(''),
+        segments: segments.map(segment => ({ classes: [], ...segment })),
+        time,
+        level: null,
+        logTime: null,
+        tag: null,
+        message: null
+    };
+}
+
+function createMonitorLine(raw, kind, ansi, time = Date.now()) {
+    const line = monitorLine(kind, parseAnsi(raw.replace(/\r$/, ''), ansi), time);
+    const log = kind === 'serial' && line.text.match(ESP_LOG_PATTERN);
+    if (log) {
+        [, line.level, line.logTime, line.tag, line.message] = log;
+    }
+    return line;
+}
+
+// Trechos de texto com as classes das cores SGR em vigor. Outras sequências
+// (cursor, limpar linha) são descartadas. `ansi` guarda a cor entre linhas.
+function parseAnsi(raw, ansi) {
+    const segments = [];
+    let last = 0;
+
+    function push(text) {
+        const clean = text.replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+        if (!clean) return;
+        const classes = [];
+        if (ansi.fg !== null) classes.push(`ansi-${ansi.fg}`);
+        if (ansi.bold) classes.push('ansi-bold');
+        segments.push({ text: clean, classes });
+    }
+
+    for (const match of raw.matchAll(ANSI_ESCAPE)) {
+        push(raw.slice(last, match.index));
+        last = match.index + match[0].length;
+        if (match[2] !== 'm') continue;
+
+        for (const code of (match[1] || '0').split(';').map(Number)) {
+            if (code === 0) {
+                ansi.fg = null;
+                ansi.bold = false;
+            } else if (code === 1) {
+                ansi.bold = true;
+            } else if (code === 22) {
+                ansi.bold = false;
+            } else if (code === 39) {
+                ansi.fg = null;
+            } else if ((code >= 30 && code <= 37) || (code >= 90 && code <= 97)) {
+                ansi.fg = code;
+            }
+        }
+    }
+    push(raw.slice(last));
+    return segments;
+}
+
+// Notas e backtraces do IDE não têm nível nem tag: só a busca as esconde
+function monitorLineMatches(line) {
+    if (line.kind === 'serial') {
+        if (!monitorFilter.levels.has(line.level || 'other')) return false;
+        if (monitorFilter.tag && line.tag !== monitorFilter.tag) return false;
+    }
+    return !monitorFilter.search || monitorFilter.search.test(line.text);
+}
+
+function addMonitorLines(lines) {
+    lines.forEach(line => {
+        line.id = monitorNextId++;
+        monitorLines.push(line);
+        if (line.tag && !monitorTags.has(line.tag)) {
+            monitorTags.add(line.tag);
+            monitorTagsChanged = true;
+        }
+        if (monitorLineMatches(line)) monitorVisible.push(line.id);
+    });
+
+    // Descarta as mais antigas em blocos, para não copiar o array a cada linha
+    if (monitorLines.length > MONITOR_MAX_LINES) {
+        const count = Math.max(monitorLines.length - MONITOR_MAX_LINES, MONITOR_TRIM_CHUNK);
+        monitorLines.splice(0, count);
+        monitorFirstId += count;
+        const kept = monitorVisible.findIndex(id => id >= monitorFirstId);
+        monitorVisible.splice(0, kept === -1 ? monitorVisible.length : kept);
+    }
+
+    scheduleMonitorRender(true);
+}
+
+function updateMonitorFilter() {
+    const input = document.getElementById('monitorSearch');
+    const query = input.value;
+    let search = null;
+
+    input.classList.remove('input-invalid');
+    input.title = '';
+    if (query) {
+        const source = document.getElementById('monitorSearchRegex').checked
+            ? query
+            : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        try {
+            search = new RegExp(source, 'i');
+        } catch (err) {
+            input.classList.add('input-invalid');
+            input.title = err.message;
+            return;
+        }
+    }
+
+    monitorFilter = {
+        levels: new Set([...document.querySelectorAll('#monitorLevels input:checked')].map(box => box.value)),
+        tag: document.getElementById('monitorTagFilter').value,
+        search
+    };
+    monitorVisible = monitorLines.filter(monitorLineMatches).map(line => line.id);
+    scheduleMonitorRender(true);
+}
+
+function renderMonitorTags() {
+    const select = document.getElementById('monitorTagFilter');
+    const selected = select.value;
+    select.innerHTML = '';
+    select.add(new Option('Todas as tags', ''));
+    [...monitorTags].sort().forEach(tag => select.add(new Option(tag, tag)));
+    select.value = monitorTags.has(selected) ? selected : '';
+    monitorTagsChanged = false;
+}
+
+// follow: rola até o fim se o auto-scroll estiver ligado (linhas novas ou filtro)
+function scheduleMonitorRender(follow = false) {
+    if (follow && document.getElementById('autoScroll').checked) monitorFollow = true;
+    if (monitorRenderPending) return;
+    monitorRenderPending = true;
+    requestAnimationFrame(renderMonitor);
+}
+
+function renderMonitor() {
+    monitorRenderPending = false;
+    const body = document.getElementById('monitorBody');
+    const spacer = document.getElementById('monitorSpacer');
+    const output = document.getElementById('monitorOutput');
+
+    if (monitorTagsChanged) renderMonitorTags();
+
+    const partial = monitorPartial
+        ? createMonitorLine(monitorPartial, 'serial', { ...monitorAnsi }, monitorPartialTime)
+        : null;
+    const showPartial = partial && monitorLineMatches(partial);
+    const total = monitorVisible.length + (showPartial ? 1 : 0);
+    spacer.style.height = `${total * MONITOR_ROW_HEIGHT}px`;
+
+    if (monitorFollow) {
+        body.scrollTop = body.scrollHeight;
+        monitorFollow = false;
+    }
+
+    const top = body.scrollTop - spacer.offsetTop;
+    const first = Math.max(0, Math.floor(top / MONITOR_ROW_HEIGHT) - MONITOR_OVERSCAN);
+    const last = Math.min(total, Math.ceil((top + body.clientHeight) / MONITOR_ROW_HEIGHT) + MONITOR_OVERSCAN);
+    const showTime = document.getElementById('showTimestamp').checked;
+    const highlight = monitorFilter.search ? new RegExp(monitorFilter.search.source, 'gi') : null;
+
+    const rows = [];
+    for (let i = first; i < last; i++) {
+        const line = i < monitorVisible.length ? monitorLines[monitorVisible[i] - monitorFirstId] : partial;
+        rows.push(monitorRow(line, showTime, highlight));
+    }
+    output.style.transform = `translateY(${first * MONITOR_ROW_HEIGHT}px)`;
+    output.replaceChildren(...rows);
+
+    const stored = monitorLines.length + (monitorPartial ? 1 : 0);
+    document.getElementById('monitorCount').textContent = total === stored
+        ? `${stored} linhas`
+        : `${total} de ${stored} linhas`;
+}
+
+function monitorRow(line, showTime, highlight) {
+    const row = document.createElement('div');
+    row.className = `monitor-line monitor-${line.kind}`;
+    if (line.level) row.classList.add(`monitor-level-${line.level}`);
+    row.style.height = `${MONITOR_ROW_HEIGHT}px`;
+
+    if (showTime) {
+        const time = document.createElement('span');
+        time.className = 'monitor-time';
+        time.textContent = `[${new Date(line.time).toLocaleTimeString()}] `;
+        row.appendChild(time);
+    }
+    line.segments.forEach(segment => row.appendChild(monitorSegment(segment, highlight)));
+    return row;
+}
+
+// Trecho de linha; com link abre o arquivo no editor (frames de backtrace)
+function monitorSegment(segment, highlight = null) {
+    const element = document.createElement(segment.link ? 'a' : 'span');
+    element.className = segment.classes.join(' ');
+    if (segment.link) {
+        element.classList.add('backtrace-link');
+        const { file, line } = segment.link;
+        element.addEventListener('click', () => openFile(file, line ? { line } : null));
+    }
+
+    if (!highlight) {
+        element.textContent = segment.text;
+        return element;
+    }
+    let last = 0;
+    for (const match of segment.text.matchAll(highlight)) {
+        if (!match[0]) continue;
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        element.append(segment.text.slice(last, match.index), mark);
+        last = match.index + match[0].length;
+    }
+    element.append(segment.text.slice(last));
+    return element;
+}
+
+// ============================================
+// Plotter serial
+// ============================================
+
+// Séries numéricas das linhas da serial (a mensagem, nas linhas do ESP_LOG):
+// pares chave:valor ou chave=valor, linhas CSV só com números (uma linha só
+// de nomes antes vira o cabeçalho) ou uma regex cujos grupos são as séries
+// (grupos nomeados dão o nome). As amostras continuam chegando com o gráfico
+// pausado; a pausa só congela a janela, que pode ser arrastada e ampliada.
+const PLOTTER_MAX_SAMPLES = 20000;
+const PLOTTER_MIN_WINDOW_MS = 1000;
+const PLOTTER_MAX_WINDOW_MS = 60 * 60 * 1000;
+const PLOTTER_ZOOM_STEP = 1.25;
+const PLOTTER_COLORS = ['#58a6ff', '#3fb950', '#d29922', '#f85149', '#a371f7', '#39c5cf', '#db61a2', '#8b949e'];
+const PLOTTER_MARGIN = { left: 64, right: 12, top: 10, bottom: 24 };
+// Quanto para trás as amostras de uma mesma leitura podem ser espalhadas
+const PLOTTER_SPREAD_MAX_MS = 1000;
+const KEY_VALUE_PATTERN = /([A-Za-z_][\w.]*)\s*[:=]\s*(-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/g;
+const NUMBER_PATTERN = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+let plotterActive = false;
+let plotterSamples = [];        // { time, values: { série: número } }
+let plotterSeries = [];         // { name, color, visible }
+let plotterCsvHeader = null;
+let plotterRegex = null;
+let plotterPaused = false;
+let plotterViewEnd = null;      // fim da janela enquanto pausado
+let plotterWindowMs = 30000;
+let plotterDrawPending = false;
+let plotterDrag = null;
+
+function togglePlotter() {
+    plotterActive = !plotterActive;
+    document.getElementById('plotterPanel').style.display = plotterActive ? 'flex' : 'none';
+    document.getElementById('togglePlotter').classList.toggle('active', plotterActive);
+    schedulePlotterDraw();
+    scheduleMonitorRender();
+}
+
+function updatePlotterMode() {
+    const mode = document.getElementById('plotterMode').value;
+    const input = document.getElementById('plotterRegex');
+    input.style.display = mode === 'regex' ? 'inline-block' : 'none';
+    input.classList.remove('input-invalid');
+    input.title = '';
+    plotterRegex = null;
+    plotterCsvHeader = null;
+
+    if (mode === 'regex' && input.value) {
+        try {
+            plotterRegex = new RegExp(input.value);
+        } catch (err) {
+            input.classList.add('input-invalid');
+            input.title = err.message;
+        }
+    }
+}
+
+function parsePlotterLine(text) {
+    const mode = document.getElementById('plotterMode').value;
+
+    if (mode === 'regex') {
+        const match = plotterRegex && text.match(plotterRegex);
+        if (!match) return null;
+        return plotterValues(match.groups
+            ? Object.entries(match.groups)
+            : match.slice(1).map((value, i) => [`g${i + 1}`, value]));
+    }
+
+    if (mode === 'csv') {
+        const fields = text.trim().split(/\s*[,;\t]\s*|\s+/).filter(Boolean);
+        if (fields.length === 0) return null;
+        if (fields.every(field => NUMBER_PATTERN.test(field))) {
+            return plotterValues(fields.map((value, i) => [plotterCsvHeader?.[i] || `col${i + 1}`, value]));
+        }
+        if (fields.every(field => /^[A-Za-z_][\w.]*$/.test(field))) plotterCsvHeader = fields;
+        return null;
+    }
+
+    return plotterValues([...text.matchAll(KEY_VALUE_PATTERN)].map(match => [match[1], match[2]]));
+}
+
+function plotterValues(pairs) {
+    const values = {};
+    pairs.forEach(([name, value]) => {
+        const number = value === undefined ? NaN : parseFloat(value);
+        if (Number.isFinite(number)) values[name] = number;
+    });
+    return Object.keys(values).length > 0 ? values : null;
+}
+
+function plotSerialLines(lines) {
+    if (!plotterActive) return;
+
+    const samples = [];
+    lines.forEach(line => {
+        const values = parsePlotterLine(line.message ?? line.text);
+        if (!values) return;
+        Object.keys(values).forEach(name => {
+            if (plotterSeries.some(series => series.name === name)) return;
+            plotterSeries.push({ name, color: PLOTTER_COLORS[plotterSeries.length % PLOTTER_COLORS.length], visible: true });
+            renderPlotterLegend();
+        });
+        samples.push({ time: line.time, values });
+    });
+    if (samples.length === 0) return;
+
+    spreadPlotterTimes(samples);
+    plotterSamples.push(...samples);
+    if (plotterSamples.length > PLOTTER_MAX_SAMPLES) {
+        plotterSamples.splice(0, plotterSamples.length - PLOTTER_MAX_SAMPLES);
+    }
+    if (!plotterPaused) schedulePlotterDraw();
+}
+
+// As linhas de uma mesma leitura da serial têm o mesmo horário; as amostras
+// de cada leitura são distribuídas entre a amostra anterior e esse horário,
+// em vez de empilhadas no mesmo x
+function spreadPlotterTimes(samples) {
+    let previous = plotterSamples.length > 0 ? plotterSamples[plotterSamples.length - 1].time : -Infinity;
+    let start = 0;
+    while (start < samples.length) {
+        const time = samples[start].time;
+        let end = start;
+        while (end < samples.length && samples[end].time === time) end++;
+
+        const from = Math.min(time, Math.max(previous, time - PLOTTER_SPREAD_MAX_MS));
+        const count = end - start;
+        for (let i = start; i < end; i++) {
+            samples[i].time = Math.round(from + (time - from) * (i - start + 1) / count);
+        }
+        previous = time;
+        start = end;
+    }
+}
+
+function renderPlotterLegend() {
+    const legend = document.getElementById('plotterLegend');
+    legend.innerHTML = '';
+    plotterSeries.forEach(series => {
+        const label = document.createElement('label');
+        label.className = 'toggle';
+        label.style.color = series.color;
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = series.visible;
+        box.addEventListener('change', () => {
+            series.visible = box.checked;
+            schedulePlotterDraw();
+        });
+        label.append(box, series.name);
+        legend.appendChild(label);
+    });
+}
+
+function togglePlotterPause() {
+    plotterPaused = !plotterPaused;
+    plotterViewEnd = plotterPaused ? plotterLastTime() : null;
+    document.getElementById('plotterPause').textContent = plotterPaused ? '▶️ Continuar' : '⏸️ Pausar';
+    schedulePlotterDraw();
+}
+
+function zoomPlotter(factor) {
+    plotterWindowMs = Math.min(PLOTTER_MAX_WINDOW_MS, Math.max(PLOTTER_MIN_WINDOW_MS, plotterWindowMs * factor));
+    schedulePlotterDraw();
+}
+
+function clearPlotter() {
+    plotterSamples = [];
+    plotterSeries = [];
+    plotterCsvHeader = null;
+    plotterViewEnd = plotterPaused ? Date.now() : null;
+    renderPlotterLegend();
+    schedulePlotterDraw();
+}
+
+function exportPlotterCsv() {
+    if (plotterSamples.length === 0) return;
+
+    const names = plotterSeries.map(series => series.name);
+    const start = plotterSamples[0].time;
+    const rows = [['time_ms', ...names].join(',')];
+    plotterSamples.forEach(sample => {
+        rows.push([sample.time - start, ...names.map(name => sample.values[name] ?? '')].join(','));
+    });
+
+    const blob = new Blob([`${rows.join('\n')}\n`], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `serial-plot-${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Arrastar (com o gráfico pausado) move a janela no tempo
+function initPlotterCanvas() {
+    const canvas = document.getElementById('plotterCanvas');
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        zoomPlotter(e.deltaY > 0 ? PLOTTER_ZOOM_STEP : 1 / PLOTTER_ZOOM_STEP);
+    }, { passive: false });
+    canvas.addEventListener('mousedown', (e) => {
+        if (!plotterPaused) return;
+        plotterDrag = { x: e.clientX, end: plotterViewEnd };
+    });
+    window.addEventListener('mousemove', (e) => {
+        if (!plotterDrag) return;
+        const width = canvas.clientWidth - PLOTTER_MARGIN.left - PLOTTER_MARGIN.right;
+        plotterViewEnd = plotterDrag.end - (e.clientX - plotterDrag.x) * plotterWindowMs / width;
+        schedulePlotterDraw();
+    });
+    window.addEventListener('mouseup', () => {
+        plotterDrag = null;
+    });
+    window.addEventListener('resize', schedulePlotterDraw);
+}
+
+function plotterLastTime() {
+    return plotterSamples.length > 0 ? plotterSamples[plotterSamples.length - 1].time : Date.now();
+}
+
+function schedulePlotterDraw() {
+    if (!plotterActive || plotterDrawPending) return;
+    plotterDrawPending = true;
+    requestAnimationFrame(drawPlotter);
+}
+
+function drawPlotter() {
+    plotterDrawPending = false;
+    const canvas = document.getElementById('plotterCanvas');
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const style = getComputedStyle(document.documentElement);
+    const gridColor = style.getPropertyValue('--border-color').trim();
+    const textColor = style.getPropertyValue('--text-secondary').trim();
+    ctx.font = '11px monospace';
+
+    const end = plotterPaused ? plotterViewEnd : plotterLastTime();
+    const start = end - plotterWindowMs;
+    const origin = plotterSamples.length > 0 ? plotterSamples[0].time : start;
+    // Uma amostra antes e uma depois da janela, para a linha chegar às bordas
+    let first = plotterSamples.findIndex(sample => sample.time >= start);
+    if (first === -1) first = plotterSamples.length;
+    const lastIndex = plotterSamples.findIndex(sample => sample.time > end);
+    const samples = plotterSamples.slice(Math.max(0, first - 1), lastIndex === -1 ? undefined : lastIndex + 1);
+    const series = plotterSeries.filter(s => s.visible);
+
+    let min = Infinity;
+    let max = -Infinity;
+    samples.forEach(sample => series.forEach(s => {
+        const value = sample.values[s.name];
+        if (value === undefined) return;
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }));
+    if (min === Infinity) {
+        min = 0;
+        max = 1;
+    } else if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const padding = (max - min) * 0.05;
+    min -= padding;
+    max += padding;
+
+    const plot = {
+        left: PLOTTER_MARGIN.left,
+        right: width - PLOTTER_MARGIN.right,
+        top: PLOTTER_MARGIN.top,
+        bottom: height - PLOTTER_MARGIN.bottom
+    };
+    const x = time => plot.left + (time - start) / plotterWindowMs * (plot.right - plot.left);
+    const y = value => plot.bottom - (value - min) / (max - min) * (plot.bottom - plot.top);
+
+    ctx.strokeStyle = gridColor;
+    ctx.fillStyle = textColor;
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+        const value = min + (max - min) * i / 4;
+        const top = Math.round(y(value)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, top);
+        ctx.lineTo(plot.right, top);
+        ctx.stroke();
+        ctx.textAlign = 'right';
+        ctx.fillText(Number(value.toPrecision(4)).toString(), plot.left - 6, top + 4);
+    }
+    for (let i = 0; i <= 4; i++) {
+        const time = start + plotterWindowMs * i / 4;
+        ctx.textAlign = i === 0 ? 'left' : i === 4 ? 'right' : 'center';
+        ctx.fillText(`${((time - origin) / 1000).toFixed(1)}s`, x(time), height - 6);
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+    ctx.clip();
+    ctx.lineWidth = 1.5;
+    series.forEach(s => {
+        ctx.strokeStyle = s.color;
+        ctx.beginPath();
+        let drawing = false;
+        samples.forEach(sample => {
+            const value = sample.values[s.name];
+            if (value === undefined) return;
+            if (drawing) {
+                ctx.lineTo(x(sample.time), y(value));
+            } else {
+                ctx.moveTo(x(sample.time), y(value));
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+    });
+    ctx.restore();
+
+    document.getElementById('plotterInfo').textContent =
+        `${plotterSamples.length} amostras · janela de ${(plotterWindowMs / 1000).toFixed(plotterWindowMs < 10000 ? 1 : 0)}s`;
+}
+
+// ============================================
+// Envio serial: hex, fim de linha e macros
+// ============================================
+
+// Bytes recebidos no modo hex viram linhas de 16 bytes (offset, hex e ASCII);
+// o resto de uma linha sai depois de um intervalo sem dados, o que costuma
+// separar os quadros de um protocolo binário.
+const HEX_ROW_BYTES = 16;
+const HEX_FLUSH_MS = 100;
+const LINE_ENDING_BYTES = { none: [], cr: [0x0d], lf: [0x0a], crlf: [0x0d, 0x0a] };
+
+let monitorHexPending = [];
+let monitorHexOffset = 0;
+let monitorHexTimer = null;
+let serialWriteQueue = Promise.resolve();
+let serialMacros = [];
+let macroDraft = [];
+let macroTimers = new Map();    // nome da macro → { timer } da repetição ativa
+
+function appendHexData(bytes) {
+    for (const byte of bytes) monitorHexPending.push(byte);
+
+    const lines = [];
+    while (monitorHexPending.length >= HEX_ROW_BYTES) {
+        lines.push(hexDumpLine(monitorHexPending.splice(0, HEX_ROW_BYTES)));
+    }
+    addMonitorLines(lines);
+
+    clearTimeout(monitorHexTimer);
+    if (monitorHexPending.length > 0) monitorHexTimer = setTimeout(flushHexData, HEX_FLUSH_MS);
+}
+
+function flushHexData() {
+    clearTimeout(monitorHexTimer);
+    if (monitorHexPending.length === 0) return;
+    addMonitorLines([hexDumpLine(monitorHexPending.splice(0))]);
+}
+
+function hexDumpLine(bytes) {
+    const hex = formatHexBytes(bytes).padEnd(HEX_ROW_BYTES * 3 - 1);
+    const ascii = bytes.map(byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    const line = monitorLine('hex', [
+        { text: `${monitorHexOffset.toString(16).padStart(8, '0')}  `, classes: ['monitor-time'] },
+        { text: `${hex}  |${ascii}|` }
+    ]);
+    monitorHexOffset += bytes.length;
+    return line;
+}
+
+// Troca de modo fecha a linha pendente do modo anterior
+function updateMonitorView() {
+    if (document.getElementById('monitorView').value === 'hex') {
+        flushSerialPartial();
+    } else {
+        flushHexData();
+    }
+}
+
+function formatHexBytes(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+}
+
+// Bytes separados ou não por espaço/vírgula, com ou sem 0x (como nas macros do servidor)
+function parseHexBytes(text) {
+    const tokens = text.trim().split(/[\s,]+/).filter(Boolean)
+        .map(token => token.replace(/^0x/i, ''))
+        .map(token => (token.length === 1 ? `0${token}` : token));
+    const digits = tokens.join('');
+    if (!/^([0-9a-f]{2})*$/i.test(digits)) return null;
+    return digits.match(/../g)?.map(pair => parseInt(pair, 16)) ?? [];
+}
+
+function serialPayload(format, payload, lineEnding) {
+    let bytes;
+    if (format === 'hex') {
+        bytes = parseHexBytes(payload);
+        if (!bytes) throw new Error('bytes em hexadecimal inválidos (ex.: 01 A0 FF)');
+    } else {
+        bytes = Array.from(new TextEncoder().encode(payload));
+    }
+    return Uint8Array.from([...bytes, ...(LINE_ENDING_BYTES[lineEnding] || [])]);
+}
+
+// Escritas em fila: macros repetidas e envios manuais não disputam o writer
+function writeSerial(bytes) {
+    const write = serialWriteQueue.then(async () => {
+        if (!serialPort?.writable) throw new Error('porta serial desconectada');
+        const writer = serialPort.writable.getWriter();
+        try {
+            await writer.write(bytes);
+        } finally {
+            writer.releaseLock();
+        }
+    });
+    serialWriteQueue = write.catch(() => { });
+    return write;
+}
+
+async function loadSerialMacros() {
+    stopMacroTimers();
+    serialMacros = [];
+    renderMacroBar();
+    if (!currentProject) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/serial-macros`);
+        const data = await response.json();
+        if (!response.ok) return;
+        serialMacros = data.macros;
+        renderMacroBar();
+    } catch (err) {
+        // Sem macros
+    }
+}
+
+function renderMacroBar() {
+    const bar = document.getElementById('macroBar');
+    bar.querySelectorAll('.macro-button').forEach(button => button.remove());
+    const connected = Boolean(serialPort?.writable);
+
+    serialMacros.forEach(macro => {
+        const send = document.createElement('button');
+        send.className = 'btn btn-outline btn-sm macro-button';
+        send.textContent = macro.name;
+        send.title = macro.format === 'hex' ? macro.payload : JSON.stringify(macro.payload);
+        send.disabled = !connected;
+        send.addEventListener('click', () => sendMacro(macro));
+        bar.appendChild(send);
+
+        if (!macro.repeatMs) return;
+        const repeat = document.createElement('button');
+        repeat.className = 'btn btn-outline btn-sm macro-button';
+        repeat.classList.toggle('active', macroTimers.has(macro.name));
+        repeat.textContent = macroTimers.has(macro.name) ? '⏹️' : '🔁';
+        repeat.title = `Repetir a cada ${macro.repeatMs} ms`;
+        repeat.disabled = !connected;
+        repeat.addEventListener('click', () => toggleMacroRepeat(macro));
+        bar.appendChild(repeat);
+    });
+}
+
+async function sendMacro(macro) {
+    try {
+        const bytes = serialPayload(macro.format, macro.payload, macro.lineEnding);
+        await writeSerial(bytes);
+        appendMonitor(`> [${macro.name}] ${macro.format === 'hex' ? formatHexBytes(bytes) : macro.payload}\n`);
+    } catch (err) {
+        appendMonitor(`❌ Erro ao enviar '${macro.name}': ${err.message}\n`);
+        if (macroTimers.has(macro.name)) toggleMacroRepeat(macro);
+    }
+}
+
+function toggleMacroRepeat(macro) {
+    if (macroTimers.has(macro.name)) {
+        clearTimeout(macroTimers.get(macro.name).timer);
+        macroTimers.delete(macro.name);
+    } else {
+        const repeat = { timer: null };
+        macroTimers.set(macro.name, repeat);
+        // O próximo envio só é agendado depois que o anterior foi escrito,
+        // então uma porta lenta não acumula escritas na fila
+        const tick = async () => {
+            await sendMacro(macro);
+            if (macroTimers.get(macro.name) === repeat) repeat.timer = setTimeout(tick, macro.repeatMs);
+        };
+        tick();
+    }
+    renderMacroBar();
+}
+
+function stopMacroTimers() {
+    macroTimers.forEach(repeat => clearTimeout(repeat.timer));
+    macroTimers.clear();
+    renderMacroBar();
+}
+
+function showMacroModal() {
+    if (!currentProject) return;
+    macroDraft = serialMacros.map(macro => ({ ...macro }));
+    renderMacroTable();
+    renderMacroIssues([]);
+    document.getElementById('macroModal').style.display = 'flex';
+}
+
+function hideMacroModal() {
+    document.getElementById('macroModal').style.display = 'none';
+}
+
+function renderMacroTable() {
+    const tbody = document.getElementById('macroBody');
+    tbody.innerHTML = '';
+
+    macroDraft.forEach((macro, index) => {
+        const row = document.createElement('tr');
         row.dataset.index = index;
+        row.innerHTML = `
+            <td><input type="text" data-field="name" maxlength="40"></td>
+            <td><select data-field="format">
+                <option value="text">Texto</option>
+                <option value="hex">Hex</option>
+            </select></td>
+            <td><input type="text" data-field="payload"></td>
+            <td><select data-field="lineEnding">
+                <option value="none">Nenhum</option>
+                <option value="cr">CR</option>
+                <option value="lf">LF</option>
+                <option value="crlf">CRLF</option>
+            </select></td>
+            <td><input type="number" data-field="repeatMs" min="50" step="50" placeholder="não repete"></td>
+            <td><button class="btn btn-icon" onclick="removeMacro(${index})">🗑️</button></td>
+        `;
+        row.querySelector('[data-field="name"]').value = macro.name;
+        row.querySelector('[data-field="format"]').value = macro.format;
+        row.querySelector('[data-field="payload"]').value = macro.payload;
+        row.querySelector('[data-field="payload"]').placeholder = macro.format === 'hex' ? '01 A0 FF' : 'texto';
+        row.querySelector('[data-field="lineEnding"]').value = macro.lineEnding;
+        row.querySelector('[data-field="repeatMs"]').value = macro.repeatMs ?? '';
         tbody.appendChild(row);
     });
 }
 
-function parseSize(size) {
-    if (typeof size === 'number') return size;
-    if (size.startsWith('0x')) return parseInt(size, 16);
-    const match = size.match(/(\d+)(K|M)?/i);
-    if (!match) return 0;
-    const num = parseInt(match[1]);
-    if (match[2]?.toUpperCase() === 'K') return num * 1024;
-    if (match[2]?.toUpperCase() === 'M') return num * 1024 * 1024;
-    return num;
+function renderMacroIssues(errors) {
+    const issues = document.getElementById('macroIssues');
+    issues.innerHTML = '';
+
+    document.querySelectorAll('#macroBody [data-field]').forEach(input => {
+        input.classList.remove('input-invalid');
+        input.title = '';
+    });
+
+    errors.forEach(error => {
+        const item = document.createElement('div');
+        item.className = 'partitions-issue error';
+        item.textContent = error.row !== null && error.row !== undefined
+            ? `❌ Macro ${error.row + 1}: ${error.message}`
+            : `❌ ${error.message}`;
+        issues.appendChild(item);
+
+        const input = document.querySelector(`#macroBody tr[data-index="${error.row}"] [data-field="${error.field}"]`);
+        if (input) {
+            input.classList.add('input-invalid');
+            input.title = error.message;
+        }
+    });
 }
 
-function addPartition() {
-    partitionsData.push({
-        name: 'new_partition',
-        type: 'data',
-        subtype: 'spiffs',
-        offset: '',
-        size: '0x10000'
+function collectMacros() {
+    macroDraft = [...document.querySelectorAll('#macroBody tr')].map(row => {
+        const repeatMs = row.querySelector('[data-field="repeatMs"]').value;
+        return {
+            name: row.querySelector('[data-field="name"]').value,
+            format: row.querySelector('[data-field="format"]').value,
+            payload: row.querySelector('[data-field="payload"]').value,
+            lineEnding: row.querySelector('[data-field="lineEnding"]').value,
+            repeatMs: repeatMs ? Number(repeatMs) : null
+        };
     });
-    renderPartitions(partitionsData);
+    return macroDraft;
 }
 
-window.removePartition = function (index) {
-    partitionsData.splice(index, 1);
-    renderPartitions(partitionsData);
+function addMacro() {
+    collectMacros();
+    macroDraft.push({ name: '', format: 'text', payload: '', lineEnding: 'lf', repeatMs: null });
+    renderMacroTable();
+}
+
+window.removeMacro = function (index) {
+    collectMacros();
+    macroDraft.splice(index, 1);
+    renderMacroTable();
 };
 
-async function savePartitions() {
+async function saveMacros() {
     if (!currentProject) return;
 
-    // Collect data from table
-    const partitions = [];
-    document.querySelectorAll('#partitionsBody tr').forEach(row => {
-        partitions.push({
-            name: row.querySelector('[data-field="name"]').value,
-            type: row.querySelector('[data-field="type"]').value,
-            subtype: row.querySelector('[data-field="subtype"]').value,
-            offset: row.querySelector('[data-field="offset"]').value,
-            size: row.querySelector('[data-field="size"]').value
-        });
-    });
-
     try {
-        await fetch(`${API_BASE}/api/project/${currentProject.id}/partitions`, {
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/serial-macros`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ partitions })
+            body: JSON.stringify({ macros: collectMacros() })
         });
+        const data = await response.json();
+        if (!response.ok) {
+            renderMacroIssues(data.errors?.length ? data.errors : [{ row: null, message: data.error }]);
+            return;
+        }
 
-        appendTerminal('💾 Partições salvas!\n', 'success');
+        // Macros renomeadas ou removidas não podem ficar repetindo
+        stopMacroTimers();
+        serialMacros = data.macros;
+        renderMacroBar();
+        hideMacroModal();
     } catch (err) {
-        appendTerminal(`❌ Erro ao salvar: ${err.message}\n`, 'error');
+        renderMacroIssues([{ row: null, message: err.message }]);
     }
 }
 
 // ============================================
-// Serial Monitor
+// Decodificação de panic no monitor
 // ============================================
 
-let isSerialConnecting = false;
+// Bloco do crash: endereços do "Backtrace:" (Xtensa) ou dos registradores
+// MEPC/RA (RISC-V), enviados ao servidor quando aparece o "ELF file SHA256"
+// (que identifica o build gravado), o "Rebooting..." ou a saída para
+const CRASH_SETTLE_MS = 500;
+let serialCrashPending = '';
+let crashCapture = null;
+let lastCrashElfSha256 = null;
+
+function scanSerialCrash(text) {
+    const lines = (serialCrashPending + text).split(/\r?\n/);
+    serialCrashPending = lines.pop().slice(-1024);
+    lines.forEach(line => {
+        scanCrashLine(line);
+        scanCoredumpLine(line);
+    });
+}
 
-async function toggleSerial() {
-    const btn = document.getElementById('connectSerial');
+function scanCrashLine(line) {
+    if (!crashCapture && /Guru Meditation Error|abort\(\) was called|Backtrace:/.test(line)) {
+        crashCapture = { title: line.trim(), addresses: [], elfSha256: null, timer: null };
+    }
+    if (!crashCapture) return;
 
-    if (isSerialConnecting) {
-        appendMonitor('⏳ Aguarde, operação em andamento...\n');
-        return;
+    const backtrace = line.match(/Backtrace:(.*)$/);
+    if (backtrace) {
+        for (const [, pc] of backtrace[1].matchAll(/(0x[0-9a-fA-F]{8}):0x[0-9a-fA-F]{8}/g)) {
+            crashCapture.addresses.push(pc);
+        }
+    }
+    for (const [, , value] of line.matchAll(/\b(MEPC|RA)\s*:\s*(0x[0-9a-fA-F]{8})/g)) {
+        crashCapture.addresses.push(value);
+    }
+    const elfSha = line.match(/ELF file SHA256:\s*([0-9a-fA-F]+)/);
+    if (elfSha) {
+        crashCapture.elfSha256 = elfSha[1];
+        lastCrashElfSha256 = elfSha[1];
     }
 
-    if (serialPort) {
-        await disconnectSerial();
-        btn.textContent = '🔌 Conectar';
+    clearTimeout(crashCapture.timer);
+    if (elfSha || /Rebooting\.\.\./.test(line)) {
+        decodeCrash();
     } else {
-        await connectSerial();
+        crashCapture.timer = setTimeout(decodeCrash, CRASH_SETTLE_MS);
     }
 }
 
-async function connectSerial() {
-    if (!('serial' in navigator)) {
-        appendMonitor('❌ Web Serial API não suportada neste navegador!\n');
-        appendMonitor('💡 Use Chrome, Edge ou Opera para acessar o monitor serial.\n');
-        return;
-    }
+async function decodeCrash() {
+    const crash = crashCapture;
+    crashCapture = null;
+    if (!crash) return;
+    clearTimeout(crash.timer);
 
-    isSerialConnecting = true;
-    const btn = document.getElementById('connectSerial');
+    const addresses = crash.addresses.filter(address => !/^0x0+$/.test(address));
+    if (addresses.length === 0 || !currentProject) return;
+
+    const projectId = currentProject.id;
+    const requestBacktrace = buildId => fetch(`${API_BASE}/api/project/${projectId}/backtrace`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ addresses, elfSha256: crash.elfSha256, buildId })
+    });
 
     try {
-        // Se já temos uma porta, verificar se está aberta
-        if (serialPort) {
-            try {
-                // Tentar fechar primeiro se já existir
-                if (serialReader) {
-                    await serialReader.cancel().catch(() => { });
-                    serialReader = null;
-                }
-                await serialPort.close().catch(() => { });
-            } catch (e) {
-                // Ignorar erros ao fechar
-            }
-            serialPort = null;
+        // O build gravado pelo flasher tem prioridade sobre o hash do ELF
+        const flashedBuildId = readFlashedBuilds()[projectId];
+        let response = await requestBacktrace(flashedBuildId);
+        if (response.status === 404 && flashedBuildId) {
+            // Build apagado: esquecer e cair no hash / último build
+            setFlashedBuild(projectId, null);
+            response = await requestBacktrace(undefined);
         }
-
-        // Solicitar nova porta
-        serialPort = await navigator.serial.requestPort();
-        const baudRate = parseInt(document.getElementById('baudRate').value);
-
-        // Verificar se a porta já está aberta
-        if (serialPort.readable) {
-            appendMonitor('⚠️ Porta já estava aberta, reconectando...\n');
-            try {
-                await serialPort.close();
-            } catch (e) {
-                // Ignorar
-            }
+        const data = await response.json();
+        if (!response.ok) {
+            appendMonitor(`\n⚠️ Backtrace não decodificado: ${data.error}\n`);
+            return;
         }
-
-        // Abrir a porta
-        await serialPort.open({ baudRate });
-
-        document.getElementById('serialInput').disabled = false;
-        document.getElementById('sendSerial').disabled = false;
-        document.getElementById('serialConnectionStatus').innerHTML = '<span class="dot online"></span><span>Conectado</span>';
-        btn.textContent = '🔌 Desconectar';
-
-        appendMonitor(`✅ Conectado! Baud rate: ${baudRate}\n`);
-        appendMonitor('📟 Aguardando dados...\n\n');
-
-        // Atualizar aviso de flash
-        updateFlashWarning();
-
-        // Start reading
-        readSerial();
-
+        renderBacktrace(crash, data);
     } catch (err) {
-        serialPort = null;
-        if (err.name === 'NotFoundError') {
-            // Usuário cancelou
-            appendMonitor('ℹ️ Seleção de porta cancelada.\n');
-        } else if (err.message.includes('already open')) {
-            appendMonitor('⚠️ Porta já está aberta. Tentando reconectar...\n');
-            // Forçar reset
-            serialPort = null;
-            serialReader = null;
-        } else {
-            appendMonitor(`❌ Erro ao conectar: ${err.message}\n`);
-        }
-        btn.textContent = '🔌 Conectar';
-    } finally {
-        isSerialConnecting = false;
+        appendMonitor(`\n⚠️ Backtrace não decodificado: ${err.message}\n`);
     }
 }
 
-async function readSerial() {
-    const decoder = new TextDecoder();
-
-    while (serialPort?.readable) {
-        try {
-            serialReader = serialPort.readable.getReader();
+// Local do frame: arquivos do projeto abrem no editor na linha
+function backtraceSegment(frame) {
+    return {
+        text: frame.file ? `${frame.file}:${frame.line ?? '?'}` : '??',
+        classes: [],
+        link: frame.inProject ? { file: frame.file, line: frame.line } : null
+    };
+}
 
-            while (true) {
-                const { value, done } = await serialReader.read();
-                if (done) {
-                    serialReader.releaseLock();
-                    break;
-                }
+function backtraceLocation(frame) {
+    return monitorSegment(backtraceSegment(frame));
+}
 
-                let text = decoder.decode(value);
+function renderBacktrace(crash, data) {
+    const source = data.matchedBy === 'elf-sha256' ? 'ELF conferido pelo SHA256'
+        : data.matchedBy === 'build' ? 'build gravado pelo flasher' : 'último build do projeto';
+    const lines = [
+        monitorLine('crash', [{ text: `🧩 ${crash.title}`, classes: ['backtrace-header'] }]),
+        monitorLine('crash', [{
+            text: `   build ${new Date(data.builtAt).toLocaleString()} (${data.target}, ${source})`,
+            classes: ['backtrace-header']
+        }])
+    ];
+    if (data.warning) {
+        lines.push(monitorLine('crash', [{ text: `⚠️ ${data.warning}`, classes: ['backtrace-warning'] }]));
+    }
 
-                if (document.getElementById('showTimestamp').checked) {
-                    const now = new Date().toLocaleTimeString();
-                    text = `[${now}] ${text}`;
-                }
+    data.frames.forEach((frame, index) => {
+        lines.push(monitorLine('crash', [
+            { text: `#${index} ${frame.address} ${frame.function || '??'} em ` },
+            backtraceSegment(frame)
+        ]));
+        frame.inlinedBy.forEach(inlined => {
+            lines.push(monitorLine('crash', [
+                { text: `      inline em ${inlined.function || '??'} ` },
+                backtraceSegment(inlined)
+            ]));
+        });
+    });
 
-                appendMonitor(text);
-            }
-        } catch (err) {
-            // Port closed or error - this is expected when disconnecting
-            if (err.name !== 'NetworkError') {
-                console.log('Serial read ended:', err.message);
-            }
-        } finally {
-            if (serialReader) {
-                try {
-                    serialReader.releaseLock();
-                } catch (e) {
-                    // Ignore
-                }
-            }
-        }
-        break; // Exit loop after reader is done
-    }
+    addMonitorLines(lines);
 }
 
-async function disconnectSerial() {
-    const btn = document.getElementById('connectSerial');
+// ============================================
+// Core Dump
+// ============================================
 
-    try {
-        if (serialReader) {
-            await serialReader.cancel().catch(() => { });
-            serialReader = null;
-        }
+// Core dump impresso na UART: as linhas entre START e END vão para a aba
+// Core Dump, com o hash do ELF do panic para o servidor achar o build
+let uartCoredumpLines = null;
 
-        if (serialPort) {
-            // Aguardar um pouco para garantir que o reader foi liberado
-            await new Promise(resolve => setTimeout(resolve, 100));
+function scanCoredumpLine(line) {
+    if (/=+\s*CORE DUMP START\s*=+/.test(line)) {
+        uartCoredumpLines = [line];
+        return;
+    }
+    if (!uartCoredumpLines) return;
+
+    uartCoredumpLines.push(line);
+    if (/=+\s*CORE DUMP END\s*=+/.test(line)) {
+        const header = lastCrashElfSha256 ? `ELF file SHA256: ${lastCrashElfSha256}\n` : '';
+        document.getElementById('coredumpUart').value = header + uartCoredumpLines.join('\n');
+        document.getElementById('coredumpFile').value = '';
+        uartCoredumpLines = null;
+        appendMonitor('\n🧩 Core dump capturado: analise na aba Core Dump\n');
+    }
+}
 
-            try {
-                await serialPort.close();
-            } catch (e) {
-                // Porta pode já estar fechada
-            }
-            serialPort = null;
-        }
+async function loadCoredumpBuilds() {
+    if (!currentProject) return;
 
-        document.getElementById('serialInput').disabled = true;
-        document.getElementById('sendSerial').disabled = true;
-        document.getElementById('serialConnectionStatus').innerHTML = '<span class="dot offline"></span><span>Desconectado</span>';
+    const select = document.getElementById('coredumpBuild');
+    select.innerHTML = '';
+    select.add(new Option('Build pelo SHA256 do ELF (ou o último)', ''));
 
-        appendMonitor('\n🔌 Desconectado\n');
+    try {
+        const response = await fetch(`${API_BASE}/api/builds?projectId=${currentProject.id}&status=success`);
+        const buildList = await response.json();
+        buildList
+            .filter(b => b.artifacts)
+            .forEach(build => {
+                Object.keys(build.artifacts).forEach(target => {
+                    const option = new Option(`${new Date(build.endTime).toLocaleString()} (${target})`, build.id);
+                    option.dataset.target = target;
+                    select.add(option);
+                });
+            });
     } catch (err) {
-        appendMonitor(`⚠️ Erro ao desconectar: ${err.message}\n`);
-    } finally {
-        serialPort = null;
-        serialReader = null;
-        btn.textContent = '🔌 Conectar';
-        updateFlashWarning();
+        // Sem builds: o servidor responde com a mensagem
     }
 }
 
-async function sendSerialData() {
-    if (!serialPort?.writable) return;
-
-    const input = document.getElementById('serialInput');
-    const text = input.value + '\n';
+async function analyzeCoredump() {
+    if (!currentProject) return;
 
-    const encoder = new TextEncoder();
-    const writer = serialPort.writable.getWriter();
+    const file = document.getElementById('coredumpFile').files[0];
+    const uart = document.getElementById('coredumpUart').value;
+    const option = document.getElementById('coredumpBuild').selectedOptions[0];
+    const issues = document.getElementById('coredumpIssues');
+    const result = document.getElementById('coredumpResult');
+    issues.innerHTML = '';
+    result.innerHTML = '<p class="placeholder">Analisando...</p>';
+
+    const form = new FormData();
+    if (file) {
+        form.append('coredump', file);
+    } else {
+        form.append('uart', uart);
+    }
+    if (option?.value) {
+        form.append('buildId', option.value);
+        form.append('target', option.dataset.target);
+    }
 
     try {
-        await writer.write(encoder.encode(text));
-        appendMonitor(`> ${input.value}\n`);
-        input.value = '';
+        const response = await fetch(`${API_BASE}/api/project/${currentProject.id}/coredump`, {
+            method: 'POST',
+            body: form
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            result.innerHTML = '';
+            issues.innerHTML = '<div class="partitions-issue error"></div>';
+            issues.firstChild.textContent = `❌ ${data.error}`;
+            return;
+        }
+        renderCoredump(data);
     } catch (err) {
-        appendMonitor(`❌ Erro ao enviar: ${err.message}\n`);
-    } finally {
-        writer.releaseLock();
+        result.innerHTML = '';
+        appendTerminal(`❌ Erro ao analisar core dump: ${err.message}\n`, 'error');
     }
 }
 
-function appendMonitor(text) {
-    const output = document.getElementById('monitorOutput');
-    output.textContent += text;
+function coredumpFrames(frames) {
+    const list = document.createElement('pre');
+    list.className = 'coredump-frames';
+    frames.forEach(frame => {
+        const line = document.createElement('span');
+        line.className = 'backtrace-frame';
+        line.append(`#${frame.index} ${frame.address || ''} ${frame.function || '??'}(${frame.args}) em `, backtraceLocation(frame));
+        list.appendChild(line);
+    });
+    return list;
+}
 
-    if (document.getElementById('autoScroll').checked) {
-        const body = document.getElementById('monitorBody');
-        body.scrollTop = body.scrollHeight;
+function renderCoredump(data) {
+    const result = document.getElementById('coredumpResult');
+    result.innerHTML = '';
+
+    const section = (title) => {
+        const h3 = document.createElement('h3');
+        h3.textContent = title;
+        result.appendChild(h3);
+    };
+
+    const summary = document.createElement('div');
+    summary.className = 'coredump-summary';
+    const task = data.crashedTask
+        ? `Tarefa '${data.crashedTask.name}' (TCB ${data.crashedTask.handle})${data.inInterrupt ? ', em interrupção' : ''}`
+        : 'Tarefa do crash não identificada';
+    const source = data.matchedBy === 'elf-sha256' ? 'ELF conferido pelo SHA256'
+        : data.matchedBy === 'build' ? 'build escolhido' : 'último build do projeto';
+    summary.textContent = `💥 ${task}\nBuild ${new Date(data.builtAt).toLocaleString()} (${data.target}, ${source})`;
+    result.appendChild(summary);
+    if (data.warning) {
+        const warning = document.createElement('div');
+        warning.className = 'partitions-issue warning';
+        warning.textContent = `⚠️ ${data.warning}`;
+        result.appendChild(warning);
     }
+
+    section('📚 Backtrace da tarefa do crash');
+    result.appendChild(coredumpFrames(data.stack));
+
+    section('🧮 Registradores');
+    const registers = document.createElement('div');
+    registers.className = 'coredump-registers';
+    data.registers.forEach(register => {
+        const item = document.createElement('span');
+        item.textContent = `${register.name.padEnd(10)} ${register.value}${register.detail && register.detail !== register.value ? `  ${register.detail}` : ''}`;
+        registers.appendChild(item);
+    });
+    result.appendChild(registers);
+
+    section(`🧵 Tarefas (${data.threads.length})`);
+    data.threads.forEach(thread => {
+        const details = document.createElement('details');
+        details.className = 'coredump-thread';
+        details.open = thread.crashed;
+        const title = document.createElement('summary');
+        title.textContent = `${thread.crashed ? '💥 ' : ''}${thread.name} (TCB ${thread.tcb}) — ${thread.frames[0]?.function || '??'}`;
+        details.append(title, coredumpFrames(thread.frames));
+        result.appendChild(details);
+    });
+
+    const raw = document.createElement('details');
+    raw.className = 'coredump-thread';
+    const rawTitle = document.createElement('summary');
+    rawTitle.textContent = 'Saída completa do esp-coredump';
+    const rawOutput = document.createElement('pre');
+    rawOutput.className = 'coredump-frames';
+    rawOutput.textContent = data.output;
+    raw.append(rawTitle, rawOutput);
+    result.appendChild(raw);
 }
 
 function clearMonitor() {
-    document.getElementById('monitorOutput').textContent = '';
+    monitorFirstId = monitorNextId;
+    monitorLines = [];
+    monitorVisible = [];
+    monitorPartial = '';
+    monitorPartialTime = null;
+    monitorTags = new Set();
+    monitorTagsChanged = true;
+    clearTimeout(monitorHexTimer);
+    monitorHexPending = [];
+    monitorHexOffset = 0;
+    scheduleMonitorRender(true);
 }
 
+// Todas as linhas guardadas, sem os filtros (com o horário se o Timestamp estiver marcado)
 function downloadLogs() {
-    const content = document.getElementById('monitorOutput').textContent;
+    const showTime = document.getElementById('showTimestamp').checked;
+    const lines = monitorLines.map(line => showTime
+        ? `[${new Date(line.time).toLocaleTimeString()}] ${line.text}`
+        : line.text);
+    if (monitorPartial) lines.push(createMonitorLine(monitorPartial, 'serial', { ...monitorAnsi }).text);
+
+    const content = lines.join('\n');
     const blob = new Blob([content], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
 
@@ -1105,6 +4185,14 @@ function clearTerminal() {
     document.getElementById('terminalOutput').textContent = '';
 }
 
+function downloadBuildLog() {
+    if (!lastJobId) {
+        appendTerminal('❌ Nenhum build ou comando executado ainda.\n', 'error');
+        return;
+    }
+    window.open(`${API_BASE}/api/build/${lastJobId}/log`, '_blank');
+}
+
 // ============================================
 // Projects List
 // ============================================
@@ -1119,8 +4207,29 @@ async function loadProjects() {
             updateProjectUI();
             enableButtons();
             loadFileTree();
+            loadSerialMacros();
+            subscribeProjectLogs();
+            resumeActiveBuild();
         }
     } catch (err) {
         // No projects yet
     }
 }
+
+// Retomar acompanhamento de um build em andamento (ex.: após recarregar a página)
+async function resumeActiveBuild() {
+    try {
+        const response = await fetch(`${API_BASE}/api/builds?projectId=${currentProject.id}&status=queued,building&limit=1`);
+        const [active] = await response.json();
+        if (!active) return;
+
+        currentBuildId = active.id;
+        isBuildInProgress = true;
+        isBuildComplete = false;
+        setActiveJob(active.id);
+        updateStatus('Compilando...', 'building');
+        pollBuildStatus(active.id);
+    } catch (err) {
+        // Sem builds em andamento
+    }
+}
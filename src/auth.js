@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+
+// Usuários, sessões e tokens de API, guardados no mesmo registro dos projetos.
+// O navegador usa um cookie de sessão (HttpOnly), que também vale para os
+// downloads, o manifest lido pelo ESP Web Tools e o upgrade do /ws; scripts e
+// CI usam "Authorization: Bearer <token>". Senhas ficam com scrypt e tokens
+// apenas como hash SHA-256, então o registry.json não tem nenhum segredo usável.
+
+export const SESSION_COOKIE = 'esp_session';
+const API_TOKEN_PREFIX = 'espidf_';
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+export function authError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Hash usado no login de usuário inexistente
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+        const name = pair.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (e) {
+            // Cookie malformado: ignorar
+        }
+    });
+    return cookies;
+}
+
+// Token da requisição: Bearer tem precedência sobre o cookie
+function requestToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (match) return match[1];
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Dados do usuário que podem sair na API (nunca hashes)
+export function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        createdAt: user.createdAt
+    };
+}
+
+export function isAdmin(user) {
+    return user?.role === 'admin';
+}
+
+// Projetos recuperados do disco sem dono ficam visíveis só para admins
+export function canAccessProject(user, project) {
+    if (!user || !project) return false;
+    return isAdmin(user) || project.ownerId === user.id || (project.sharedWith || []).includes(user.id);
+}
+
+export function canManageProject(user, project) {
+    if (!user || !project) return false;
+    return isAdmin(user) || project.ownerId === user.id;
+}
+
+export function createAuth({ users, sessions, persist, sessionTtlMs }) {
+    function findByUsername(username) {
+        const wanted = String(username || '').toLowerCase();
+        return [...users.values()].find(u => u.username.toLowerCase() === wanted) || null;
+    }
+
+    function createUser({ username, password, role = 'user' }) {
+        if (!USERNAME_PATTERN.test(username || '')) {
+            throw authError('Usuário inválido: use 3 a 32 letras, números, ".", "_" ou "-"');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw authError(`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`);
+        }
+        if (!['admin', 'user'].includes(role)) {
+            throw authError('Papel inválido. Use: admin, user');
+        }
+        if (findByUsername(username)) {
+            throw authError('Usuário já existe', 409);
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            role,
+            passwordHash: hashPassword(password),
+            apiTokens: [],
+            createdAt: Date.now()
+        };
+        users.set(user.id, user);
+        persist();
+        return user;
+    }
+
+    // Sem nenhum usuário cadastrado, criar o admin inicial. Sem senha
+    // configurada, uma aleatória é gerada e mostrada uma única vez no console.
+    function ensureAdmin({ username, password }) {
+        if (users.size > 0) return null;
+        const initialPassword = password || crypto.randomBytes(12).toString('base64url');
+        const user = createUser({ username, password: initialPassword, role: 'admin' });
+        return { user, generatedPassword: password ? null : initialPassword };
+    }
+
+    function login(username, password) {
+        const user = findByUsername(username);
+        // Mesmo custo de scrypt com ou sem usuário, para não revelar quais existem
+        const valid = verifyPassword(String(password || ''), user?.passwordHash || DUMMY_PASSWORD_HASH);
+        if (!user || !valid) {
+            throw authError('Usuário ou senha inválidos', 401);
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            id: hashToken(token),
+            userId: user.id,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + sessionTtlMs
+        };
+        sessions.set(session.id, session);
+        persist();
+        return { token, user, expiresAt: session.expiresAt };
+    }
+
+    function logout(req) {
+        const token = requestToken(req);
+        if (token && sessions.delete(hashToken(token))) persist();
+    }
+
+    function userForToken(token) {
+        if (!token) return null;
+        const tokenHash = hashToken(token);
+
+        if (token.startsWith(API_TOKEN_PREFIX)) {
+            for (const user of users.values()) {
+                const apiToken = (user.apiTokens || []).find(t => t.hash === tokenHash);
+                if (apiToken) {
+                    apiToken.lastUsedAt = Date.now();
+                    persist();
+                    return user;
+                }
+            }
+            return null;
+        }
+
+        const session = sessions.get(tokenHash);
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            sessions.delete(tokenHash);
+            persist();
+            return null;
+        }
+        return users.get(session.userId) || null;
+    }
+
+    // Usuário autenticado de uma requisição HTTP (ou do upgrade do WebSocket)
+    function authenticate(req) {
+        return userForToken(requestToken(req));
+    }
+
+    function changePassword(user, currentPassword, newPassword) {
+        if (!verifyPassword(String(currentPassword || ''), user.passwordHash)) {
+            throw authError('Senha atual incorreta', 403);
+        }
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+            throw authError(`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`);
+        }
+        user.passwordHash = hashPassword(newPassword);
+        // Encerrar as outras sessões do usuário
+        for (const [id, session] of sessions) {
+            if (session.userId === user.id) sessions.delete(id);
+        }
+        persist();
+    }
+
+    // O token em texto só existe na resposta da criação
+    function createApiToken(user, name) {
+        const label = String(name || '').trim();
+        if (!label || label.length > 64) {
+            throw authError('Nome do token obrigatório (até 64 caracteres)');
+        }
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const apiToken = {
+            id: crypto.randomUUID(),
+            name: label,
+            hash: hashToken(token),
+            createdAt: Date.now(),
+            lastUsedAt: null
+        };
+        user.apiTokens = [...(user.apiTokens || []), apiToken];
+        persist();
+        return { token, apiToken: publicApiToken(apiToken) };
+    }
+
+    function publicApiToken({ id, name, createdAt, lastUsedAt }) {
+        return { id, name, createdAt, lastUsedAt };
+    }
+
+    function listApiTokens(user) {
+        return (user.apiTokens || []).map(publicApiToken);
+    }
+
+    function revokeApiToken(user, tokenId) {
+        const before = (user.apiTokens || []).length;
+        user.apiTokens = (user.apiTokens || []).filter(t => t.id !== tokenId);
+        if (user.apiTokens.length === before) return false;
+        persist();
+        return true;
+    }
+
+    // Remover sessões vencidas (chamado na inicialização)
+    function pruneSessions() {
+        let removed = 0;
+        for (const [id, session] of sessions) {
+            if (session.expiresAt <= Date.now() || !users.has(session.userId)) {
+                sessions.delete(id);
+                removed++;
+            }
+        }
+        if (removed) persist();
+        return removed;
+    }
+
+    return {
+        createUser,
+        ensureAdmin,
+        findByUsername,
+        login,
+        logout,
+        changePassword,
+        authenticate,
+        createApiToken,
+        listApiTokens,
+        revokeApiToken,
+        pruneSessions
+    };
+}
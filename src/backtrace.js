@@ -0,0 +1,89 @@
+import { existsSync } from 'fs';
+import path from 'path';
+
+// Simbolização de backtraces de panic (Guru Meditation) com o addr2line do
+// toolchain do target, contra o ELF guardado com o build gravado no
+// dispositivo. O monitor serial detecta o bloco do crash e envia só os
+// endereços; os frames voltam com função e arquivo:linha, relativos ao
+// projeto quando o arquivo está nele (mesmo formato dos diagnósticos).
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{1,8}$/;
+export const MAX_BACKTRACE_ADDRESSES = 64;
+
+const RISCV_TARGETS = new Set(['esp32c2', 'esp32c3', 'esp32c6', 'esp32h2']);
+
+function backtraceError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// xtensa-esp32s3-elf-addr2line | riscv32-esp-elf-addr2line
+export function addr2lineTool(target) {
+    return RISCV_TARGETS.has(target) ? 'riscv32-esp-elf-addr2line' : `xtensa-${target}-elf-addr2line`;
+}
+
+export function normalizeAddresses(addresses) {
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+        throw backtraceError('Nenhum endereço para decodificar');
+    }
+    if (addresses.length > MAX_BACKTRACE_ADDRESSES) {
+        throw backtraceError(`Máximo de ${MAX_BACKTRACE_ADDRESSES} endereços por backtrace`);
+    }
+    return addresses.map(address => {
+        const text = String(address).trim();
+        if (!ADDRESS_PATTERN.test(text)) {
+            throw backtraceError(`Endereço inválido: ${text}`);
+        }
+        return `0x${text.slice(2).toLowerCase().padStart(8, '0')}`;
+    });
+}
+
+// -a imprime o endereço, -f a função, -i os frames inline e -p tudo numa linha
+export function addr2lineArgs(target, elfPath, addresses) {
+    return [addr2lineTool(target), '-pfiaC', '-e', elfPath, ...addresses];
+}
+
+// Saída do addr2line -pfiaC:
+//   0x400d1234: app_main at /proj/main/main.c:12
+//    (inlined by) helper at /proj/main/util.h:3
+//   0x40081234: ?? ??:0
+export function parseAddr2line(output, projectPath) {
+    const frames = [];
+
+    function location(functionName, fileLine) {
+        const match = fileLine.match(/^(.*):(\d+|\?)(?: \(discriminator \d+\))?$/);
+        const file = match && match[1] !== '??' ? match[1] : null;
+        const line = match && match[2] !== '?' ? parseInt(match[2], 10) : null;
+        const known = functionName !== '??';
+        const frame = { function: known ? functionName : null, file, line: line || null, inProject: false };
+
+        if (file && projectPath) {
+            const relative = path.relative(projectPath, file);
+            if (!relative.startsWith('..') && !path.isAbsolute(relative) && existsSync(file)) {
+                frame.file = relative.split(path.sep).join('/');
+                frame.inProject = true;
+            }
+        }
+        return frame;
+    }
+
+    for (const line of output.split('\n')) {
+        const inlined = line.match(/^\s*\(inlined by\)\s+(.*?) at (.*)$/);
+        if (inlined && frames.length > 0) {
+            frames[frames.length - 1].inlinedBy.push(location(inlined[1], inlined[2].trim()));
+            continue;
+        }
+        const frame = line.match(/^(0x[0-9a-fA-F]+):\s+(.*)$/);
+        if (!frame) continue;
+        // Sem símbolo a linha é só "?? ??:0"
+        const symbol = frame[2].match(/^(.*?) at (.*)$/);
+        frames.push({
+            address: frame[1].toLowerCase(),
+            ...(symbol ? location(symbol[1], symbol[2].trim()) : location('??', '??:0')),
+            inlinedBy: []
+        });
+    }
+
+    return frames;
+}
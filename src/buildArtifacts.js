@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { existsSync, createReadStream } from 'fs';
+import path from 'path';
+
+// Artefatos de depuração de um build (ELFs, map, project_description.json,
+// compile_commands.json). No build/ do projeto eles são sobrescritos pelo
+// próximo build; copiados para a saída de cada build, o crash de um
+// dispositivo é analisado com o ELF do build que foi gravado nele.
+
+export const ARTIFACTS_SUBDIR = 'artifacts';
+
+// Artefatos presentes no diretório de build: { tipo: caminho relativo a ele }.
+// O nome do ELF vem do project_description.json (app_elf); sem ele, o
+// primeiro .elf na raiz do build.
+export async function findBuildArtifacts(buildDir) {
+    const artifacts = {};
+    const has = file => existsSync(path.join(buildDir, file));
+    let appElf = null;
+
+    if (has('project_description.json')) {
+        artifacts.projectDescription = 'project_description.json';
+        try {
+            const description = JSON.parse(await fs.readFile(path.join(buildDir, 'project_description.json'), 'utf-8'));
+            appElf = description.app_elf || null;
+        } catch (e) {
+            // Arquivo incompleto: procurar o ELF pelo nome
+        }
+    }
+    if (!appElf || !has(appElf)) {
+        appElf = (await fs.readdir(buildDir)).find(file => file.endsWith('.elf')) || null;
+    }
+
+    if (appElf) {
+        artifacts.elf = appElf;
+        const mapFile = appElf.replace(/\.elf$/, '.map');
+        if (has(mapFile)) artifacts.map = mapFile;
+    }
+    if (has('bootloader/bootloader.elf')) artifacts.bootloaderElf = 'bootloader/bootloader.elf';
+    if (has('compile_commands.json')) artifacts.compileCommands = 'compile_commands.json';
+
+    return artifacts;
+}
+
+// SHA-256 do ELF: o panic imprime o início dele ("ELF file SHA256: 1a2b3c4d..."),
+// o que permite achar o build que está rodando no dispositivo
+export function fileSha256(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        createReadStream(file)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
@@ -0,0 +1,136 @@
+import { existsSync, mkdirSync, createWriteStream, readFileSync, readdirSync, openSync, readSync, closeSync, rmSync } from 'fs';
+import path from 'path';
+
+// Logs completos de builds e comandos, um arquivo NDJSON por buildId em
+// DATA_DIR/logs. A gravação é assíncrona (um stream por job em andamento);
+// enquanto o job está aberto as entradas também ficam em memória e o replay
+// lê de lá, então um assinante atrasado recebe tudo até o momento e passa a
+// receber as linhas ao vivo no mesmo tick, sem perder nem duplicar nenhuma.
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Bytes lidos para achar a primeira entrada de um log fechado
+const HEAD_BYTES = 64 * 1024;
+
+export function isValidJobId(id) {
+    return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+function parseEntries(content) {
+    return content
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                // Linha truncada (ex.: processo morto durante a escrita)
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+export function createLogStore(logsDir) {
+    mkdirSync(logsDir, { recursive: true });
+    // buildId → { stream, entries, done }; `done` resolve quando o arquivo foi gravado
+    const openLogs = new Map();
+
+    function logPath(buildId) {
+        if (!isValidJobId(buildId)) {
+            throw new Error(`buildId inválido: ${buildId}`);
+        }
+        return path.join(logsDir, `${buildId}.log`);
+    }
+
+    function readFile(buildId) {
+        return existsSync(logPath(buildId)) ? parseEntries(readFileSync(logPath(buildId), 'utf-8')) : [];
+    }
+
+    function append(buildId, entry) {
+        let log = openLogs.get(buildId);
+        if (!log || log.closing) {
+            // Reaberto depois de fechado: parte do que já foi escrito
+            const entries = log ? [...log.entries] : readFile(buildId);
+            const stream = createWriteStream(logPath(buildId), { flags: 'a' });
+            stream.on('error', err => console.error(`Erro ao gravar log de ${buildId}:`, err.message));
+            log = { stream, entries, closing: false, done: null };
+            openLogs.set(buildId, log);
+        }
+        log.entries.push(entry);
+        log.stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    // Job terminou: fecha o stream e, depois de gravado, solta a memória
+    function close(buildId) {
+        const log = openLogs.get(buildId);
+        if (!log) return Promise.resolve();
+        if (!log.done) {
+            log.closing = true;
+            log.done = new Promise(resolve => {
+                log.stream.end(() => {
+                    if (openLogs.get(buildId) === log) openLogs.delete(buildId);
+                    resolve();
+                });
+            });
+        }
+        return log.done;
+    }
+
+    function exists(buildId) {
+        return isValidJobId(buildId) && (openLogs.has(buildId) || existsSync(logPath(buildId)));
+    }
+
+    // Todas as entradas gravadas até agora ({ buildId, message, type, timestamp })
+    function read(buildId) {
+        if (!exists(buildId)) return [];
+        const log = openLogs.get(buildId);
+        return log ? [...log.entries] : readFile(buildId);
+    }
+
+    // Primeira entrada, sem ler o arquivo todo (identifica o projeto do job)
+    function first(buildId) {
+        if (!exists(buildId)) return null;
+        const log = openLogs.get(buildId);
+        if (log) return log.entries[0] || null;
+
+        const buffer = Buffer.alloc(HEAD_BYTES);
+        const fd = openSync(logPath(buildId), 'r');
+        let length;
+        try {
+            length = readSync(fd, buffer, 0, HEAD_BYTES, 0);
+        } finally {
+            closeSync(fd);
+        }
+        const head = buffer.subarray(0, length).toString('utf-8');
+        const newline = head.indexOf('\n');
+        if (newline === -1) return read(buildId)[0] || null;
+        return parseEntries(head.slice(0, newline))[0] || null;
+    }
+
+    // Log como texto puro, no formato que aparece no terminal
+    function readText(buildId) {
+        return read(buildId).map(entry => {
+            const text = entry.message;
+            return text.endsWith('\n') ? text : text + '\n';
+        }).join('');
+    }
+
+    async function remove(buildId) {
+        if (!isValidJobId(buildId)) return;
+        await close(buildId);
+        rmSync(logPath(buildId), { force: true });
+    }
+
+    // Remover os logs cuja primeira entrada satisfaz `predicate(entry, buildId)`
+    async function removeWhere(predicate) {
+        const ids = readdirSync(logsDir)
+            .filter(name => name.endsWith('.log'))
+            .map(name => name.slice(0, -'.log'.length))
+            .filter(isValidJobId);
+        for (const buildId of ids) {
+            if (predicate(first(buildId), buildId)) await remove(buildId);
+        }
+    }
+
+    return { append, close, exists, read, first, readText, remove, removeWhere };
+}
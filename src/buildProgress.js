@@ -0,0 +1,101 @@
+// Acompanhamento do progresso de um build a partir da saída do idf.py:
+// linhas "[123/987]" do ninja e mensagens que indicam a fase atual.
+// O bootloader é um sub-build com seu próprio ninja ("[3/91]" no meio do
+// build principal); para a barra não voltar, só vale o maior total visto.
+
+const NINJA_PATTERN = /^\s*\[(\d+)\/(\d+)\]\s*(.*)$/;
+
+export const BUILD_PHASES = ['queued', 'configure', 'compile', 'link', 'binaries', 'done'];
+
+function detectPhase(text) {
+    if (/Generating binary image|elf2image|Generating .*\.bin|partition_table_bin|gen_esp32part/i.test(text)) {
+        return 'binaries';
+    }
+    if (/Linking (C|CXX) (executable|static library)|\.elf\b/i.test(text)) {
+        return 'link';
+    }
+    if (/Building (C|CXX|ASM) object|Compiling/i.test(text)) {
+        return 'compile';
+    }
+    if (/^-- |Running cmake|Executing action: (set-target|reconfigure)|Configuring done|Generating done/i.test(text)) {
+        return 'configure';
+    }
+    return null;
+}
+
+export function createProgressTracker() {
+    const state = {
+        phase: 'configure',
+        current: 0,
+        total: 0,
+        percent: 0
+    };
+    let pending = '';
+
+    function parseLine(line) {
+        let changed = false;
+        const match = line.match(NINJA_PATTERN);
+        let text = line;
+
+        if (match) {
+            const current = parseInt(match[1]);
+            const total = parseInt(match[2]);
+            // Linha de um sub-build (bootloader): não afeta contagem nem fase
+            if (total < state.total) return false;
+
+            text = match[3];
+            state.current = total === state.total ? Math.max(current, state.current) : current;
+            state.total = total;
+            state.percent = Math.floor((state.current / state.total) * 100);
+            changed = true;
+        }
+
+        const phase = detectPhase(text);
+        // As fases só avançam (mensagens do bootloader não fazem voltar a "compile")
+        if (phase && BUILD_PHASES.indexOf(phase) > BUILD_PHASES.indexOf(state.phase)) {
+            state.phase = phase;
+            changed = true;
+        }
+
+        return changed;
+    }
+
+    // Retorna true se o progresso mudou
+    function push(chunk) {
+        pending += chunk;
+        const lines = pending.split(/\r?\n|\r/);
+        pending = lines.pop();
+        let changed = false;
+        for (const line of lines) {
+            if (parseLine(line)) changed = true;
+        }
+        return changed;
+    }
+
+    function complete() {
+        state.phase = 'done';
+        if (state.total) {
+            state.current = state.total;
+            state.percent = 100;
+        }
+    }
+
+    function snapshot() {
+        return { ...state };
+    }
+
+    return { push, complete, snapshot };
+}
+
+// ETA a partir da duração média dos últimos builds bem-sucedidos do projeto;
+// sem histórico, extrapola pelo percentual concluído
+export function estimateRemaining({ elapsedMs, percent, previousDurations }) {
+    if (previousDurations.length > 0) {
+        const average = previousDurations.reduce((sum, d) => sum + d, 0) / previousDurations.length;
+        return Math.max(0, Math.round(average - elapsedMs));
+    }
+    if (percent >= 5) {
+        return Math.max(0, Math.round(elapsedMs / (percent / 100) - elapsedMs));
+    }
+    return null;
+}
@@ -0,0 +1,83 @@
+// Fila de jobs com limite de concorrência, prioridades e exclusividade por chave.
+// Cada job tem uma `key` (o projectId nos builds): dois jobs com a mesma chave
+// nunca rodam ao mesmo tempo, pois compartilham o diretório build/ do projeto.
+// Jobs de maior prioridade saem primeiro; empates seguem a ordem de chegada.
+
+export const JOB_PRIORITIES = { low: -1, normal: 0, high: 1 };
+
+export function createJobQueue({ concurrency = 1, onChange = () => { } } = {}) {
+    const waiting = [];
+    const running = new Map();
+    let seq = 0;
+
+    function isKeyBusy(key) {
+        for (const job of running.values()) {
+            if (job.key === key) return true;
+        }
+        return false;
+    }
+
+    function schedule() {
+        let i = 0;
+        while (i < waiting.length && running.size < concurrency) {
+            const job = waiting[i];
+            if (isKeyBusy(job.key)) {
+                i++;
+                continue;
+            }
+            waiting.splice(i, 1);
+            start(job);
+        }
+        onChange();
+    }
+
+    function start(job) {
+        running.set(job.id, job);
+        // run() começa de forma síncrona, para o job já constar como iniciado
+        new Promise(resolve => resolve(job.run()))
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                running.delete(job.id);
+                schedule();
+            });
+    }
+
+    // Enfileirar um job; a promise resolve com o retorno de run()
+    function enqueue({ id, key, priority = 0, run }) {
+        return new Promise((resolve, reject) => {
+            waiting.push({ id, key, priority, seq: seq++, run, resolve, reject });
+            waiting.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+            schedule();
+        });
+    }
+
+    // Posição na fila (1 = próximo), ou null se não está aguardando
+    function position(id) {
+        const index = waiting.findIndex(job => job.id === id);
+        return index === -1 ? null : index + 1;
+    }
+
+    // Retirar um job que ainda não começou; a promise dele resolve com null
+    function remove(id) {
+        const index = waiting.findIndex(job => job.id === id);
+        if (index === -1) return false;
+        const [job] = waiting.splice(index, 1);
+        job.resolve(null);
+        schedule();
+        return true;
+    }
+
+    function isRunning(id) {
+        return running.has(id);
+    }
+
+    function stats() {
+        return {
+            concurrency,
+            running: running.size,
+            waiting: waiting.length
+        };
+    }
+
+    return { enqueue, remove, position, isRunning, stats, waitingIds: () => waiting.map(job => job.id) };
+}
@@ -0,0 +1,150 @@
+import { existsSync } from 'fs';
+import path from 'path';
+
+// Análise de core dumps com o esp-coredump (info_corefile) contra o ELF
+// guardado com o build. O core dump chega como leitura crua da partição
+// coredump (ou um ELF já extraído) ou como o base64 que o firmware imprime na
+// UART entre os marcadores CORE DUMP START/END. A saída de texto do
+// esp-coredump vira tarefas, registradores e frames estruturados.
+
+export const COREDUMP_FORMATS = ['raw', 'elf', 'b64'];
+export const MAX_COREDUMP_SIZE = 16 * 1024 * 1024;
+
+const UART_START = /=+\s*CORE DUMP START\s*=+/;
+const UART_END = /=+\s*CORE DUMP END\s*=+/;
+// Prefixo de timestamp do monitor ("[12:34:56] ") e o do ESP_LOG ("I (123) tag: ")
+const LINE_PREFIX = /^(?:\[[^\]]*\]\s*)?(?:[EWIDV] \(\d+\) [^:]*:\s*)?/;
+
+function coredumpError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Base64 do último bloco START/END do texto copiado do monitor
+export function extractUartCoredump(text) {
+    const lines = String(text ?? '').split(/\r?\n/);
+    const start = lines.map(line => UART_START.test(line)).lastIndexOf(true);
+    if (start === -1) {
+        throw coredumpError('Texto sem o marcador "CORE DUMP START"');
+    }
+    const end = lines.findIndex((line, index) => index > start && UART_END.test(line));
+    if (end === -1) {
+        throw coredumpError('Core dump incompleto: falta o marcador "CORE DUMP END"');
+    }
+
+    const base64 = lines.slice(start + 1, end)
+        .map(line => line.replace(LINE_PREFIX, '').trim())
+        .join('');
+    if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+        throw coredumpError('Conteúdo entre os marcadores não é base64 válido');
+    }
+    return base64;
+}
+
+// Formato de um arquivo enviado: ELF (\x7fELF) ou leitura crua da partição
+export function detectCoredumpFormat(buffer) {
+    return buffer.length >= 4 && buffer.subarray(0, 4).toString('latin1') === '\x7fELF' ? 'elf' : 'raw';
+}
+
+export function coredumpArgs({ target, corePath, format, elfPath }) {
+    if (!COREDUMP_FORMATS.includes(format)) {
+        throw coredumpError(`Formato de core dump inválido. Use: ${COREDUMP_FORMATS.join(', ')}`);
+    }
+    return ['esp-coredump', '--chip', target, 'info_corefile', '--core', corePath, '--core-format', format, elfPath];
+}
+
+function projectFile(file, projectPath) {
+    if (!file || !projectPath) return { file, inProject: false };
+    const relative = path.relative(projectPath, file);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative) && existsSync(file)) {
+        return { file: relative.split(path.sep).join('/'), inProject: true };
+    }
+    return { file, inProject: false };
+}
+
+// Frame do GDB:
+//   #0  0x400d1234 in app_main () at /proj/main/main.c:5
+//   #1  vPortTaskWrapper (pxCode=0x400d..., pvParameters=0x0) at .../port.c:162
+function parseFrame(line, projectPath) {
+    const match = line.match(/^#(\d+)\s+(?:(0x[0-9a-fA-F]+) in )?(\S+) \((.*?)\)(?: at (.+):(\d+))?/);
+    if (!match) return null;
+    return {
+        index: parseInt(match[1], 10),
+        address: match[2] ? match[2].toLowerCase() : null,
+        function: match[3] === '??' ? null : match[3],
+        args: match[4],
+        ...projectFile(match[5] || null, projectPath),
+        line: match[6] ? parseInt(match[6], 10) : null
+    };
+}
+
+// Saída do info_corefile dividida pelos cabeçalhos "==== SEÇÃO ===="
+export function parseCoredumpInfo(output, projectPath) {
+    const result = {
+        crashedTask: null,
+        inInterrupt: false,
+        registers: [],
+        stack: [],
+        threads: [],
+        memoryRegions: []
+    };
+    let section = null;
+    let thread = null;
+
+    for (const rawLine of output.split('\n')) {
+        const line = rawLine.trimEnd();
+        const header = line.match(/^=+\s*(.+?)\s*=+$/);
+        if (header) {
+            section = header[1];
+            thread = null;
+            const threadHeader = section.match(/^THREAD (\d+) \(TCB: (0x[0-9a-fA-F]+), name: '(.*)'\)$/);
+            if (threadHeader) {
+                thread = {
+                    id: parseInt(threadHeader[1], 10),
+                    tcb: threadHeader[2].toLowerCase(),
+                    name: threadHeader[3],
+                    crashed: false,
+                    frames: []
+                };
+                result.threads.push(thread);
+            }
+            continue;
+        }
+
+        const crashed = line.match(/^Crashed task handle: (0x[0-9a-fA-F]+), name: '(.*?)'/);
+        if (crashed) {
+            result.crashedTask = { handle: crashed[1].toLowerCase(), name: crashed[2] };
+            continue;
+        }
+        if (/^Crashed task is in the interrupt context/.test(line)) {
+            result.inInterrupt = true;
+            continue;
+        }
+
+        if (section === 'CURRENT THREAD REGISTERS') {
+            const register = line.match(/^(\w+)\s+(0x[0-9a-fA-F]+|-?\d+)\s*(.*)$/);
+            if (register) {
+                result.registers.push({ name: register[1], value: register[2], detail: register[3].trim() || null });
+            }
+        } else if (section === 'CURRENT THREAD STACK') {
+            const frame = parseFrame(line.trim(), projectPath);
+            if (frame) result.stack.push(frame);
+        } else if (thread) {
+            const frame = parseFrame(line.trim(), projectPath);
+            if (frame) thread.frames.push(frame);
+        } else if (section === 'ALL MEMORY REGIONS') {
+            const region = line.match(/^(\S+)\s+(0x[0-9a-fA-F]+)\s+(0x[0-9a-fA-F]+)\s+(\S+)$/);
+            if (region) {
+                result.memoryRegions.push({ name: region[1], address: region[2], size: region[3], attrs: region[4] });
+            }
+        }
+    }
+
+    if (result.crashedTask) {
+        result.threads.forEach(t => {
+            t.crashed = t.tcb === result.crashedTask.handle;
+        });
+    }
+    return result;
+}
@@ -0,0 +1,174 @@
+import { existsSync } from 'fs';
+import path from 'path';
+
+// Extração de diagnósticos (GCC/Clang, CMake e linker) da saída do idf.py.
+// A saída chega em pedaços arbitrários, então o parser acumula até fechar
+// cada linha. Caminhos dentro do projeto viram relativos à raiz do projeto,
+// no mesmo formato usado pelas rotas /file.
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+// main/main.c:12:5: error: 'x' undeclared  |  main.c:12: warning: ...
+const GCC_PATTERN = /^(.+?):(\d+):(?:(\d+):)?\s+(fatal error|error|warning|note):\s+(.*)$/;
+// main.c:10: undefined reference to `foo'  |  ld: main.c.obj:(.text+0x0): undefined reference...
+const LINKER_LOCATION_PATTERN = /^(.+?):(\d+):\s+((?:undefined reference|multiple definition).*)$/;
+const LINKER_PATTERN = /^(?:.*[\\/])?(?:[\w.-]+-)?(?:ld|collect2)(?:\.exe)?:\s+(?:(error|warning):\s+)?(.*)$/;
+// CMake Error at main/CMakeLists.txt:3 (idf_component_register):
+const CMAKE_AT_PATTERN = /^CMake (Error|Warning|Deprecation Warning)(?: \(dev\))? at (.+?):(\d+) \((.+)\):\s*$/;
+// CMake Error: The source directory ... does not exist.
+const CMAKE_PATTERN = /^CMake (Error|Warning):\s+(.*)$/;
+
+const MAX_DIAGNOSTICS = 500;
+
+function normalizeSeverity(severity) {
+    const s = severity.toLowerCase();
+    if (s.includes('error')) return 'error';
+    if (s.includes('warning')) return 'warning';
+    return 'note';
+}
+
+export function createDiagnosticsParser(projectPath, buildDirName = 'build') {
+    const buildPath = path.join(projectPath, buildDirName);
+    const diagnostics = [];
+    const seen = new Set();
+    let pending = '';
+    let cmakeBlock = null;
+
+    // GCC reporta caminhos relativos ao build/ (onde o ninja roda); o CMake e
+    // o linker às vezes relativos à raiz ou só o nome do arquivo
+    function toProjectPath(file) {
+        const candidates = path.isAbsolute(file)
+            ? [file]
+            : [path.resolve(buildPath, file), path.resolve(projectPath, file)];
+        const absolute = candidates.find(c => existsSync(c)) || candidates[0];
+        const relative = path.relative(projectPath, absolute);
+        if (existsSync(absolute) && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+            return { file: relative.split(path.sep).join('/'), inProject: true };
+        }
+        return { file: path.isAbsolute(file) ? file : file.split(path.sep).join('/'), inProject: false };
+    }
+
+    function add(diagnostic) {
+        const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.severity}:${diagnostic.message}`;
+        if (seen.has(key) || diagnostics.length >= MAX_DIAGNOSTICS) return;
+        seen.add(key);
+        diagnostics.push(diagnostic);
+    }
+
+    function closeCmakeBlock() {
+        if (!cmakeBlock) return;
+        const message = cmakeBlock.lines.join(' ').replace(/\s+/g, ' ').trim();
+        add({ ...cmakeBlock.diagnostic, message: message || cmakeBlock.diagnostic.message });
+        cmakeBlock = null;
+    }
+
+    function parseLine(rawLine) {
+        const line = rawLine.replace(ANSI_PATTERN, '').replace(/\r$/, '');
+
+        // Mensagens do CMake continuam em linhas indentadas (com linhas em branco
+        // entre parágrafos) até a próxima linha sem indentação
+        if (cmakeBlock) {
+            if (line.trim() === '') return;
+            if (line.startsWith(' ')) {
+                cmakeBlock.lines.push(line.trim());
+                return;
+            }
+            closeCmakeBlock();
+        }
+
+        let match = line.match(CMAKE_AT_PATTERN);
+        if (match) {
+            cmakeBlock = {
+                diagnostic: {
+                    ...toProjectPath(match[2]),
+                    line: parseInt(match[3]),
+                    column: 1,
+                    severity: normalizeSeverity(match[1]),
+                    message: match[4],
+                    source: 'cmake'
+                },
+                lines: []
+            };
+            return;
+        }
+
+        match = line.match(CMAKE_PATTERN);
+        if (match) {
+            add({
+                file: null,
+                inProject: false,
+                line: null,
+                column: null,
+                severity: normalizeSeverity(match[1]),
+                message: match[2].trim(),
+                source: 'cmake'
+            });
+            return;
+        }
+
+        match = line.match(GCC_PATTERN);
+        if (match) {
+            add({
+                ...toProjectPath(match[1]),
+                line: parseInt(match[2]),
+                column: match[3] ? parseInt(match[3]) : 1,
+                severity: normalizeSeverity(match[4]),
+                message: match[5].trim(),
+                source: 'gcc'
+            });
+            return;
+        }
+
+        match = line.match(LINKER_LOCATION_PATTERN);
+        if (match) {
+            add({
+                ...toProjectPath(match[1]),
+                line: parseInt(match[2]),
+                column: 1,
+                severity: 'error',
+                message: match[3].trim(),
+                source: 'ld'
+            });
+            return;
+        }
+
+        match = line.match(LINKER_PATTERN);
+        if (match && !/ld returned \d+ exit status/.test(match[2])) {
+            add({
+                file: null,
+                inProject: false,
+                line: null,
+                column: null,
+                severity: match[1] === 'warning' ? 'warning' : 'error',
+                message: match[2].trim(),
+                source: 'ld'
+            });
+        }
+    }
+
+    function push(chunk) {
+        pending += chunk;
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        lines.forEach(parseLine);
+    }
+
+    // Processar o que sobrou no buffer e devolver os diagnósticos
+    function finish() {
+        if (pending) {
+            parseLine(pending);
+            pending = '';
+        }
+        closeCmakeBlock();
+        return diagnostics;
+    }
+
+    return { push, finish, diagnostics };
+}
+
+export function summarizeDiagnostics(diagnostics) {
+    return {
+        errors: diagnostics.filter(d => d.severity === 'error').length,
+        warnings: diagnostics.filter(d => d.severity === 'warning').length
+    };
+}
@@ -0,0 +1,99 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+
+// Layout de flash de um build, lido de build/flasher_args.json (gerado pelo
+// idf.py build). Os offsets vêm do próprio build, então valem para qualquer
+// chip (bootloader em 0x0 no S3/C3/C6/H2, 0x1000 no ESP32/S2) e para tabelas
+// de partição customizadas, incluindo otadata e imagens de storage.
+
+// chipFamily esperado pelo ESP Web Tools para cada target do IDF
+export const CHIP_FAMILIES = {
+    esp32: 'ESP32',
+    esp32s2: 'ESP32-S2',
+    esp32s3: 'ESP32-S3',
+    esp32c2: 'ESP32-C2',
+    esp32c3: 'ESP32-C3',
+    esp32c6: 'ESP32-C6',
+    esp32h2: 'ESP32-H2'
+};
+
+export function chipFamilyForTarget(target) {
+    const family = CHIP_FAMILIES[target];
+    if (!family) {
+        throw new Error(`Target sem chipFamily conhecido: ${target}`);
+    }
+    return family;
+}
+
+export function targetForChipFamily(chipFamily) {
+    return Object.keys(CHIP_FAMILIES).find(t => CHIP_FAMILIES[t] === chipFamily) || null;
+}
+
+// Fallback para builds sem flasher_args.json: "0x1000 bootloader/bootloader.bin"
+function parseFlashArgsFile(content) {
+    const flashFiles = {};
+    const settings = {};
+    content.split('\n').forEach(line => {
+        const match = line.trim().match(/^(0x[0-9a-fA-F]+)\s+(\S+)$/);
+        if (match) {
+            flashFiles[match[1]] = match[2];
+            return;
+        }
+        for (const [, key, value] of line.matchAll(/--(flash_mode|flash_size|flash_freq)\s+(\S+)/g)) {
+            settings[key] = value;
+        }
+    });
+    return { flash_files: flashFiles, flash_settings: settings };
+}
+
+export async function readFlasherArgs(buildDir) {
+    const jsonPath = path.join(buildDir, 'flasher_args.json');
+    if (existsSync(jsonPath)) {
+        return JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+    }
+
+    const argsPath = path.join(buildDir, 'flash_args');
+    if (existsSync(argsPath)) {
+        return parseFlashArgsFile(await fs.readFile(argsPath, 'utf-8'));
+    }
+
+    throw new Error('flasher_args.json não encontrado no diretório build/');
+}
+
+// Partes a gravar, ordenadas por offset:
+// [{ name, file, offset }] — file relativo ao build/, name é o nome publicado
+export function flashPartsFromArgs(flasherArgs) {
+    const entries = Object.entries(flasherArgs.flash_files || {})
+        .map(([offset, file]) => ({ file, offset: parseInt(offset, 16) }))
+        .sort((a, b) => a.offset - b.offset);
+
+    if (entries.length === 0) {
+        throw new Error('flasher_args.json não lista nenhum arquivo para gravar');
+    }
+
+    // Nome publicado: basename, ou o caminho achatado se houver colisão
+    const basenameCount = {};
+    entries.forEach(e => {
+        const base = path.posix.basename(e.file);
+        basenameCount[base] = (basenameCount[base] || 0) + 1;
+    });
+
+    return entries.map(e => {
+        const base = path.posix.basename(e.file);
+        return {
+            name: basenameCount[base] > 1 ? e.file.replace(/[\\/]/g, '-') : base,
+            file: e.file,
+            offset: e.offset
+        };
+    });
+}
+
+// Chip informado pelo próprio build (extra_esptool_args.chip), se disponível
+export function flasherArgsChip(flasherArgs) {
+    return flasherArgs.extra_esptool_args?.chip || null;
+}
+
+export function formatOffset(offset) {
+    return `0x${offset.toString(16)}`;
+}
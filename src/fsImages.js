@@ -0,0 +1,96 @@
+import path from 'path';
+
+// Imagens de sistema de arquivos (SPIFFS/LittleFS/FAT) gravadas numa partição
+// de dados: uma pasta do projeto vira build/<partição>.bin no tamanho da
+// partição, como o spiffs_create_partition_image do IDF, e entra no
+// flasher_args.json no offset da tabela de partições.
+
+// fat: imagem com wear levelling (esp_vfs_fat_spiflash_mount_rw_wl), a usual;
+// fat-raw: FAT sem wear levelling, para partições montadas somente leitura
+export const FS_TYPES = ['spiffs', 'littlefs', 'fat', 'fat-raw'];
+
+// Blocos de 4K (setor da flash) e páginas de 256 bytes, como nos componentes do IDF
+const BLOCK_SIZE = 4096;
+const PAGE_SIZE = 256;
+
+function fsImageError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Normaliza a configuração enviada pelo cliente contra as partições de dados
+// da tabela ([{ name, subtype }]); a pasta é conferida à parte no servidor
+export function normalizeFsImages(images, dataPartitions) {
+    if (!Array.isArray(images)) {
+        throw fsImageError('Imagens inválidas');
+    }
+
+    const seen = new Set();
+    return images.map(image => {
+        const partition = dataPartitions.find(p => p.name === image?.partition);
+        if (!partition) {
+            throw fsImageError(`Partição de dados '${image?.partition}' não existe no partitions.csv`);
+        }
+        if (seen.has(partition.name)) {
+            throw fsImageError(`Partição '${partition.name}' configurada mais de uma vez`);
+        }
+        seen.add(partition.name);
+
+        const fsType = image.fsType || (FS_TYPES.includes(partition.subtype) ? partition.subtype : null);
+        if (!FS_TYPES.includes(fsType)) {
+            throw fsImageError(`Sistema de arquivos inválido para '${partition.name}'. Use: ${FS_TYPES.join(', ')}`);
+        }
+        if (typeof image.folder !== 'string' || !image.folder.trim()) {
+            throw fsImageError(`Pasta obrigatória para '${partition.name}'`);
+        }
+
+        return { partition: partition.name, folder: image.folder.trim().replace(/\/+$/, ''), fsType };
+    });
+}
+
+// Linha de comando do gerador. `configs` é o sdkconfig do build (parseSdkconfig),
+// de onde vêm os parâmetros do SPIFFS que o firmware espera na montagem.
+export function fsImageCommand({ fsType, sourceDir, size, output, idfPath, configs, tools }) {
+    switch (fsType) {
+        case 'spiffs': {
+            const args = [
+                'python', path.join(idfPath, 'components', 'spiffs', 'spiffsgen.py'),
+                String(size), sourceDir, output,
+                '--page-size', String(configs.CONFIG_SPIFFS_PAGE_SIZE || PAGE_SIZE),
+                '--block-size', String(BLOCK_SIZE),
+                '--obj-name-len', String(configs.CONFIG_SPIFFS_OBJ_NAME_LEN || 32),
+                '--meta-len', String(configs.CONFIG_SPIFFS_META_LENGTH ?? 4)
+            ];
+            if (configs.CONFIG_SPIFFS_USE_MAGIC !== false) args.push('--use-magic');
+            if (configs.CONFIG_SPIFFS_USE_MAGIC_LENGTH !== false) args.push('--use-magic-len');
+            return args;
+        }
+        case 'littlefs':
+            return [
+                tools.mklittlefs, '-c', sourceDir, '-s', String(size),
+                '-b', String(BLOCK_SIZE), '-p', String(configs.CONFIG_LITTLEFS_PAGE_SIZE || PAGE_SIZE),
+                output
+            ];
+        case 'fat':
+        case 'fat-raw': {
+            // Geradores do IDF com os parâmetros do fatfs_create_spiflash_image
+            // (wl_fatfsgen.py) ou do fatfs_create_rawflash_image (fatfsgen.py):
+            // setor do wear levelling e nomes longos só se o firmware tiver LFN
+            const wearLevelling = fsType === 'fat';
+            const args = [
+                'python', path.join(idfPath, 'components', 'fatfs', wearLevelling ? 'wl_fatfsgen.py' : 'fatfsgen.py'),
+                sourceDir,
+                '--output_file', output,
+                '--partition_size', String(size),
+                '--sector_size', String(configs.CONFIG_WL_SECTOR_SIZE || BLOCK_SIZE),
+                '--use_default_datetime'
+            ];
+            if (configs.CONFIG_FATFS_LFN_HEAP || configs.CONFIG_FATFS_LFN_STACK) args.push('--long_name_support');
+            if (wearLevelling) args.push('--wl_mode', configs.CONFIG_WL_SECTOR_MODE_SAFE ? 'safe' : 'perf');
+            return args;
+        }
+        default:
+            throw fsImageError(`Sistema de arquivos desconhecido: ${fsType}`);
+    }
+}
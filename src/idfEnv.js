@@ -0,0 +1,17 @@
+// Ambiente do ESP-IDF para os comandos que o servidor roda. IDF_PATH vem do
+// ambiente (a imagem Docker define /opt/esp/idf) e é repassado a cada comando.
+export const IDF_PATH = process.env.IDF_PATH || '/opt/esp/idf';
+
+// Script do bash que carrega o export.sh e roda o comando. O script é fixo:
+// o comando e seus argumentos chegam como parâmetros posicionais ("$@"),
+// então nada vindo do usuário é interpretado pelo shell.
+export const IDF_ENV_SCRIPT = 'source "$IDF_PATH/export.sh" && exec "$@"';
+
+// Argumentos do bash para rodar `args` com o ambiente do IDF carregado
+export function idfShellArgs(args) {
+    return ['-c', IDF_ENV_SCRIPT, 'idf-env', ...args];
+}
+
+export function idfEnv() {
+    return { ...process.env, IDF_PATH };
+}
@@ -0,0 +1,222 @@
+// Leitura e edição do sdkconfig guiadas pela árvore de menus do Kconfig.
+// A árvore (kconfig_menus.json) e os valores efetivos vêm do kconfgen; aqui
+// ficam só a validação das alterações e a edição do arquivo, que troca apenas
+// as linhas alteradas e preserva comentários e a ordem do sdkconfig existente.
+
+export const CONFIG_PREFIX = 'CONFIG_';
+
+const LINE_SET = /^CONFIG_([A-Za-z0-9_]+)=(.*)$/;
+const LINE_UNSET = /^# CONFIG_([A-Za-z0-9_]+) is not set\s*$/;
+// Nome de símbolo do Kconfig, sem o prefixo CONFIG_
+const SYMBOL_NAME = /^[A-Za-z0-9_]+$/;
+
+function kconfigError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function parseValue(raw) {
+    if (raw === 'y') return true;
+    if (raw === 'n' || raw === '') return false;
+    if (raw.startsWith('"') && raw.endsWith('"')) {
+        return raw.slice(1, -1).replace(/\\(["\\])/g, '$1');
+    }
+    if (/^-?\d+$/.test(raw)) return parseInt(raw, 10);
+    return raw;
+}
+
+// sdkconfig como mapa plano CONFIG_X → valor (true/false, número ou string)
+export function parseSdkconfig(content) {
+    const configs = {};
+    content.split('\n').forEach(line => {
+        let match = line.match(LINE_SET);
+        if (match) {
+            configs[CONFIG_PREFIX + match[1]] = parseValue(match[2].trim());
+            return;
+        }
+        match = line.match(LINE_UNSET);
+        if (match) configs[CONFIG_PREFIX + match[1]] = false;
+    });
+    return configs;
+}
+
+// Símbolos da árvore de menus por nome, com o choice a que pertencem
+export function indexKconfigSymbols(menus) {
+    const symbols = new Map();
+
+    function visit(nodes, choice) {
+        for (const node of nodes || []) {
+            if (node.name && node.type === 'menu' && node.is_menuconfig) {
+                // "menuconfig FOO": o menu é também um símbolo bool
+                symbols.set(node.name, { ...node, type: 'bool', choice: null });
+            } else if (node.name && node.type !== 'menu' && node.type !== 'choice') {
+                symbols.set(node.name, { ...node, choice: choice ? choice.id : null });
+            }
+            visit(node.children, node.type === 'choice' ? node : null);
+        }
+    }
+
+    visit(menus, null);
+    return symbols;
+}
+
+// Membros de cada choice (id do choice → nomes)
+function choiceMembers(symbols) {
+    const members = new Map();
+    for (const symbol of symbols.values()) {
+        if (!symbol.choice) continue;
+        if (!members.has(symbol.choice)) members.set(symbol.choice, []);
+        members.get(symbol.choice).push(symbol.name);
+    }
+    return members;
+}
+
+// Normaliza e valida uma alteração; devolve o valor no formato do sdkconfig
+function formatValue(symbol, value) {
+    switch (symbol.type) {
+        case 'bool':
+        case 'tristate':
+            if (typeof value !== 'boolean') throw kconfigError('valor deve ser verdadeiro/falso');
+            return value ? 'y' : null;
+        case 'int': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isInteger(number)) throw kconfigError('valor deve ser um número inteiro');
+            checkRange(symbol, number, String(number));
+            return String(number);
+        }
+        case 'hex': {
+            const text = typeof value === 'number' ? `0x${value.toString(16)}` : String(value).trim();
+            if (!/^0x[0-9a-fA-F]+$/.test(text)) throw kconfigError('valor deve ser hexadecimal (0x...)');
+            checkRange(symbol, parseInt(text, 16), text);
+            return text;
+        }
+        case 'string':
+            if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+                throw kconfigError('valor deve ser um texto de uma linha');
+            }
+            return `"${value.replace(/(["\\])/g, '\\$1')}"`;
+        default:
+            throw kconfigError(`tipo não suportado: ${symbol.type}`);
+    }
+}
+
+function checkRange(symbol, number, text) {
+    if (!Array.isArray(symbol.range)) return;
+    const [min, max] = symbol.range;
+    if (number < min || number > max) {
+        const fmt = n => symbol.type === 'hex' ? `0x${n.toString(16)}` : n;
+        throw kconfigError(`${text} fora do intervalo ${fmt(min)}–${fmt(max)}`);
+    }
+}
+
+// Linhas novas para cada símbolo alterado (null = "is not set").
+// Com a árvore de menus, valida tipo e intervalo e desmarca os outros membros
+// do choice; sem ela (projeto nunca configurado), usa o tipo do valor enviado.
+export function resolveConfigChanges(changes, menus) {
+    const lines = new Map();
+    const errors = [];
+
+    if (!menus) {
+        for (const [name, value] of Object.entries(changes)) {
+            if (!SYMBOL_NAME.test(name)) {
+                errors.push({ name, message: 'nome de opção inválido' });
+            } else if (value === true) {
+                lines.set(name, 'y');
+            } else if (value === false) {
+                lines.set(name, null);
+            } else if (typeof value === 'string' && !/[\r\n]/.test(value)) {
+                lines.set(name, `"${value.replace(/(["\\])/g, '\\$1')}"`);
+            } else if (typeof value === 'number' && Number.isInteger(value)) {
+                lines.set(name, String(value));
+            } else {
+                errors.push({ name, message: 'valor deve ser verdadeiro/falso, um número inteiro ou um texto de uma linha' });
+            }
+        }
+        return { lines, errors };
+    }
+
+    const symbols = indexKconfigSymbols(menus);
+    const members = choiceMembers(symbols);
+
+    for (const [name, value] of Object.entries(changes)) {
+        const symbol = symbols.get(name);
+        if (!symbol) {
+            errors.push({ name, message: 'opção não existe no Kconfig' });
+            continue;
+        }
+        try {
+            lines.set(name, formatValue(symbol, value));
+        } catch (error) {
+            errors.push({ name, message: error.message });
+        }
+    }
+
+    // Selecionar um membro de choice desmarca os demais
+    for (const [name, line] of [...lines]) {
+        const choice = symbols.get(name)?.choice;
+        if (!choice || line !== 'y') continue;
+        members.get(choice)
+            .filter(other => other !== name)
+            .forEach(other => lines.set(other, null));
+    }
+
+    return { lines, errors };
+}
+
+// Aplicar as linhas no conteúdo do sdkconfig, no lugar das existentes
+export function patchSdkconfig(content, lines) {
+    const pending = new Map(lines);
+    const render = (name, value) => value === null
+        ? `# ${CONFIG_PREFIX}${name} is not set`
+        : `${CONFIG_PREFIX}${name}=${value}`;
+
+    const output = content.split('\n').map(line => {
+        const match = line.match(LINE_SET) || line.match(LINE_UNSET);
+        if (!match || !pending.has(match[1])) return line;
+        const value = pending.get(match[1]);
+        pending.delete(match[1]);
+        return render(match[1], value);
+    });
+
+    // Opções que ainda não estavam no arquivo vão para o final
+    if (pending.size > 0) {
+        while (output.length > 0 && output[output.length - 1] === '') output.pop();
+        for (const [name, value] of pending) output.push(render(name, value));
+        output.push('');
+    }
+
+    return output.join('\n');
+}
+
+// Valores do kconfgen (--output json: sem prefixo, hex como número) no
+// formato de parseSdkconfig, usando os tipos da árvore de menus
+export function kconfgenValuesToConfigs(values, menus) {
+    const symbols = indexKconfigSymbols(menus);
+    const configs = {};
+    for (const [name, value] of Object.entries(values)) {
+        configs[CONFIG_PREFIX + name] = symbols.get(name)?.type === 'hex' && typeof value === 'number'
+            ? `0x${value.toString(16)}`
+            : value;
+    }
+    return configs;
+}
+
+// Diferenças entre duas configurações (mapas CONFIG_X → valor)
+// status: changed (valor diferente), added (só na atual), removed (só na base)
+export function diffConfigs(current, base) {
+    const names = new Set([...Object.keys(current), ...Object.keys(base)]);
+    const entries = [];
+    for (const name of names) {
+        const inCurrent = Object.hasOwn(current, name);
+        const inBase = Object.hasOwn(base, name);
+        if (inCurrent && inBase && current[name] === base[name]) continue;
+        entries.push({
+            name,
+            current: inCurrent ? current[name] : null,
+            base: inBase ? base[name] : null,
+            status: !inBase ? 'added' : !inCurrent ? 'removed' : 'changed'
+        });
+    }
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,265 @@
+// Dados de NVS do projeto no formato CSV do nvs_partition_gen
+// (key,type,encoding,value). Cada namespace abre uma linha "namespace" e as
+// chaves seguintes pertencem a ele; entradas "file" apontam para um arquivo
+// do projeto, lido pelo gerador com cwd na raiz do projeto.
+
+export const NVS_CSV = 'nvs.csv';
+export const NVS_TYPES = ['namespace', 'data', 'file'];
+export const NVS_ENCODINGS = {
+    data: ['u8', 'i8', 'u16', 'i16', 'u32', 'i32', 'u64', 'i64', 'string', 'hex2bin', 'base64'],
+    file: ['string', 'hex2bin', 'base64', 'binary']
+};
+
+// Limites do formato NVS: chaves/namespaces de até 15 caracteres, strings de até 4000 bytes
+const MAX_KEY_LENGTH = 15;
+const MAX_STRING_LENGTH = 4000;
+// O gerador exige partição múltipla de 4K com pelo menos 3 páginas
+export const NVS_PAGE_SIZE = 0x1000;
+export const MIN_NVS_SIZE = 0x3000;
+
+// Valor de modelo: {{coluna}} vem do CSV de dispositivos no provisionamento em lote
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g;
+
+export function hasPlaceholder(value) {
+    return String(value ?? '').search(PLACEHOLDER) !== -1;
+}
+
+const INTEGER_RANGES = {
+    u8: [0n, 0xFFn],
+    i8: [-0x80n, 0x7Fn],
+    u16: [0n, 0xFFFFn],
+    i16: [-0x8000n, 0x7FFFn],
+    u32: [0n, 0xFFFFFFFFn],
+    i32: [-0x80000000n, 0x7FFFFFFFn],
+    u64: [0n, 0xFFFFFFFFFFFFFFFFn],
+    i64: [-0x8000000000000000n, 0x7FFFFFFFFFFFFFFFn]
+};
+
+// Linha CSV com campos entre aspas ("a,b" e "" para aspas)
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function parseNvsCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    // Primeira linha é o cabeçalho
+    return lines.slice(1).map(line => {
+        const [key = '', type = '', encoding = '', value = ''] = parseCsvLine(line);
+        return { key: key.trim(), type: type.trim(), encoding: encoding.trim(), value };
+    });
+}
+
+export function serializeNvsCsv(entries) {
+    const lines = ['key,type,encoding,value'];
+    for (const entry of entries) {
+        lines.push(entry.type === 'namespace'
+            ? `${csvField(entry.key)},namespace,,`
+            : [entry.key, entry.type, entry.encoding, entry.value].map(csvField).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function checkValue(encoding, value) {
+    const text = String(value ?? '');
+    if (INTEGER_RANGES[encoding]) {
+        const match = text.trim().match(/^(-?)(0x[0-9a-f]+|\d+)$/i);
+        if (!match) return `valor deve ser um inteiro (${encoding})`;
+        const number = match[1] ? -BigInt(match[2]) : BigInt(match[2]);
+        const [min, max] = INTEGER_RANGES[encoding];
+        if (number < min || number > max) return `${text} fora do intervalo de ${encoding} (${min}–${max})`;
+        return null;
+    }
+    switch (encoding) {
+        case 'string':
+            return Buffer.byteLength(text) > MAX_STRING_LENGTH ? `string com mais de ${MAX_STRING_LENGTH} bytes` : null;
+        case 'hex2bin':
+            return /^([0-9a-f]{2})*$/i.test(text) ? null : 'valor deve ser hexadecimal com número par de dígitos';
+        case 'base64':
+            return /^[A-Za-z0-9+/]*={0,2}$/.test(text) && text.length % 4 === 0 ? null : 'valor deve ser base64 válido';
+        default:
+            return null;
+    }
+}
+
+// Valida as entradas do editor. Erros por linha (índice) e campo, como na
+// tabela de partições; arquivos de entradas "file" são conferidos no servidor.
+// Com template, valores com {{coluna}} só são conferidos depois de preenchidos.
+export function validateNvsEntries(entries, { template = false } = {}) {
+    const errors = [];
+    const keysByNamespace = new Map();
+    let namespace = null;
+
+    if (!Array.isArray(entries)) {
+        return { valid: false, errors: [{ row: null, field: null, message: 'Entradas inválidas' }] };
+    }
+
+    entries.forEach((entry, row) => {
+        const fail = (field, message) => errors.push({ row, field, message });
+        const key = String(entry?.key ?? '').trim();
+
+        if (!key) {
+            fail('key', 'Chave obrigatória');
+        } else if (key.length > MAX_KEY_LENGTH) {
+            fail('key', `Chave com mais de ${MAX_KEY_LENGTH} caracteres`);
+        }
+
+        if (!NVS_TYPES.includes(entry?.type)) {
+            fail('type', `Tipo inválido: '${entry?.type}' (use ${NVS_TYPES.join(', ')})`);
+            return;
+        }
+
+        if (entry.type === 'namespace') {
+            if (keysByNamespace.has(key)) fail('key', `Namespace '${key}' repetido`);
+            namespace = key;
+            keysByNamespace.set(key, new Set());
+            return;
+        }
+
+        if (namespace === null) {
+            fail('type', 'A primeira entrada deve ser um namespace');
+        } else if (key) {
+            const keys = keysByNamespace.get(namespace);
+            if (keys.has(key)) fail('key', `Chave '${key}' repetida no namespace '${namespace}'`);
+            keys.add(key);
+        }
+
+        if (!NVS_ENCODINGS[entry.type].includes(entry.encoding)) {
+            fail('encoding', `Encoding inválido para ${entry.type}: '${entry.encoding}' (use ${NVS_ENCODINGS[entry.type].join(', ')})`);
+            return;
+        }
+
+        if (hasPlaceholder(entry.value)) {
+            if (!template) fail('value', 'Valor {{coluna}} só é preenchido no provisionamento em lote');
+            return;
+        }
+
+        if (entry.type === 'file') {
+            if (!String(entry.value ?? '').trim()) fail('value', 'Caminho do arquivo obrigatório');
+            return;
+        }
+
+        const problem = checkValue(entry.encoding, entry.value);
+        if (problem) fail('value', problem);
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Argumentos do nvs_partition_gen (pacote esp-idf-nvs-partition-gen).
+// keyFile: chave de criptografia (XTS) já gerada, gravada na partição nvs_keys
+export function nvsGenerateArgs({ csvPath, output, size, keyFile = null }) {
+    const base = ['python', '-m', 'esp_idf_nvs_partition_gen'];
+    return keyFile
+        ? [...base, 'encrypt', csvPath, output, `0x${size.toString(16)}`, '--inputkey', keyFile]
+        : [...base, 'generate', csvPath, output, `0x${size.toString(16)}`];
+}
+
+export function nvsKeygenArgs({ outDir, keyFile }) {
+    return ['python', '-m', 'esp_idf_nvs_partition_gen', 'generate-key', '--keyfile', keyFile, '--outdir', outDir];
+}
+
+// Provisionamento em lote: o nvs.csv do projeto serve de modelo (ver
+// PLACEHOLDER). A primeira coluna do CSV de dispositivos identifica o
+// dispositivo e dá nome à pasta dele no ZIP (começa com letra ou número,
+// para que "." e ".." não virem caminhos).
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+export const MAX_PROVISION_DEVICES = 1000;
+
+export function parseDeviceCsv(content) {
+    const lines = String(content ?? '').split(/\r?\n/).filter(line => line.trim());
+    const columns = lines.length > 0 ? parseCsvLine(lines[0]).map(column => column.trim()) : [];
+    const devices = lines.slice(1).map((line, row) => {
+        const fields = parseCsvLine(line);
+        return {
+            id: (fields[0] ?? '').trim(),
+            values: Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? ''])),
+            fieldCount: fields.length,
+            row
+        };
+    });
+    return { columns, devices };
+}
+
+// Colunas citadas pelo modelo, por linha do nvs.csv
+export function templatePlaceholders(entries) {
+    return entries.flatMap((entry, row) => [...String(entry.value ?? '').matchAll(PLACEHOLDER)]
+        .map(match => ({ row, column: match[1] })));
+}
+
+// Erros do CSV de dispositivos e do modelo: { device, row, field, message }
+// (device null = cabeçalho/modelo; row é a linha do nvs.csv para o modelo)
+export function validateDevices({ columns, devices }, templateEntries) {
+    const errors = [];
+    const fail = (device, row, field, message) => errors.push({ device, row, field, message });
+
+    if (columns.length === 0 || columns.some(column => !column)) {
+        fail(null, null, null, 'CSV de dispositivos sem cabeçalho válido (nomes das colunas na primeira linha)');
+        return errors;
+    }
+    const duplicated = columns.find((column, i) => columns.indexOf(column) !== i);
+    if (duplicated) fail(null, null, null, `Coluna '${duplicated}' repetida no CSV de dispositivos`);
+    if (devices.length === 0) fail(null, null, null, 'CSV de dispositivos sem nenhuma linha de dispositivo');
+    if (devices.length > MAX_PROVISION_DEVICES) {
+        fail(null, null, null, `Máximo de ${MAX_PROVISION_DEVICES} dispositivos por lote`);
+    }
+
+    for (const { row, column } of templatePlaceholders(templateEntries)) {
+        if (!columns.includes(column)) {
+            fail(null, row, 'value', `{{${column}}} não corresponde a nenhuma coluna do CSV de dispositivos`);
+        }
+    }
+
+    const seen = new Set();
+    for (const device of devices) {
+        const label = device.id || `linha ${device.row + 2}`;
+        if (!DEVICE_ID_PATTERN.test(device.id)) {
+            fail(label, null, columns[0], `Identificador '${device.id}' inválido (use letras, números, ".", "_" ou "-", começando com letra ou número)`);
+        } else if (seen.has(device.id)) {
+            fail(label, null, columns[0], `Dispositivo '${device.id}' repetido`);
+        }
+        seen.add(device.id);
+        if (device.fieldCount !== columns.length) {
+            fail(label, null, null, `${device.fieldCount} campos, esperado ${columns.length}`);
+        }
+    }
+
+    return errors;
+}
+
+// Entradas do modelo com os {{coluna}} substituídos pelos valores do dispositivo
+export function renderNvsTemplate(entries, values) {
+    return entries.map(entry => ({
+        ...entry,
+        value: String(entry.value ?? '').replace(PLACEHOLDER, (match, column) => values[column] ?? match)
+    }));
+}
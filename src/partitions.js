@@ -0,0 +1,439 @@
+import crypto from 'crypto';
+import { formatOffset } from './flashLayout.js';
+
+// Tabela de partições (partitions.csv) com as mesmas regras do
+// gen_esp32part.py do IDF: offsets em branco calculados em sequência a partir
+// do fim da tabela, alinhamento de 64K para app e 4K para dados, sem
+// sobreposição e dentro do tamanho da flash configurado no sdkconfig. O
+// binário gerado segue o formato do IDF (entradas de 32 bytes + MD5).
+
+export const PARTITIONS_CSV = 'partitions.csv';
+export const DEFAULT_TABLE_OFFSET = 0x8000;
+// O IDF usa 2MB quando CONFIG_ESPTOOLPY_FLASHSIZE não está definido
+export const DEFAULT_FLASH_SIZE = '2MB';
+
+const PARTITION_TABLE_SIZE = 0x1000;
+const MAX_PARTITION_TABLE_LENGTH = 0xC00;
+const ENTRY_SIZE = 32;
+const ENTRY_MAGIC = 0x50AA;
+const MD5_MAGIC = 0xEBEB;
+const MAX_NAME_LENGTH = 16;
+const SECTOR_SIZE = 0x1000;
+
+export const PARTITION_TYPES = { app: 0x00, data: 0x01 };
+
+export const PARTITION_SUBTYPES = {
+    app: {
+        factory: 0x00,
+        test: 0x20,
+        ...Object.fromEntries(Array.from({ length: 16 }, (_, i) => [`ota_${i}`, 0x10 + i]))
+    },
+    data: {
+        ota: 0x00,
+        phy: 0x01,
+        nvs: 0x02,
+        coredump: 0x03,
+        nvs_keys: 0x04,
+        efuse: 0x05,
+        undefined: 0x06,
+        esphttpd: 0x80,
+        fat: 0x81,
+        spiffs: 0x82,
+        littlefs: 0x83
+    }
+};
+
+const ALIGNMENT = { [PARTITION_TYPES.app]: 0x10000, [PARTITION_TYPES.data]: 0x1000 };
+const FLAGS = { encrypted: 0x1, readonly: 0x2 };
+
+// Número do CSV: 0x..., decimal ou com sufixo K/M (como no gen_esp32part)
+export function parsePartitionSize(text) {
+    const value = String(text ?? '').trim();
+    if (!value) return null;
+    let match = value.match(/^0x([0-9a-f]+)$/i);
+    if (match) return parseInt(match[1], 16);
+    match = value.match(/^(\d+)\s*([KM])?$/i);
+    if (!match) return NaN;
+    const multiplier = { K: 1024, M: 1024 * 1024 }[match[2]?.toUpperCase()] || 1;
+    return parseInt(match[1], 10) * multiplier;
+}
+
+export function parseFlashSize(text) {
+    const match = String(text || '').match(/^(\d+)MB$/i);
+    return match ? parseInt(match[1], 10) * 1024 * 1024 : null;
+}
+
+export function parsePartitionsCsv(content) {
+    const partitions = [];
+    content.split('\n').forEach(line => {
+        line = line.trim();
+        if (!line || line.startsWith('#')) return;
+        const parts = line.split(',').map(p => p.trim());
+        if (parts.length >= 5) {
+            partitions.push({
+                name: parts[0],
+                type: parts[1],
+                subtype: parts[2],
+                offset: parts[3],
+                size: parts[4],
+                flags: parts.slice(5).filter(Boolean).join(':')
+            });
+        }
+    });
+    return partitions;
+}
+
+export function serializePartitionsCsv(partitions) {
+    let content = '# Name,   Type, SubType, Offset,  Size, Flags\n';
+    for (const p of partitions) {
+        content += `${p.name}, ${p.type}, ${p.subtype}, ${p.offset || ''}, ${p.size}${p.flags ? ', ' + p.flags : ''}\n`;
+    }
+    return content;
+}
+
+// Tamanho da flash, offset da tabela e se o projeto usa o partitions.csv,
+// a partir do sdkconfig (mapa de parseSdkconfig). O membro marcado do choice
+// (CONFIG_ESPTOOLPY_FLASHSIZE_4MB=y) vale mais que a string derivada, que só
+// é atualizada no próximo reconfigure.
+export function partitionSettings(configs) {
+    const selectedSize = Object.keys(configs)
+        .map(key => key.match(/^CONFIG_ESPTOOLPY_FLASHSIZE_(\d+MB)$/))
+        .find(match => match && configs[match[0]] === true);
+    const flashSizeLabel = selectedSize?.[1] || configs.CONFIG_ESPTOOLPY_FLASHSIZE || DEFAULT_FLASH_SIZE;
+    const tableOffset = parsePartitionSize(configs.CONFIG_PARTITION_TABLE_OFFSET);
+    return {
+        flashSize: parseFlashSize(flashSizeLabel),
+        flashSizeLabel,
+        tableOffset: Number.isInteger(tableOffset) ? tableOffset : DEFAULT_TABLE_OFFSET,
+        usesCustomCsv: configs.CONFIG_PARTITION_TABLE_CUSTOM === true
+            && (configs.CONFIG_PARTITION_TABLE_CUSTOM_FILENAME || PARTITIONS_CSV) === PARTITIONS_CSV,
+        md5: configs.CONFIG_PARTITION_TABLE_MD5 !== false
+    };
+}
+
+function parseTypeField(value, names) {
+    const text = String(value ?? '').trim();
+    if (Object.hasOwn(names, text)) return names[text];
+    const number = /^(0x[0-9a-f]+|\d+)$/i.test(text) ? Number(text) : NaN;
+    return Number.isInteger(number) && number >= 0 && number <= 0xFE ? number : null;
+}
+
+function describeRange(partition) {
+    return `'${partition.name}' (${formatOffset(partition.offsetValue)}–${formatOffset(partition.offsetValue + partition.sizeValue)})`;
+}
+
+// Valida as linhas do editor e resolve offsets em branco. Os erros apontam a
+// linha (índice em `partitions`) e o campo; `row: null` é erro da tabela.
+export function validatePartitionTable(partitions, { flashSize, flashSizeLabel, tableOffset = DEFAULT_TABLE_OFFSET }) {
+    const errors = [];
+    const warnings = [];
+    const resolved = [];
+    const names = new Set();
+    let lastEnd = tableOffset + PARTITION_TABLE_SIZE;
+
+    partitions.forEach((partition, row) => {
+        const fail = (field, message) => errors.push({ row, field, message });
+        if (partition === null || typeof partition !== 'object' || Array.isArray(partition)) {
+            fail(null, 'Linha inválida: esperado um objeto com name, type, subtype, offset, size e flags');
+            return;
+        }
+        const name = String(partition.name ?? '').trim();
+
+        if (!name) {
+            fail('name', 'Nome obrigatório');
+        } else if (Buffer.byteLength(name) > MAX_NAME_LENGTH) {
+            fail('name', `Nome com mais de ${MAX_NAME_LENGTH} bytes`);
+        } else if (names.has(name)) {
+            fail('name', `Nome '${name}' repetido`);
+        }
+        names.add(name);
+
+        const type = parseTypeField(partition.type, PARTITION_TYPES);
+        if (type === null) {
+            fail('type', `Tipo inválido: '${partition.type}' (use app, data ou 0x40–0xFE)`);
+        }
+        const subtypeNames = PARTITION_SUBTYPES[partition.type] || {};
+        const subtype = parseTypeField(partition.subtype, subtypeNames);
+        if (subtype === null) {
+            fail('subtype', `SubTipo inválido para ${partition.type}: '${partition.subtype}'`);
+        }
+
+        const flags = String(partition.flags || '').split(/[:\s]+/).filter(Boolean);
+        const unknownFlag = flags.find(flag => !Object.hasOwn(FLAGS, flag));
+        if (unknownFlag) {
+            fail('flags', `Flag desconhecida: '${unknownFlag}' (use encrypted, readonly)`);
+        }
+
+        const size = parsePartitionSize(partition.size);
+        if (size === null || Number.isNaN(size) || size <= 0) {
+            fail('size', `Tamanho inválido: '${partition.size ?? ''}'`);
+        } else if ((type === PARTITION_TYPES.app || flags.includes('encrypted')) && size % SECTOR_SIZE) {
+            fail('size', `Tamanho ${formatOffset(size)} não é múltiplo de 4K (0x1000)`);
+        }
+
+        const align = ALIGNMENT[type] || SECTOR_SIZE;
+        let offset = parsePartitionSize(partition.offset);
+        const autoOffset = offset === null;
+        if (autoOffset) {
+            offset = Math.ceil(lastEnd / align) * align;
+        } else if (Number.isNaN(offset)) {
+            fail('offset', `Offset inválido: '${partition.offset}'`);
+        } else if (offset % align) {
+            fail('offset', `Offset ${formatOffset(offset)} não está alinhado a ${formatOffset(align)}${type === PARTITION_TYPES.app ? ' (64K para app)' : ''}`);
+        } else if (offset < tableOffset + PARTITION_TABLE_SIZE) {
+            fail('offset', `Offset ${formatOffset(offset)} sobrepõe o bootloader/tabela de partições (até ${formatOffset(tableOffset + PARTITION_TABLE_SIZE)})`);
+        }
+
+        if (type === PARTITION_TYPES.data && subtype === PARTITION_SUBTYPES.data.ota && size !== 0x2000) {
+            fail('size', 'Partição otadata (data, ota) deve ter 0x2000 bytes');
+        }
+
+        if (Number.isInteger(offset) && Number.isInteger(size)) {
+            const entry = {
+                ...partition,
+                name,
+                typeValue: type,
+                subtypeValue: subtype,
+                offsetValue: offset,
+                sizeValue: size,
+                flagsValue: flags.reduce((bits, flag) => bits | (FLAGS[flag] || 0), 0),
+                autoOffset,
+                resolvedOffset: formatOffset(offset)
+            };
+            resolved.push({ row, entry });
+            lastEnd = offset + size;
+
+            if (flashSize && offset + size > flashSize) {
+                fail('size', `${describeRange(entry)} passa do fim da flash de ${flashSizeLabel} (${formatOffset(flashSize)})`);
+            }
+        }
+    });
+
+    // Sobreposição entre quaisquer duas partições (offsets explícitos podem vir fora de ordem)
+    for (let i = 0; i < resolved.length; i++) {
+        for (let j = i + 1; j < resolved.length; j++) {
+            const a = resolved[i].entry;
+            const b = resolved[j].entry;
+            if (a.offsetValue < b.offsetValue + b.sizeValue && b.offsetValue < a.offsetValue + a.sizeValue) {
+                errors.push({ row: resolved[j].row, field: 'offset', message: `${describeRange(b)} sobrepõe ${describeRange(a)}` });
+            }
+        }
+    }
+
+    const apps = resolved.filter(({ entry }) => entry.typeValue === PARTITION_TYPES.app);
+    const otaApps = apps.filter(({ entry }) => entry.subtypeValue >= 0x10 && entry.subtypeValue < 0x20);
+    const otaData = resolved.filter(({ entry }) =>
+        entry.typeValue === PARTITION_TYPES.data && entry.subtypeValue === PARTITION_SUBTYPES.data.ota);
+
+    if (partitions.length > 0 && apps.length === 0) {
+        errors.push({ row: null, field: null, message: 'A tabela precisa de pelo menos uma partição app' });
+    }
+    if (otaApps.length > 0 && otaData.length === 0) {
+        errors.push({ row: null, field: null, message: 'Partições ota_N precisam de uma partição otadata (data, ota)' });
+    }
+    if (otaData.length > 1) {
+        errors.push({ row: otaData[1].row, field: 'subtype', message: 'Só pode haver uma partição otadata' });
+    }
+    if ((partitions.length + 1) * ENTRY_SIZE > MAX_PARTITION_TABLE_LENGTH) {
+        errors.push({ row: null, field: null, message: `Partições demais: a tabela binária tem no máximo ${MAX_PARTITION_TABLE_LENGTH / ENTRY_SIZE - 1} entradas` });
+    }
+    if (!flashSize) {
+        warnings.push(`Tamanho de flash desconhecido (${flashSizeLabel}): limite da flash não verificado`);
+    }
+
+    errors.sort((a, b) => (a.row ?? -1) - (b.row ?? -1));
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        partitions: resolved.map(({ row, entry }) => ({ ...entry, row }))
+    };
+}
+
+// Presets de tabela: layout das apps + armazenamento opcional + coredump,
+// dimensionados para a flash escolhida (nvs/otadata/phy como nos CSVs do IDF)
+export const PARTITION_PRESETS = [
+    { id: 'single_app', name: 'App única', description: 'Uma partição factory, sem OTA', factory: true, otaSlots: 0 },
+    { id: 'ota', name: 'Dois slots OTA', description: 'ota_0 + ota_1 com otadata, sem factory', factory: false, otaSlots: 2 },
+    { id: 'factory_ota', name: 'Factory + OTA', description: 'factory de recuperação + ota_0 + ota_1', factory: true, otaSlots: 2 }
+];
+export const PRESET_STORAGES = ['none', 'spiffs', 'littlefs', 'fat'];
+export const PRESET_FLASH_SIZES = ['2MB', '4MB', '8MB', '16MB'];
+
+const APP_ALIGNMENT = ALIGNMENT[PARTITION_TYPES.app];
+const COREDUMP_SIZE = 0x10000;
+// Com armazenamento, as apps ficam com 3/4 do espaço livre
+const STORAGE_SHARE = 0.25;
+const MIN_APP_SIZE = 0x100000;
+
+function presetError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+export function buildPartitionPreset({ preset: presetId, storage = 'none', coredump = false, flashSize, tableOffset = DEFAULT_TABLE_OFFSET }) {
+    const preset = PARTITION_PRESETS.find(p => p.id === presetId);
+    if (!preset) {
+        throw presetError(`Preset inválido. Use: ${PARTITION_PRESETS.map(p => p.id).join(', ')}`);
+    }
+    if (!PRESET_STORAGES.includes(storage)) {
+        throw presetError(`Armazenamento inválido. Use: ${PRESET_STORAGES.join(', ')}`);
+    }
+    if (!PRESET_FLASH_SIZES.includes(flashSize)) {
+        throw presetError(`Tamanho de flash inválido. Use: ${PRESET_FLASH_SIZES.join(', ')}`);
+    }
+
+    const flashBytes = parseFlashSize(flashSize);
+    const partitions = [];
+    const warnings = [];
+    let offset = tableOffset + PARTITION_TABLE_SIZE;
+    const add = (name, type, subtype, size) => {
+        partitions.push({ name, type, subtype, offset: formatOffset(offset), size: formatOffset(size), flags: '' });
+        offset += size;
+    };
+
+    add('nvs', 'data', 'nvs', preset.otaSlots > 0 ? 0x4000 : 0x6000);
+    if (preset.otaSlots > 0) add('otadata', 'data', 'ota', 0x2000);
+    add('phy_init', 'data', 'phy', 0x1000);
+
+    offset = Math.ceil(offset / APP_ALIGNMENT) * APP_ALIGNMENT;
+    const slots = (preset.factory ? 1 : 0) + preset.otaSlots;
+    const available = flashBytes - offset - (coredump ? COREDUMP_SIZE : 0);
+    const appSpace = storage === 'none' ? available : available * (1 - STORAGE_SHARE);
+    const appSize = Math.floor(appSpace / slots / APP_ALIGNMENT) * APP_ALIGNMENT;
+    if (appSize < MIN_APP_SIZE) {
+        warnings.push(`Cada app fica com ${appSize / 1024}K em ${flashSize}: pode não caber o firmware`);
+    }
+
+    if (preset.factory) add('factory', 'app', 'factory', appSize);
+    for (let i = 0; i < preset.otaSlots; i++) add(`ota_${i}`, 'app', `ota_${i}`, appSize);
+    if (coredump) add('coredump', 'data', 'coredump', COREDUMP_SIZE);
+    if (storage !== 'none') add('storage', 'data', storage, flashBytes - offset);
+
+    return { partitions, warnings };
+}
+
+// Membros dos choices do Kconfig (IDF v5.2) que um preset ajusta
+const PARTITION_TABLE_CHOICE = [
+    'PARTITION_TABLE_SINGLE_APP', 'PARTITION_TABLE_SINGLE_APP_LARGE', 'PARTITION_TABLE_TWO_OTA',
+    'PARTITION_TABLE_CUSTOM', 'PARTITION_TABLE_SINGLE_APP_ENCRYPTED_NVS',
+    'PARTITION_TABLE_SINGLE_APP_LARGE_ENC_NVS', 'PARTITION_TABLE_TWO_OTA_ENCRYPTED_NVS'
+];
+const FLASH_SIZE_CHOICE = ['1MB', '2MB', '4MB', '8MB', '16MB', '32MB', '64MB', '128MB']
+    .map(size => `ESPTOOLPY_FLASHSIZE_${size}`);
+const COREDUMP_CHOICE = ['ESP_COREDUMP_ENABLE_TO_FLASH', 'ESP_COREDUMP_ENABLE_TO_UART', 'ESP_COREDUMP_ENABLE_TO_NONE'];
+
+// Marca um membro do choice e desmarca os outros explicitamente: sem a árvore
+// de menus (projeto nunca configurado) ninguém desmarca os irmãos por nós
+function selectChoice(members, selected) {
+    return Object.fromEntries(members.map(name => [name, name === selected]));
+}
+
+// Destino do core dump com o preset: a partição liga a gravação na flash; sem
+// ela, só sai da flash (para a UART, que o monitor decodifica) e mantém a
+// escolha de UART ou nenhum já feita no projeto
+function presetCoredumpTarget(coredump, configs) {
+    if (coredump) return 'ESP_COREDUMP_ENABLE_TO_FLASH';
+    return configs.CONFIG_ESP_COREDUMP_ENABLE_TO_FLASH === true ? 'ESP_COREDUMP_ENABLE_TO_UART' : null;
+}
+
+// Opções do sdkconfig (nomes do Kconfig, sem CONFIG_) que acompanham um preset.
+// `configs` é o sdkconfig atual do projeto (parseSdkconfig).
+export function presetSdkconfigChanges({ flashSize, coredump, configs = {} }) {
+    const coredumpTarget = presetCoredumpTarget(coredump, configs);
+    return {
+        ...selectChoice(PARTITION_TABLE_CHOICE, 'PARTITION_TABLE_CUSTOM'),
+        PARTITION_TABLE_CUSTOM_FILENAME: PARTITIONS_CSV,
+        ...selectChoice(FLASH_SIZE_CHOICE, `ESPTOOLPY_FLASHSIZE_${flashSize}`),
+        ...(coredumpTarget ? selectChoice(COREDUMP_CHOICE, coredumpTarget) : {})
+    };
+}
+
+// partition-table.bin no formato do IDF (tabela validada)
+export function encodePartitionTable(partitions, { md5 = true } = {}) {
+    const entries = partitions.map(p => {
+        const entry = Buffer.alloc(ENTRY_SIZE);
+        entry.writeUInt16LE(ENTRY_MAGIC, 0);
+        entry.writeUInt8(p.typeValue, 2);
+        entry.writeUInt8(p.subtypeValue, 3);
+        entry.writeUInt32LE(p.offsetValue, 4);
+        entry.writeUInt32LE(p.sizeValue, 8);
+        entry.write(p.name, 12, MAX_NAME_LENGTH, 'utf-8');
+        entry.writeUInt32LE(p.flagsValue, 28);
+        return entry;
+    });
+
+    let table = Buffer.concat(entries);
+    if (md5) {
+        const md5Entry = Buffer.alloc(ENTRY_SIZE, 0xFF);
+        md5Entry.writeUInt16LE(MD5_MAGIC, 0);
+        crypto.createHash('md5').update(table).digest().copy(md5Entry, 16);
+        table = Buffer.concat([table, md5Entry]);
+    }
+
+    return Buffer.concat([table, Buffer.alloc(MAX_PARTITION_TABLE_LENGTH - table.length, 0xFF)]);
+}
+
+function nameForValue(names, value) {
+    return Object.keys(names).find(name => names[name] === value) || formatOffset(value);
+}
+
+// Decodifica um partition-table.bin (gerado aqui, de um build ou lido do chip)
+export function decodePartitionTable(buffer) {
+    const partitions = [];
+    let md5 = null;
+
+    for (let pos = 0; pos + ENTRY_SIZE <= Math.min(buffer.length, MAX_PARTITION_TABLE_LENGTH); pos += ENTRY_SIZE) {
+        const magic = buffer.readUInt16LE(pos);
+        if (magic === MD5_MAGIC) {
+            const expected = crypto.createHash('md5').update(buffer.subarray(0, pos)).digest('hex');
+            const stored = buffer.subarray(pos + 16, pos + 32).toString('hex');
+            md5 = { stored, expected, valid: stored === expected };
+            continue;
+        }
+        if (magic !== ENTRY_MAGIC) break;
+
+        const typeValue = buffer.readUInt8(pos + 2);
+        const subtypeValue = buffer.readUInt8(pos + 3);
+        const typeName = nameForValue(PARTITION_TYPES, typeValue);
+        const flagsValue = buffer.readUInt32LE(pos + 28);
+        partitions.push({
+            name: buffer.subarray(pos + 12, pos + 28).toString('utf-8').replace(/\0.*$/s, ''),
+            type: typeName,
+            subtype: nameForValue(PARTITION_SUBTYPES[typeName] || {}, subtypeValue),
+            offset: formatOffset(buffer.readUInt32LE(pos + 4)),
+            size: formatOffset(buffer.readUInt32LE(pos + 8)),
+            flags: Object.keys(FLAGS).filter(flag => flagsValue & FLAGS[flag]).join(':')
+        });
+    }
+
+    return { partitions, md5 };
+}
+
+// Hexdump no formato do `hexdump -C`; linhas iguais seguidas viram "*"
+export function hexdump(buffer) {
+    const lines = [];
+    let previous = null;
+    let repeated = false;
+
+    for (let pos = 0; pos < buffer.length; pos += 16) {
+        const chunk = buffer.subarray(pos, pos + 16);
+        const key = chunk.toString('hex');
+        if (key === previous) {
+            if (!repeated) lines.push('*');
+            repeated = true;
+            continue;
+        }
+        previous = key;
+        repeated = false;
+
+        const bytes = [...chunk].map(b => b.toString(16).padStart(2, '0'));
+        const hex = `${bytes.slice(0, 8).join(' ')}  ${bytes.slice(8).join(' ')}`.padEnd(48);
+        const ascii = [...chunk].map(b => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('');
+        lines.push(`${pos.toString(16).padStart(8, '0')}  ${hex}  |${ascii}|`);
+    }
+
+    lines.push(buffer.length.toString(16).padStart(8, '0'));
+    return lines.join('\n');
+}
@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Resolução de caminhos vindos do cliente (query/body das rotas /files e
+// /file) sempre confinada à raiz do projeto. Além do "../", um symlink dentro
+// do projeto também não pode levar para fora: o trecho do caminho que já
+// existe é resolvido com realpath antes da checagem.
+
+export function invalidPath(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+export function isPathInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (!relative.startsWith('..' + path.sep) && relative !== '..' && !path.isAbsolute(relative));
+}
+
+// Maior prefixo existente do caminho, já com os symlinks resolvidos
+async function realExistingPrefix(target) {
+    let current = target;
+    while (true) {
+        try {
+            await fs.lstat(current);
+        } catch (e) {
+            if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') throw e;
+            const parent = path.dirname(current);
+            if (parent === current) return current;
+            current = parent;
+            continue;
+        }
+        // Existe mas o realpath falha: symlink quebrado, que uma escrita seguiria
+        try {
+            return await fs.realpath(current);
+        } catch (e) {
+            throw invalidPath('Caminho aponta para um link inválido');
+        }
+    }
+}
+
+// Caminho absoluto dentro do projeto para `relPath`, ou erro 400.
+// allowRoot: aceitar '' / '.' (listar a raiz sim, apagar a raiz não)
+export async function resolveProjectPath(projectRoot, relPath, { allowRoot = false } = {}) {
+    if (typeof relPath !== 'string') {
+        throw invalidPath('Path inválido');
+    }
+    if (relPath.includes('\0')) {
+        throw invalidPath('Path contém caracteres inválidos');
+    }
+    if (path.isAbsolute(relPath)) {
+        throw invalidPath('Path deve ser relativo à raiz do projeto');
+    }
+
+    const root = path.resolve(projectRoot);
+    const fullPath = path.resolve(root, relPath);
+    if (!isPathInside(root, fullPath)) {
+        throw invalidPath('Path fora do diretório do projeto');
+    }
+    if (fullPath === root && !allowRoot) {
+        throw invalidPath('Operação não permitida na raiz do projeto');
+    }
+
+    const realRoot = await fs.realpath(root);
+    if (!isPathInside(realRoot, await realExistingPrefix(fullPath))) {
+        throw invalidPath('Path fora do diretório do projeto (link simbólico)');
+    }
+
+    return fullPath;
+}
@@ -0,0 +1,79 @@
+// Macros do monitor serial, salvas no projeto: payloads com nome enviados
+// com um clique ou repetidos a cada N ms. O payload é texto ou uma sequência
+// de bytes em hexadecimal, seguido do fim de linha escolhido.
+
+export const LINE_ENDINGS = ['none', 'cr', 'lf', 'crlf'];
+export const MACRO_FORMATS = ['text', 'hex'];
+export const MAX_MACROS = 50;
+export const MIN_REPEAT_MS = 50;
+
+const MAX_NAME_LENGTH = 40;
+const MAX_PAYLOAD_BYTES = 4096;
+const MAX_REPEAT_MS = 60 * 60 * 1000;
+const LINE_ENDING_BYTES = { none: 0, cr: 1, lf: 1, crlf: 2 };
+
+// "01 a0 FF", "01a0ff" ou "0x01,0xA0" → [1, 160, 255]; null se inválido
+export function parseHexBytes(text) {
+    const tokens = String(text ?? '').trim().split(/[\s,]+/).filter(Boolean)
+        .map(token => token.replace(/^0x/i, ''))
+        .map(token => (token.length === 1 ? `0${token}` : token));
+    const digits = tokens.join('');
+    if (!/^([0-9a-f]{2})*$/i.test(digits)) return null;
+    return digits.match(/../g)?.map(pair => parseInt(pair, 16)) ?? [];
+}
+
+// Confere e limpa as macros enviadas pelo editor. Erros por linha (índice) e
+// campo, como no editor de NVS.
+export function normalizeSerialMacros(macros) {
+    if (!Array.isArray(macros)) {
+        return { macros: [], errors: [{ row: null, field: null, message: 'Macros inválidas' }] };
+    }
+
+    const errors = [];
+    if (macros.length > MAX_MACROS) {
+        errors.push({ row: null, field: null, message: `Máximo de ${MAX_MACROS} macros por projeto` });
+    }
+
+    const names = new Set();
+    const normalized = macros.map((macro, row) => {
+        const fail = (field, message) => errors.push({ row, field, message });
+        const name = String(macro?.name ?? '').trim();
+        const format = MACRO_FORMATS.includes(macro?.format) ? macro.format : null;
+        const lineEnding = LINE_ENDINGS.includes(macro?.lineEnding) ? macro.lineEnding : null;
+        const payload = String(macro?.payload ?? '');
+        // Vazio ou 0: sem repetição
+        const repeat = [null, undefined, '', 0, '0'].includes(macro?.repeatMs) ? null : Number(macro.repeatMs);
+
+        if (!name) {
+            fail('name', 'Nome obrigatório');
+        } else if (name.length > MAX_NAME_LENGTH) {
+            fail('name', `Nome com mais de ${MAX_NAME_LENGTH} caracteres`);
+        } else if (names.has(name)) {
+            fail('name', `Macro '${name}' repetida`);
+        }
+        names.add(name);
+
+        if (!format) fail('format', `Formato inválido: '${macro?.format}' (use ${MACRO_FORMATS.join(', ')})`);
+        if (!lineEnding) {
+            fail('lineEnding', `Fim de linha inválido: '${macro?.lineEnding}' (use ${LINE_ENDINGS.join(', ')})`);
+        }
+
+        // O fim de linha vale também para o hex
+        const bytes = format === 'hex' ? parseHexBytes(payload) : Buffer.from(payload);
+        if (!bytes) {
+            fail('payload', 'Payload deve ser bytes em hexadecimal (ex.: 01 A0 FF)');
+        } else if (format && lineEnding) {
+            const size = bytes.length + LINE_ENDING_BYTES[lineEnding];
+            if (size === 0) fail('payload', 'Payload vazio');
+            if (size > MAX_PAYLOAD_BYTES) fail('payload', `Payload com mais de ${MAX_PAYLOAD_BYTES} bytes`);
+        }
+
+        if (repeat !== null && (!Number.isInteger(repeat) || repeat < MIN_REPEAT_MS || repeat > MAX_REPEAT_MS)) {
+            fail('repeatMs', `Repetição deve ser um inteiro entre ${MIN_REPEAT_MS} e ${MAX_REPEAT_MS} ms`);
+        }
+
+        return { name, format, payload, lineEnding, repeatMs: repeat };
+    });
+
+    return { macros: normalized, errors };
+}
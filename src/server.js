@@ -1,15 +1,51 @@
 import express from 'express';
 import multer from 'multer';
 import AdmZip from 'adm-zip';
+import yazl from 'yazl';
 import { v4 as uuidv4 } from 'uuid';
 import { WebSocketServer } from 'ws';
 import cors from 'cors';
 import path from 'path';
+import os from 'os';
 import fs from 'fs/promises';
-import { existsSync, mkdirSync, createReadStream } from 'fs';
-import { exec, spawn } from 'child_process';
+import { existsSync, mkdirSync, createReadStream, createWriteStream } from 'fs';
+import { execFile, spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import http from 'http';
+import { openStore } from './store.js';
+import { createJobQueue, JOB_PRIORITIES } from './buildQueue.js';
+import { createLogStore, isValidJobId } from './buildLogs.js';
+import { createDiagnosticsParser, summarizeDiagnostics } from './diagnostics.js';
+import { createProgressTracker, estimateRemaining } from './buildProgress.js';
+import {
+    readFlasherArgs, flashPartsFromArgs, flasherArgsChip, chipFamilyForTarget, targetForChipFamily, formatOffset
+} from './flashLayout.js';
+import { findBuildArtifacts, fileSha256, ARTIFACTS_SUBDIR } from './buildArtifacts.js';
+import { normalizeAddresses, addr2lineArgs, parseAddr2line } from './backtrace.js';
+import {
+    MAX_COREDUMP_SIZE, extractUartCoredump, detectCoredumpFormat, coredumpArgs, parseCoredumpInfo
+} from './coredump.js';
+import { resolveProjectPath, isPathInside } from './projectPaths.js';
+import { extractZipSafely } from './zipExtract.js';
+import { VALID_TARGETS, isValidTarget, invalidTargetMessage } from './targets.js';
+import { IDF_PATH, idfShellArgs, idfEnv } from './idfEnv.js';
+import {
+    parseSdkconfig, resolveConfigChanges, patchSdkconfig, kconfgenValuesToConfigs, diffConfigs, CONFIG_PREFIX
+} from './kconfig.js';
+import {
+    PARTITIONS_CSV, parsePartitionsCsv, serializePartitionsCsv, partitionSettings, validatePartitionTable,
+    encodePartitionTable, decodePartitionTable, hexdump, PARTITION_PRESETS, PRESET_STORAGES, PRESET_FLASH_SIZES,
+    buildPartitionPreset, presetSdkconfigChanges, parseFlashSize
+} from './partitions.js';
+import { FS_TYPES, normalizeFsImages, fsImageCommand } from './fsImages.js';
+import {
+    NVS_CSV, NVS_ENCODINGS, NVS_PAGE_SIZE, MIN_NVS_SIZE, parseNvsCsv, serializeNvsCsv, validateNvsEntries,
+    nvsGenerateArgs, nvsKeygenArgs, hasPlaceholder, parseDeviceCsv, validateDevices, renderNvsTemplate
+} from './nvs.js';
+import { LINE_ENDINGS, MACRO_FORMATS, normalizeSerialMacros } from './serialMacros.js';
+import {
+    createAuth, publicUser, isAdmin, canAccessProject, canManageProject, SESSION_COOKIE
+} from './auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,35 +57,111 @@ const PORT = process.env.PORT || 80;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../uploads');
 const BUILD_DIR = process.env.BUILD_DIR || path.join(__dirname, '../builds');
 const PROJECTS_DIR = process.env.PROJECTS_DIR || path.join(__dirname, '../projects');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+// Chaves de criptografia do NVS por projeto (fora da árvore do projeto)
+const NVS_KEYS_DIR = path.join(DATA_DIR, 'nvs-keys');
+const MAX_CONCURRENT_BUILDS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_BUILDS) || 1);
+// Limites da extração do ZIP enviado (proteção contra zip bomb)
+const MAX_EXTRACTED_SIZE = (parseInt(process.env.MAX_EXTRACTED_MB) || 500) * 1024 * 1024;
+const MAX_ZIP_ENTRIES = parseInt(process.env.MAX_ZIP_ENTRIES) || 20000;
+// Paginação de GET /api/builds
+const BUILDS_PAGE_SIZE = 50;
+const MAX_BUILDS_PAGE_SIZE = 500;
+// Origens de outros sites autorizadas (CORS e /ws); vazio = só a própria origem
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+// Gerador de imagem LittleFS, instalado na imagem Docker (SPIFFS e FAT usam
+// o spiffsgen.py e o fatfsgen.py do IDF)
+const FS_IMAGE_TOOLS = {
+    mklittlefs: process.env.MKLITTLEFS || 'mklittlefs'
+};
 
 // Garantir que diretórios existem
-[UPLOAD_DIR, BUILD_DIR, PROJECTS_DIR].forEach(dir => {
+[UPLOAD_DIR, BUILD_DIR, PROJECTS_DIR, DATA_DIR, NVS_KEYS_DIR].forEach(dir => {
     if (!existsSync(dir)) {
         mkdirSync(dir, { recursive: true });
     }
 });
 
+// Status dos builds, projetos e usuários (persistidos em DATA_DIR/registry.json)
+const store = openStore(DATA_DIR);
+const { builds, projects, users, sessions, persist } = store;
+
+const auth = createAuth({ users, sessions, persist, sessionTtlMs: SESSION_TTL_MS });
+
 // Middleware
 app.use(cors({
-    origin: '*',
+    origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false,
+    credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(express.json());
 
-// Servir arquivos estáticos com headers CORS para ESP Web Tools
-app.use('/builds', (req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
+// Rotas da API acessíveis sem login (healthcheck do Docker inclusive)
+const PUBLIC_API_PATHS = new Set(['/auth/login', '/health']);
+
+function requireAuth(req, res, next) {
+    req.user = auth.authenticate(req);
+    if (!req.user) {
+        return res.status(401).json({ error: 'Não autenticado' });
+    }
+    next();
+}
+
+function requireAdmin(req, res, next) {
+    if (!isAdmin(req.user)) {
+        return res.status(403).json({ error: 'Apenas administradores' });
+    }
+    next();
+}
+
+app.use('/api', (req, res, next) => {
+    if (PUBLIC_API_PATHS.has(req.path)) return next();
+    requireAuth(req, res, next);
+});
+
+// Build ou comando avulso: acesso de quem o iniciou ou tem acesso ao projeto
+function canAccessJob(user, jobId) {
+    if (isAdmin(user)) return true;
+    if (builds.get(jobId)?.ownerId === user.id) return true;
+    return canAccessProject(user, projects.get(jobProjectId(jobId)));
+}
+
+// Recursos de outros usuários respondem 404, sem revelar que existem
+app.param('projectId', (req, res, next, projectId) => {
+    if (!canAccessProject(req.user, projects.get(projectId))) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+    next();
+});
+
+app.param('buildId', (req, res, next, buildId) => {
+    if (!canAccessJob(req.user, buildId)) {
+        return res.status(404).json({ error: 'Build não encontrado' });
+    }
+    next();
+});
+
+// Arquivos dos builds (usados pelo ESP Web Tools, que envia o cookie de sessão)
+app.use('/builds', requireAuth, (req, res, next) => {
+    const buildId = req.path.split('/')[1];
+    if (!canAccessJob(req.user, buildId)) {
+        return res.status(404).json({ error: 'Arquivo não encontrado' });
+    }
     res.header('Cache-Control', 'no-cache');
     next();
 }, express.static(BUILD_DIR));
 
 // Rota específica para manifest (mais confiável)
+// ?variant=merged devolve o manifest com a imagem única em 0x0
 app.get('/api/manifest/:buildId', async (req, res) => {
     try {
-        const manifestPath = path.join(BUILD_DIR, req.params.buildId, 'manifest.json');
+        if (!isValidJobId(req.params.buildId)) {
+            return res.status(400).json({ error: 'buildId inválido' });
+        }
+        const manifestFile = req.query.variant === 'merged' ? 'manifest-merged.json' : 'manifest.json';
+        const manifestPath = path.join(BUILD_DIR, req.params.buildId, manifestFile);
         if (!existsSync(manifestPath)) {
             return res.status(404).json({ error: 'Manifest não encontrado' });
         }
@@ -57,12 +169,13 @@ app.get('/api/manifest/:buildId', async (req, res) => {
         const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
 
         // Ajustar paths para URLs absolutas
-        manifest.builds[0].parts = manifest.builds[0].parts.map(part => ({
-            ...part,
-            path: `/builds/${req.params.buildId}/${part.path}`
-        }));
+        manifest.builds.forEach(build => {
+            build.parts = build.parts.map(part => ({
+                ...part,
+                path: `/builds/${req.params.buildId}/${part.path}`
+            }));
+        });
 
-        res.header('Access-Control-Allow-Origin', '*');
         res.header('Content-Type', 'application/json');
         res.json(manifest);
     } catch (err) {
@@ -91,70 +204,480 @@ const upload = multer({
     }
 });
 
-// Armazenar status dos builds e projetos
-const builds = new Map();
-const projects = new Map();
+// Fila de builds: no máximo MAX_CONCURRENT_BUILDS em paralelo e um por projeto
+const buildQueue = createJobQueue({
+    concurrency: MAX_CONCURRENT_BUILDS,
+    onChange: () => {
+        for (const build of builds.values()) {
+            if (build.status === 'queued') {
+                build.queuePosition = buildQueue.position(build.id);
+            }
+        }
+        persist();
+    }
+});
 
 // Criar servidor HTTP
 const server = http.createServer(app);
 
-// WebSocket para logs em tempo real
-const wss = new WebSocketServer({ server, path: '/ws' });
+// Upgrade do /ws: o navegador sempre envia Origin; bloquear outros sites
+// evita que uma página externa abra o WebSocket com o cookie do usuário
+function isAllowedWsOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === req.headers.host || CORS_ORIGINS.includes(origin);
+    } catch (e) {
+        return false;
+    }
+}
+
+// WebSocket para logs em tempo real (só com sessão ou token válido)
+const wss = new WebSocketServer({
+    server,
+    path: '/ws',
+    verifyClient: ({ req }, done) => {
+        if (!isAllowedWsOrigin(req)) return done(false, 403, 'Origem não permitida');
+        req.user = auth.authenticate(req);
+        if (!req.user) return done(false, 401, 'Não autenticado');
+        done(true);
+    }
+});
+
+// Logs completos de cada build/comando (DATA_DIR/logs/<buildId>.log)
+const buildLogs = createLogStore(path.join(DATA_DIR, 'logs'));
+
+// Projeto de cada job (builds e comandos avulsos), para rotear os logs
+const jobProjects = new Map();
+
+function createJob(projectId) {
+    const buildId = uuidv4();
+    jobProjects.set(buildId, projectId);
+    return buildId;
+}
+
+// Job terminado (ou retirado da fila), com qualquer resultado: fecha o arquivo
+// de log, descarta o pedido de cancelamento e esquece o projeto, que para jobs
+// antigos vem do registro de builds ou da primeira linha do log
+function finishJob(buildId) {
+    jobProjects.delete(buildId);
+    cancelledJobs.delete(buildId);
+    buildLogs.close(buildId);
+}
+
+function jobProjectId(buildId) {
+    return jobProjects.get(buildId) || builds.get(buildId)?.projectId || buildLogs.first(buildId)?.projectId || null;
+}
+
+// Jobs ainda em andamento de um projeto, na ordem em que começaram
+function activeProjectJobs(projectId) {
+    const ids = new Set();
+    for (const build of builds.values()) {
+        if (build.projectId === projectId && ['queued', 'building'].includes(build.status)) {
+            ids.add(build.id);
+        }
+    }
+    for (const buildId of [...runningProcesses.keys(), ...buildQueue.waitingIds()]) {
+        if (jobProjectId(buildId) === projectId) ids.add(buildId);
+    }
+    return [...ids];
+}
+
+function sendReplay(ws, buildId) {
+    for (const entry of buildLogs.read(buildId)) {
+        ws.send(JSON.stringify({ ...entry, replay: true }));
+    }
+}
+
+// Cada cliente assina builds e/ou projetos específicos:
+//   { action: 'subscribe', buildId } | { action: 'subscribe', projectId }
+//   { action: 'unsubscribe', buildId } | { action: 'unsubscribe', projectId } | { action: 'unsubscribe' }
+// Ao assinar, o log até o momento é reenviado (replay: true) antes das linhas ao vivo.
+function handleSubscription(ws, request) {
+    const { action, buildId, projectId } = request;
+
+    if (action === 'subscribe') {
+        if ((buildId && !canAccessJob(ws.user, buildId)) ||
+            (projectId && !canAccessProject(ws.user, projects.get(projectId)))) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Sem acesso a este build/projeto' }));
+            return;
+        }
+        if (buildId && isValidJobId(buildId) && !ws.subscriptions.builds.has(buildId)) {
+            sendReplay(ws, buildId);
+            ws.subscriptions.builds.add(buildId);
+        }
+        if (projectId && !ws.subscriptions.projects.has(projectId)) {
+            activeProjectJobs(projectId)
+                .filter(id => !ws.subscriptions.builds.has(id))
+                .forEach(id => sendReplay(ws, id));
+            ws.subscriptions.projects.add(projectId);
+        }
+    } else if (action === 'unsubscribe') {
+        if (!buildId && !projectId) {
+            ws.subscriptions.builds.clear();
+            ws.subscriptions.projects.clear();
+        }
+        if (buildId) ws.subscriptions.builds.delete(buildId);
+        if (projectId) ws.subscriptions.projects.delete(projectId);
+    }
+}
+
+wss.on('connection', (ws, req) => {
+    console.log(`Cliente WebSocket conectado (${req.user.username})`);
+    ws.user = req.user;
+    ws.subscriptions = { builds: new Set(), projects: new Set() };
+
+    ws.on('message', (raw) => {
+        try {
+            handleSubscription(ws, JSON.parse(raw.toString()));
+        } catch (err) {
+            ws.send(JSON.stringify({ type: 'error', message: `Mensagem inválida: ${err.message}` }));
+        }
+    });
 
-wss.on('connection', (ws) => {
-    console.log('Cliente WebSocket conectado');
     ws.on('close', () => console.log('Cliente WebSocket desconectado'));
 });
 
-function broadcastLog(buildId, message, type = 'info') {
-    const data = JSON.stringify({ buildId, message, type, timestamp: new Date().toISOString() });
+function sendToSubscribers(buildId, projectId, payload) {
+    const data = JSON.stringify(payload);
     wss.clients.forEach(client => {
-        if (client.readyState === 1) {
+        if (client.readyState !== 1) return;
+        const { builds: subscribedBuilds, projects: subscribedProjects } = client.subscriptions;
+        if (subscribedBuilds.has(buildId) || (projectId && subscribedProjects.has(projectId))) {
             client.send(data);
         }
     });
 }
 
+function broadcastLog(buildId, message, type = 'info') {
+    const projectId = jobProjectId(buildId);
+    const entry = { buildId, projectId, message, type, timestamp: new Date().toISOString() };
+
+    try {
+        buildLogs.append(buildId, entry);
+    } catch (err) {
+        console.error(`Erro ao gravar log de ${buildId}:`, err.message);
+    }
+
+    sendToSubscribers(buildId, projectId, entry);
+}
+
+// Eventos que não fazem parte do log (ex.: progresso): { buildId, event, ...data }
+function broadcastEvent(buildId, event, data) {
+    const projectId = jobProjectId(buildId);
+    sendToSubscribers(buildId, projectId, { buildId, projectId, event, ...data });
+}
+
+// Processos em execução por buildId e jobs marcados para cancelamento
+const runningProcesses = new Map();
+const cancelledJobs = new Set();
+const CANCEL_GRACE_MS = 5000;
+// Intervalo mínimo entre eventos de progresso enviados pelo WebSocket
+const PROGRESS_INTERVAL_MS = 250;
+
+// Encerrar o grupo de processos inteiro (bash, idf.py, cmake, ninja, gcc...).
+// SIGTERM primeiro para o ninja remover saídas incompletas; SIGKILL se demorar.
+function killProcessTree(proc) {
+    const signalGroup = (signal) => {
+        try {
+            process.kill(-proc.pid, signal);
+        } catch (e) {
+            // Grupo já encerrado
+        }
+    };
+
+    signalGroup('SIGTERM');
+    const timer = setTimeout(() => signalGroup('SIGKILL'), CANCEL_GRACE_MS);
+    proc.once('close', () => clearTimeout(timer));
+}
+
+function throwIfCancelled(buildId) {
+    if (cancelledJobs.has(buildId)) {
+        const error = new Error('Cancelado pelo usuário');
+        error.cancelled = true;
+        throw error;
+    }
+}
+
+// Mensagem final de um comando avulso que falhou ou foi cancelado
+function reportCommandError(buildId, error) {
+    if (error.cancelled) {
+        broadcastLog(buildId, '🛑 Comando cancelado', 'cancelled');
+    } else {
+        broadcastLog(buildId, `❌ Erro: ${error.message}`, 'error');
+    }
+}
+
 // Executar comando IDF com streaming de output
-function runIdfCommand(projectPath, command, buildId) {
+// args: ['idf.py', 'build'] — nunca uma string de shell
+// options.onOutput recebe cada pedaço de stdout/stderr (ex.: parser de diagnósticos)
+// options.allowFailure resolve mesmo com código de saída diferente de zero
+function runIdfCommand(projectPath, args, buildId, options = {}) {
     return new Promise((resolve, reject) => {
-        const fullCmd = `source /opt/esp/idf/export.sh && cd "${projectPath}" && ${command}`;
+        throwIfCancelled(buildId);
 
-        broadcastLog(buildId, `$ ${command}`, 'command');
+        broadcastLog(buildId, `$ ${args.join(' ')}`, 'command');
 
-        const proc = spawn('bash', ['-c', fullCmd], {
+        // detached: processo líder de um novo grupo, para poder matar a árvore toda
+        const proc = spawn('bash', idfShellArgs(args), {
             cwd: projectPath,
-            env: { ...process.env, IDF_PATH: '/opt/esp/idf' }
+            env: idfEnv(),
+            detached: true
         });
+        runningProcesses.set(buildId, proc);
 
         let output = '';
 
         proc.stdout.on('data', (data) => {
             const msg = data.toString();
             output += msg;
+            options.onOutput?.(msg);
             broadcastLog(buildId, msg, 'stdout');
         });
 
         proc.stderr.on('data', (data) => {
             const msg = data.toString();
             output += msg;
+            options.onOutput?.(msg);
             broadcastLog(buildId, msg, 'stderr');
         });
 
         proc.on('close', (code) => {
-            if (code === 0) {
-                resolve({ success: true, output });
+            runningProcesses.delete(buildId);
+            if (cancelledJobs.has(buildId)) {
+                const error = new Error('Cancelado pelo usuário');
+                error.cancelled = true;
+                reject(error);
+            } else if (code === 0 || options.allowFailure) {
+                resolve({ success: code === 0, output });
             } else {
                 reject(new Error(`Command failed with code ${code}\n${output}`));
             }
         });
 
         proc.on('error', (err) => {
+            runningProcesses.delete(buildId);
             reject(err);
         });
     });
 }
 
+// Ferramenta do IDF sem job nem log (ex.: kconfgen); devolve o stdout
+function execIdfTool(args, options = {}) {
+    return new Promise((resolve, reject) => {
+        execFile('bash', idfShellArgs(args), { maxBuffer: 64 * 1024 * 1024, env: idfEnv(), ...options }, (err, stdout, stderr) => {
+            if (err) {
+                err.message = `${args.join(' ')} falhou: ${(stderr || err.message).trim()}`;
+                reject(err);
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+// Detectar raiz, nome e arquivos relevantes de um projeto extraído
+async function inspectProject(projectId, extractPath) {
+    // Verificar se tem subpasta única
+    let projectPath = extractPath;
+    const items = await fs.readdir(extractPath);
+    if (items.length === 1) {
+        const subPath = path.join(extractPath, items[0]);
+        const stat = await fs.stat(subPath);
+        if (stat.isDirectory()) {
+            projectPath = subPath;
+        }
+    }
+
+    // Detectar tipo e infos do projeto
+    const files = await fs.readdir(projectPath);
+    const hasCMake = files.includes('CMakeLists.txt');
+
+    // Ler nome do projeto
+    let projectName = 'unknown';
+    if (hasCMake) {
+        try {
+            const cmake = await fs.readFile(path.join(projectPath, 'CMakeLists.txt'), 'utf-8');
+            const match = cmake.match(/project\(([^)]+)\)/);
+            if (match) projectName = match[1].trim();
+        } catch (e) { }
+    }
+
+    return {
+        id: projectId,
+        name: projectName,
+        path: projectPath,
+        hasMain: files.includes('main'),
+        hasCMake,
+        hasPartitions: files.includes('partitions.csv'),
+        hasSdkconfig: files.includes('sdkconfig') || files.includes('sdkconfig.defaults')
+    };
+}
+
+// Reconciliar o registro carregado do disco com PROJECTS_DIR e BUILD_DIR
+async function reconcileRegistry() {
+    // Projetos registrados cujo diretório sumiu
+    for (const [id, project] of projects) {
+        if (!existsSync(project.path)) {
+            projects.delete(id);
+            console.log(`🗑️ Projeto removido do registro (diretório ausente): ${id}`);
+        }
+    }
+
+    // Diretórios de projeto sem registro (ex.: registro perdido)
+    const projectDirs = await fs.readdir(PROJECTS_DIR, { withFileTypes: true });
+    for (const dir of projectDirs) {
+        if (!dir.isDirectory() || projects.has(dir.name)) continue;
+        try {
+            const extractPath = path.join(PROJECTS_DIR, dir.name);
+            const stat = await fs.stat(extractPath);
+            const project = await inspectProject(dir.name, extractPath);
+            // O target só é conhecido se o sdkconfig já foi gerado
+            let target = null;
+            const sdkconfigPath = path.join(project.path, 'sdkconfig');
+            if (existsSync(sdkconfigPath)) {
+                const match = (await fs.readFile(sdkconfigPath, 'utf-8')).match(/^CONFIG_IDF_TARGET="([^"]+)"/m);
+                if (match && isValidTarget(match[1])) target = match[1];
+            }
+            projects.set(dir.name, {
+                ...project,
+                originalName: null,
+                target,
+                createdAt: Math.round(stat.birthtimeMs || stat.mtimeMs)
+            });
+            console.log(`📁 Projeto recuperado do disco: ${project.name} (${dir.name})`);
+        } catch (e) {
+            console.error(`⚠️ Ignorando diretório de projeto inválido ${dir.name}:`, e.message);
+        }
+    }
+
+    // Builds interrompidos ou enfileirados antes do reinício nunca vão terminar
+    for (const [id, build] of builds) {
+        if (build.status === 'building' || build.status === 'queued') {
+            builds.set(id, {
+                ...build,
+                status: 'failed',
+                queuePosition: null,
+                error: 'Build interrompido pelo reinício do servidor',
+                endTime: build.endTime || Date.now()
+            });
+        } else if (build.status === 'success' && !existsSync(path.join(BUILD_DIR, id))) {
+            builds.delete(id);
+            await buildLogs.remove(id);
+        }
+    }
+
+    // Saídas de build sem registro: recriar a partir do manifest
+    const buildDirs = await fs.readdir(BUILD_DIR, { withFileTypes: true });
+    for (const dir of buildDirs) {
+        if (!dir.isDirectory() || builds.has(dir.name)) continue;
+        const outDir = path.join(BUILD_DIR, dir.name);
+        const manifestPath = path.join(outDir, 'manifest.json');
+        if (!existsSync(manifestPath)) continue;
+        try {
+            const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+            const stat = await fs.stat(manifestPath);
+            const binaries = {};
+            for (const f of await fs.readdir(outDir)) {
+                if (f.endsWith('.bin')) binaries[f] = `/builds/${dir.name}/${f}`;
+            }
+            builds.set(dir.name, {
+                id: dir.name,
+                projectId: null,
+                status: 'success',
+                target: targetForChipFamily(manifest.builds?.[0]?.chipFamily),
+                binaries,
+                manifestUrl: `/builds/${dir.name}/manifest.json`,
+                startTime: Math.round(stat.mtimeMs),
+                endTime: Math.round(stat.mtimeMs)
+            });
+        } catch (e) {
+            console.error(`⚠️ Ignorando build inválido ${dir.name}:`, e.message);
+        }
+    }
+
+    // Logs de builds que saíram do registro e de comandos de projetos excluídos
+    await buildLogs.removeWhere((entry, id) => !builds.has(id) && !projects.has(entry?.projectId));
+
+    persist();
+}
+
+// ================== API: AUTENTICAÇÃO ==================
+
+function sendAuthError(res, error) {
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+app.post('/api/auth/login', (req, res) => {
+    try {
+        const { token, user, expiresAt } = auth.login(req.body.username, req.body.password);
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            path: '/',
+            expires: new Date(expiresAt)
+        });
+        res.json({ user: publicUser(user), expiresAt });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    auth.logout(req);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: publicUser(req.user) });
+});
+
+// Troca de senha (encerra as demais sessões do usuário)
+app.post('/api/auth/password', (req, res) => {
+    try {
+        auth.changePassword(req.user, req.body.currentPassword, req.body.newPassword);
+        res.json({ success: true });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+// Tokens de API do próprio usuário (Authorization: Bearer <token>)
+app.get('/api/auth/tokens', (req, res) => {
+    res.json(auth.listApiTokens(req.user));
+});
+
+app.post('/api/auth/tokens', (req, res) => {
+    try {
+        res.json(auth.createApiToken(req.user, req.body.name));
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
+app.delete('/api/auth/tokens/:tokenId', (req, res) => {
+    if (!auth.revokeApiToken(req.user, req.params.tokenId)) {
+        return res.status(404).json({ error: 'Token não encontrado' });
+    }
+    res.json({ success: true });
+});
+
+// Gerenciamento de usuários (admin)
+app.get('/api/users', requireAdmin, (req, res) => {
+    res.json([...users.values()].map(publicUser));
+});
+
+app.post('/api/users', requireAdmin, (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+        res.json({ user: publicUser(auth.createUser({ username, password, role })) });
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+});
+
 // ================== API: PROJETOS ==================
 
 // Upload de projeto
@@ -168,55 +691,31 @@ app.post('/api/project/upload', upload.single('project'), async (req, res) => {
         const zipPath = req.file.path;
         const extractPath = path.join(PROJECTS_DIR, projectId);
 
-        // Extrair ZIP
-        const zip = new AdmZip(zipPath);
-        zip.extractAllTo(extractPath, true);
-
-        // Remover ZIP original
-        await fs.unlink(zipPath);
-
-        // Verificar se tem subpasta única
-        let projectPath = extractPath;
-        const items = await fs.readdir(extractPath);
-        if (items.length === 1) {
-            const subPath = path.join(extractPath, items[0]);
-            const stat = await fs.stat(subPath);
-            if (stat.isDirectory()) {
-                projectPath = subPath;
-            }
-        }
-
-        // Detectar tipo e infos do projeto
-        const files = await fs.readdir(projectPath);
-        const hasMain = files.includes('main');
-        const hasCMake = files.includes('CMakeLists.txt');
-        const hasPartitions = files.includes('partitions.csv');
-        const hasSdkconfig = files.includes('sdkconfig') || files.includes('sdkconfig.defaults');
-
-        // Ler nome do projeto
-        let projectName = 'unknown';
-        if (hasCMake) {
-            try {
-                const cmake = await fs.readFile(path.join(projectPath, 'CMakeLists.txt'), 'utf-8');
-                const match = cmake.match(/project\(([^)]+)\)/);
-                if (match) projectName = match[1].trim();
-            } catch (e) { }
+        // Extrair ZIP (entradas validadas antes de gravar qualquer arquivo)
+        try {
+            extractZipSafely(zipPath, extractPath, {
+                maxEntries: MAX_ZIP_ENTRIES,
+                maxTotalSize: MAX_EXTRACTED_SIZE
+            });
+        } catch (error) {
+            await fs.rm(extractPath, { recursive: true, force: true });
+            throw error;
+        } finally {
+            // Remover ZIP original
+            await fs.rm(zipPath, { force: true });
         }
 
         const project = {
-            id: projectId,
-            name: projectName,
-            path: projectPath,
+            ...await inspectProject(projectId, extractPath),
             originalName: req.file.originalname,
-            hasMain,
-            hasCMake,
-            hasPartitions,
-            hasSdkconfig,
             target: null,
+            ownerId: req.user.id,
+            sharedWith: [],
             createdAt: Date.now()
         };
 
         projects.set(projectId, project);
+        persist();
 
         res.json({
             success: true,
@@ -224,8 +723,8 @@ app.post('/api/project/upload', upload.single('project'), async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Erro no upload:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Erro no upload:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -233,8 +732,12 @@ app.post('/api/project/upload', upload.single('project'), async (req, res) => {
 app.get('/api/projects', async (req, res) => {
     const projectList = [];
     projects.forEach((value, key) => {
-        projectList.push({ id: key, ...value });
+        if (canAccessProject(req.user, value)) {
+            projectList.push({ id: key, ...value });
+        }
     });
+    // Mais recente por último (loadProjects() abre o último da lista)
+    projectList.sort((a, b) => a.createdAt - b.createdAt);
     res.json(projectList);
 });
 
@@ -250,17 +753,76 @@ app.get('/api/project/:projectId', async (req, res) => {
 // Deletar projeto
 app.delete('/api/project/:projectId', async (req, res) => {
     const project = projects.get(req.params.projectId);
+    if (!canManageProject(req.user, project)) {
+        return res.status(403).json({ error: 'Apenas o dono do projeto pode excluí-lo' });
+    }
     if (project) {
         try {
-            await fs.rm(path.dirname(project.path), { recursive: true, force: true });
+            await fs.rm(path.join(PROJECTS_DIR, project.id), { recursive: true, force: true });
         } catch (e) { }
         projects.delete(req.params.projectId);
+        persist();
+        await buildLogs.removeWhere(entry => entry?.projectId === project.id);
     }
     res.json({ success: true });
 });
 
+// Compartilhar projeto com outro usuário (dono ou admin)
+app.post('/api/project/:projectId/share', (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!canManageProject(req.user, project)) {
+        return res.status(403).json({ error: 'Apenas o dono do projeto pode compartilhá-lo' });
+    }
+
+    const user = auth.findByUsername(req.body.username);
+    if (!user) {
+        return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    if (user.id !== project.ownerId && !(project.sharedWith || []).includes(user.id)) {
+        project.sharedWith = [...(project.sharedWith || []), user.id];
+        persist();
+    }
+    res.json({ success: true, sharedWith: project.sharedWith });
+});
+
+app.delete('/api/project/:projectId/share/:userId', (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!canManageProject(req.user, project)) {
+        return res.status(403).json({ error: 'Apenas o dono do projeto pode compartilhá-lo' });
+    }
+
+    project.sharedWith = (project.sharedWith || []).filter(id => id !== req.params.userId);
+    persist();
+    res.json({ success: true, sharedWith: project.sharedWith });
+});
+
 // ================== API: BUILD ==================
 
+// Comandos avulsos do idf.py usam o build/ do projeto: entram na fila dos
+// builds com a chave do projeto, para nunca rodarem junto com outro job dele.
+// Retorna a posição na fila (null se já começou).
+function enqueueProjectCommand(project, jobId, run) {
+    buildQueue.enqueue({
+        id: jobId,
+        key: project.id,
+        priority: JOB_PRIORITIES.normal,
+        run: async () => {
+            try {
+                await run();
+            } catch (error) {
+                reportCommandError(jobId, error);
+            }
+        }
+    }).finally(() => finishJob(jobId));
+
+    const queuePosition = buildQueue.position(jobId);
+    if (queuePosition) {
+        broadcastLog(jobId, `⏳ Comando na fila (posição ${queuePosition})`, 'info');
+    }
+    return queuePosition;
+}
+
 // Set target
 app.post('/api/project/:projectId/set-target', async (req, res) => {
     const project = projects.get(req.params.projectId);
@@ -269,352 +831,1362 @@ app.post('/api/project/:projectId/set-target', async (req, res) => {
     }
 
     const { target } = req.body;
-    const validTargets = ['esp32', 'esp32s2', 'esp32s3', 'esp32c3', 'esp32c6', 'esp32h2'];
 
-    if (!validTargets.includes(target)) {
-        return res.status(400).json({ error: `Target inválido. Use: ${validTargets.join(', ')}` });
+    if (!isValidTarget(target)) {
+        return res.status(400).json({ error: invalidTargetMessage() });
     }
 
-    const buildId = uuidv4();
-
-    res.json({ buildId, message: 'Set-target iniciado' });
-
-    try {
-        await runIdfCommand(project.path, `idf.py set-target ${target}`, buildId);
+    const buildId = createJob(project.id);
+    const queuePosition = enqueueProjectCommand(project, buildId, async () => {
+        await runIdfCommand(project.path, ['idf.py', 'set-target', target], buildId);
         project.target = target;
+        persist();
         broadcastLog(buildId, `✅ Target definido: ${target}`, 'success');
-    } catch (error) {
-        broadcastLog(buildId, `❌ Erro: ${error.message}`, 'error');
-    }
+    });
+
+    res.json({ buildId, queuePosition, message: queuePosition ? 'Set-target na fila' : 'Set-target iniciado' });
 });
 
-// Build
-app.post('/api/project/:projectId/build', async (req, res) => {
-    const project = projects.get(req.params.projectId);
-    if (!project) {
-        return res.status(404).json({ error: 'Projeto não encontrado' });
+// Diretório de build isolado de cada target num build matrix
+function matrixBuildDirName(target) {
+    return `build_${target}`;
+}
+
+// Build matrix: usar o sdkconfig do projeto quando ele é do mesmo target;
+// para outros targets o IDF gera um a partir do sdkconfig.defaults
+async function seedMatrixSdkconfig(project, target) {
+    const projectSdkconfig = path.join(project.path, 'sdkconfig');
+    if (!existsSync(projectSdkconfig)) return;
+
+    const content = await fs.readFile(projectSdkconfig, 'utf-8');
+    const match = content.match(/^CONFIG_IDF_TARGET="([^"]+)"/m);
+    if (match && match[1] === target) {
+        const buildDir = path.join(project.path, matrixBuildDirName(target));
+        mkdirSync(buildDir, { recursive: true });
+        await fs.copyFile(projectSdkconfig, path.join(buildDir, 'sdkconfig'));
+    }
+}
+
+const MERGED_IMAGE_NAME = 'merged.bin';
+
+// Gerar as imagens de sistema de arquivos configuradas no projeto em
+// <buildDir>/<partição>.bin. Retorna as entradas extras do flash_files.
+async function buildFilesystemImages(project, buildDirName, buildId) {
+    if (!project.fsImages?.length) return {};
+
+    const dataPartitions = await resolvedDataPartitions(project);
+    const images = normalizeFsImages(project.fsImages, dataPartitions);
+    const sdkconfigPath = path.join(project.path, buildDirName === 'build' ? '' : buildDirName, 'sdkconfig');
+    const configs = existsSync(sdkconfigPath) ? parseSdkconfig(await fs.readFile(sdkconfigPath, 'utf-8')) : {};
+    const flashFiles = {};
+
+    for (const image of images) {
+        const partition = dataPartitions.find(p => p.name === image.partition);
+        const sourceDir = await resolveFsImageFolder(project, image.folder);
+        const file = `${partition.name}.bin`;
+
+        broadcastLog(buildId, `\n🗂️ Imagem ${image.fsType} de ${image.folder}/ → ${partition.name} (${partition.offset}, ${partition.sizeValue} bytes)\n`, 'info');
+        await runIdfCommand(project.path, fsImageCommand({
+            fsType: image.fsType,
+            sourceDir,
+            size: partition.sizeValue,
+            output: path.join(project.path, buildDirName, file),
+            idfPath: IDF_PATH,
+            configs,
+            tools: FS_IMAGE_TOOLS
+        }), buildId);
+        flashFiles[partition.offset] = file;
     }
 
-    const buildId = uuidv4();
-    const target = req.body.target || project.target || 'esp32';
+    return flashFiles;
+}
+
+// esptool.py merge_bin com as partes já copiadas para outDir
+function mergeFlashImage(outDir, buildId, chip, flashParts, flashSettings) {
+    const settings = ['flash_mode', 'flash_size', 'flash_freq']
+        .filter(key => flashSettings[key])
+        .flatMap(key => [`--${key}`, String(flashSettings[key])]);
+    const parts = flashParts.flatMap(part => [formatOffset(part.offset), part.name]);
+
+    return runIdfCommand(
+        outDir,
+        ['esptool.py', '--chip', chip, 'merge_bin', '-o', MERGED_IMAGE_NAME, ...settings, ...parts],
+        buildId
+    );
+}
+
+// NVS do projeto (nvs.csv) gerado no build quando marcado para gravar junto
+async function buildNvsImage(project, buildDirName, buildId) {
+    if (!project.nvs?.flashWithBuild) return {};
+
+    broadcastLog(buildId, `\n🔑 Gerando imagem NVS (${project.nvs.encrypted ? 'criptografada' : 'sem criptografia'})\n`, 'info');
+    const image = await generateNvsImage(project, path.join(project.path, buildDirName), { buildId });
+    return {
+        [image.partition.offset]: image.file,
+        ...(image.keys ? { [image.keys.partition.offset]: image.keys.file } : {})
+    };
+}
+
+// Copiar as partes gravadas por um build para BUILD_DIR/<buildId>[/<subDir>]
+// extraFlashFiles: { offset: arquivo relativo ao buildDir } somados ao
+// flash_files do build (imagens de sistema de arquivos e NVS)
+async function collectBuildOutputs(buildDir, buildId, target, subDir = '', extraFlashFiles = {}) {
+    const outDir = path.join(BUILD_DIR, buildId, subDir);
+    mkdirSync(outDir, { recursive: true });
+
+    const flasherArgs = await readFlasherArgs(buildDir);
+    flasherArgs.flash_files = { ...flasherArgs.flash_files, ...extraFlashFiles };
+    const flashParts = flashPartsFromArgs(flasherArgs);
+    const chipTarget = flasherArgsChip(flasherArgs) || target;
+    const prefix = subDir ? `${subDir}/` : '';
+
+    const binaries = {};
+    for (const part of flashParts) {
+        await fs.copyFile(path.join(buildDir, part.file), path.join(outDir, part.name));
+        binaries[`${prefix}${part.name}`] = `/builds/${buildId}/${prefix}${part.name}`;
+    }
+    await fs.writeFile(path.join(outDir, 'flasher_args.json'), JSON.stringify(flasherArgs, null, 2));
+
+    // ELF, map e metadados do build, que o próximo build sobrescreve no projeto
+    const artifacts = {};
+    mkdirSync(path.join(outDir, ARTIFACTS_SUBDIR), { recursive: true });
+    for (const [kind, file] of Object.entries(await findBuildArtifacts(buildDir))) {
+        const name = path.basename(file);
+        await fs.copyFile(path.join(buildDir, file), path.join(outDir, ARTIFACTS_SUBDIR, name));
+        artifacts[kind] = `${prefix}${ARTIFACTS_SUBDIR}/${name}`;
+    }
+    const elfSha256 = artifacts.elf ? await fileSha256(path.join(BUILD_DIR, buildId, artifacts.elf)) : null;
+
+    // Imagem única para gravar em 0x0 (linha de produção, download para clientes)
+    let mergedImage = null;
+    try {
+        await mergeFlashImage(outDir, buildId, chipTarget, flashParts, flasherArgs.flash_settings || {});
+        mergedImage = `${prefix}${MERGED_IMAGE_NAME}`;
+        binaries[mergedImage] = `/builds/${buildId}/${mergedImage}`;
+    } catch (error) {
+        if (error.cancelled) throw error;
+        broadcastLog(buildId, `⚠️ Não foi possível gerar a imagem única: ${error.message.split('\n')[0]}`, 'stderr');
+    }
 
+    return {
+        binaries,
+        artifacts,
+        elfSha256,
+        mergedImage,
+        mergedManifestBuild: mergedImage && {
+            chipFamily: chipFamilyForTarget(chipTarget),
+            parts: [{ path: mergedImage, offset: 0 }]
+        },
+        flashLayout: flashParts.map(part => ({
+            name: `${prefix}${part.name}`,
+            target: chipTarget,
+            offset: formatOffset(part.offset)
+        })),
+        flashSettings: flasherArgs.flash_settings || null,
+        manifestBuild: {
+            chipFamily: chipFamilyForTarget(chipTarget),
+            parts: flashParts.map(part => ({ path: `${prefix}${part.name}`, offset: part.offset }))
+        }
+    };
+}
+
+// Executar um build (chamado pela fila quando há vaga).
+// Com matrix=true cada target compila em build_<target>/ com o próprio sdkconfig,
+// sem set-target no projeto; sem matrix usa build/ e o target do projeto.
+async function runBuild(project, buildId, targets, { matrix = false } = {}) {
     builds.set(buildId, {
-        projectId: project.id,
+        ...builds.get(buildId),
         status: 'building',
-        target,
+        queuePosition: null,
         startTime: Date.now()
     });
-
-    res.json({ buildId, message: 'Build iniciado' });
+    persist();
+
+    const targetsKey = targets.join(',');
+    const previousDurations = [...builds.values()]
+        .filter(b => b.projectId === project.id && b.status === 'success' && b.startTime && b.endTime)
+        .filter(b => (b.targets || [b.target]).join(',') === targetsKey)
+        .slice(-5)
+        .map(b => b.endTime - b.startTime);
+
+    // Erros e warnings do compilador/CMake/linker, guardados no registro do build
+    const diagnostics = [];
+    let diagnosticsParser = null;
+    let progressTracker = null;
+    let targetIndex = 0;
+    let lastProgressAt = 0;
+
+    const flushDiagnostics = () => {
+        if (!diagnosticsParser) return;
+        const target = targets[targetIndex];
+        diagnosticsParser.finish().forEach(d => diagnostics.push(matrix ? { ...d, target } : d));
+        diagnosticsParser = null;
+    };
+    const diagnosticsResult = () => {
+        flushDiagnostics();
+        return { diagnostics, diagnosticsSummary: summarizeDiagnostics(diagnostics) };
+    };
+
+    const publishProgress = (force = false) => {
+        const build = builds.get(buildId);
+        const now = Date.now();
+        if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+        lastProgressAt = now;
+
+        const progress = progressTracker.snapshot();
+        // Percentual geral considerando os targets já concluídos
+        progress.percent = Math.floor((targetIndex * 100 + progress.percent) / targets.length);
+        progress.target = targets[targetIndex];
+        progress.targetIndex = targetIndex;
+        progress.targetCount = targets.length;
+        progress.etaMs = progress.phase === 'done' && targetIndex === targets.length - 1 ? 0 : estimateRemaining({
+            elapsedMs: now - build.startTime,
+            percent: progress.percent,
+            previousDurations
+        });
+        build.progress = progress;
+        broadcastEvent(buildId, 'progress', { progress });
+    };
+
+    const commandOptions = {
+        onOutput: (chunk) => {
+            diagnosticsParser.push(chunk);
+            if (progressTracker.push(chunk)) publishProgress();
+        }
+    };
 
     try {
-        // Set target se necessário
-        if (!project.target || project.target !== target) {
-            await runIdfCommand(project.path, `idf.py set-target ${target}`, buildId);
-            project.target = target;
+        const binaries = {};
+        const flashLayout = [];
+        const mergedImages = {};
+        const sdkconfigs = {};
+        const artifacts = {};
+        const elfSha256 = {};
+        const manifest = { name: project.name, builds: [] };
+        // Manifest alternativo: uma única parte (merged.bin) em 0x0 por chip
+        const mergedManifest = { name: `${project.name} (imagem única)`, builds: [] };
+        let flashSettings = null;
+
+        for (targetIndex = 0; targetIndex < targets.length; targetIndex++) {
+            const target = targets[targetIndex];
+            const buildDirName = matrix ? matrixBuildDirName(target) : 'build';
+            diagnosticsParser = createDiagnosticsParser(project.path, buildDirName);
+            progressTracker = createProgressTracker();
+            publishProgress(true);
+
+            if (matrix) {
+                broadcastLog(buildId, `\n🎯 Target ${targetIndex + 1}/${targets.length}: ${target}\n`, 'info');
+                await seedMatrixSdkconfig(project, target);
+                await runIdfCommand(
+                    project.path,
+                    ['idf.py', '-B', buildDirName, '-D', `IDF_TARGET=${target}`, '-D', `SDKCONFIG=${buildDirName}/sdkconfig`, 'build'],
+                    buildId,
+                    commandOptions
+                );
+            } else {
+                // Set target se necessário
+                if (!project.target || project.target !== target) {
+                    // Até o set-target terminar o build/ fica num estado intermediário;
+                    // se for interrompido, o próximo build refaz o set-target do zero
+                    project.target = null;
+                    await runIdfCommand(project.path, ['idf.py', 'set-target', target], buildId, commandOptions);
+                    project.target = target;
+                    persist();
+                }
+
+                await runIdfCommand(project.path, ['idf.py', 'build'], buildId, commandOptions);
+            }
+
+            throwIfCancelled(buildId);
+            progressTracker.complete();
+            publishProgress(true);
+            flushDiagnostics();
+
+            // Imagens de dados (sistema de arquivos, NVS) gravadas junto com o firmware
+            const dataFlashFiles = {
+                ...await buildFilesystemImages(project, buildDirName, buildId),
+                ...await buildNvsImage(project, buildDirName, buildId)
+            };
+
+            // Processar binários a partir do layout gerado pelo build
+            const outputs = await collectBuildOutputs(
+                path.join(project.path, buildDirName), buildId, target, matrix ? target : '', dataFlashFiles
+            );
+            Object.assign(binaries, outputs.binaries);
+            artifacts[target] = outputs.artifacts;
+            if (outputs.elfSha256) elfSha256[target] = outputs.elfSha256;
+            flashLayout.push(...outputs.flashLayout);
+            flashSettings = flashSettings || outputs.flashSettings;
+            manifest.builds.push(outputs.manifestBuild);
+            if (outputs.mergedImage) {
+                mergedImages[target] = outputs.mergedImage;
+                mergedManifest.builds.push(outputs.mergedManifestBuild);
+            }
+
+            // sdkconfig usado neste target, para comparar configurações depois
+            const usedSdkconfig = path.join(project.path, matrix ? buildDirName : '', 'sdkconfig');
+            if (existsSync(usedSdkconfig)) {
+                sdkconfigs[target] = `${matrix ? `${target}/` : ''}sdkconfig`;
+                await fs.copyFile(usedSdkconfig, path.join(BUILD_DIR, buildId, sdkconfigs[target]));
+                artifacts[target].sdkconfig = sdkconfigs[target];
+            }
         }
+        targetIndex = targets.length - 1;
 
-        // Build
-        await runIdfCommand(project.path, 'idf.py build', buildId);
+        // manifest.json para ESP Web Tools: um builds[] por chipFamily
+        await fs.writeFile(path.join(BUILD_DIR, buildId, 'manifest.json'), JSON.stringify(manifest, null, 2));
 
-        // Processar binários
-        const buildDir = path.join(project.path, 'build');
-        const outDir = path.join(BUILD_DIR, buildId);
-        mkdirSync(outDir, { recursive: true });
+        const hasMergedManifest = mergedManifest.builds.length === manifest.builds.length;
+        if (hasMergedManifest) {
+            await fs.writeFile(
+                path.join(BUILD_DIR, buildId, 'manifest-merged.json'),
+                JSON.stringify(mergedManifest, null, 2)
+            );
+        }
 
-        const files = await fs.readdir(buildDir);
-        const binFiles = files.filter(f => f.endsWith('.bin'));
+        builds.set(buildId, {
+            ...builds.get(buildId),
+            status: 'success',
+            binaries,
+            flashLayout,
+            flashSettings,
+            mergedImages,
+            sdkconfigs,
+            artifacts,
+            elfSha256,
+            manifestUrl: `/builds/${buildId}/manifest.json`,
+            mergedManifestUrl: hasMergedManifest ? `/builds/${buildId}/manifest-merged.json` : null,
+            ...diagnosticsResult(),
+            endTime: Date.now()
+        });
+        persist();
 
-        const binaries = {};
-        for (const bin of binFiles) {
-            await fs.copyFile(path.join(buildDir, bin), path.join(outDir, bin));
-            binaries[bin] = `/builds/${buildId}/${bin}`;
-        }
-
-        // Copiar bootloader e partition table
-        const extraFiles = ['bootloader/bootloader.bin', 'partition_table/partition-table.bin'];
-        for (const ef of extraFiles) {
-            const src = path.join(buildDir, ef);
-            if (existsSync(src)) {
-                const name = ef.replace('/', '-');
-                await fs.copyFile(src, path.join(outDir, name));
-                binaries[name] = `/builds/${buildId}/${name}`;
+        broadcastLog(buildId, '✅ Build concluído com sucesso!', 'success');
+
+    } catch (error) {
+        if (error.cancelled) {
+            // Não deixar binários parciais publicados em /builds
+            await fs.rm(path.join(BUILD_DIR, buildId), { recursive: true, force: true });
+            builds.set(buildId, {
+                ...builds.get(buildId),
+                status: 'cancelled',
+                endTime: Date.now()
+            });
+            persist();
+            broadcastLog(buildId, '🛑 Build cancelado', 'cancelled');
+            return;
+        }
+
+        builds.set(buildId, {
+            ...builds.get(buildId),
+            status: 'failed',
+            error: error.message,
+            ...diagnosticsResult(),
+            endTime: Date.now()
+        });
+        persist();
+        broadcastLog(buildId, `❌ Build falhou: ${error.message}`, 'error');
+    }
+}
+
+// Build
+app.post('/api/project/:projectId/build', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+
+    // `targets` (lista) pede um build matrix; `target` mantém o build único em build/
+    const matrix = Array.isArray(req.body.targets);
+    const targets = matrix
+        ? [...new Set(req.body.targets)]
+        : [req.body.target || project.target || 'esp32'];
+    const priority = req.body.priority ?? 'normal';
+
+    if (matrix) {
+        if (targets.length === 0 || !targets.every(isValidTarget)) {
+            return res.status(400).json({ error: `Targets inválidos. Use: ${VALID_TARGETS.join(', ')}` });
+        }
+    } else if (!isValidTarget(targets[0])) {
+        return res.status(400).json({ error: invalidTargetMessage() });
+    }
+
+    if (!Object.hasOwn(JOB_PRIORITIES, priority)) {
+        return res.status(400).json({ error: `Prioridade inválida. Use: ${Object.keys(JOB_PRIORITIES).join(', ')}` });
+    }
+
+    const buildId = createJob(project.id);
+
+    builds.set(buildId, {
+        id: buildId,
+        projectId: project.id,
+        ownerId: req.user.id,
+        status: 'queued',
+        target: targets[0],
+        targets,
+        matrix,
+        priority,
+        queuedAt: Date.now()
+    });
+
+    buildQueue.enqueue({
+        id: buildId,
+        key: project.id,
+        priority: JOB_PRIORITIES[priority],
+        run: () => runBuild(project, buildId, targets, { matrix })
+    }).finally(() => finishJob(buildId));
+
+    const { status, queuePosition } = builds.get(buildId);
+    if (status === 'queued') {
+        broadcastLog(buildId, `⏳ Build na fila (posição ${queuePosition})`, 'info');
+    }
+
+    res.json({
+        buildId,
+        status,
+        queuePosition,
+        message: status === 'queued' ? 'Build enfileirado' : 'Build iniciado'
+    });
+});
+
+// Full clean
+app.post('/api/project/:projectId/fullclean', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+
+    const buildId = createJob(project.id);
+    const queuePosition = enqueueProjectCommand(project, buildId, async () => {
+        await runIdfCommand(project.path, ['idf.py', 'fullclean'], buildId);
+        // Diretórios dos builds matrix (build_<target>)
+        for (const target of VALID_TARGETS) {
+            await fs.rm(path.join(project.path, matrixBuildDirName(target)), { recursive: true, force: true });
+        }
+        project.target = null;
+        persist();
+        broadcastLog(buildId, '✅ Projeto limpo com sucesso!', 'success');
+    });
+    res.json({ buildId, queuePosition });
+});
+
+// Size info
+app.post('/api/project/:projectId/size', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+
+    const buildId = createJob(project.id);
+    const queuePosition = enqueueProjectCommand(project, buildId, async () => {
+        await runIdfCommand(project.path, ['idf.py', 'size'], buildId);
+        broadcastLog(buildId, '✅ Análise de tamanho concluída!', 'success');
+    });
+    res.json({ buildId, queuePosition });
+});
+
+// Size components
+app.post('/api/project/:projectId/size-components', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+
+    const buildId = createJob(project.id);
+    const queuePosition = enqueueProjectCommand(project, buildId, async () => {
+        await runIdfCommand(project.path, ['idf.py', 'size-components'], buildId);
+        broadcastLog(buildId, '✅ Análise de componentes concluída!', 'success');
+    });
+    res.json({ buildId, queuePosition });
+});
+
+// Size files
+app.post('/api/project/:projectId/size-files', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+
+    const buildId = createJob(project.id);
+    const queuePosition = enqueueProjectCommand(project, buildId, async () => {
+        await runIdfCommand(project.path, ['idf.py', 'size-files'], buildId);
+        broadcastLog(buildId, '✅ Análise de arquivos concluída!', 'success');
+    });
+    res.json({ buildId, queuePosition });
+});
+
+// Menuconfig (retorna JSON das configurações)
+app.get('/api/project/:projectId/sdkconfig', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+
+    try {
+        const sdkconfigPath = path.join(project.path, 'sdkconfig');
+        if (!existsSync(sdkconfigPath)) {
+            return res.json({ configs: {} });
+        }
+
+        const content = await fs.readFile(sdkconfigPath, 'utf-8');
+        res.json({ configs: parseSdkconfig(content) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Ambiente do Kconfig gravado pelo CMake no último configure (componentes,
+// target, IDF_PATH); sem ele o kconfgen não sabe quais Kconfig carregar
+async function readKconfigEnv(project) {
+    const envPath = path.join(project.path, 'build', 'config.env');
+    if (!existsSync(envPath)) return null;
+    return { envPath, env: JSON.parse(await fs.readFile(envPath, 'utf-8')) };
+}
+
+// Rodar o kconfgen (esp-idf-kconfig) como o build faz, mas gravando as saídas
+// num diretório temporário: o sdkconfig do projeto não é alterado.
+// outputs: ['json_menus', 'json', ...] → { json_menus: conteúdo, ... }
+// withConfig: false ignora o sdkconfig e avalia só os defaults
+// withDefaults: false ignora também os sdkconfig.defaults do projeto
+async function runKconfgen(project, outputs, { withConfig = true, withDefaults = true } = {}) {
+    const kconfigEnv = await readKconfigEnv(project);
+    if (!kconfigEnv) {
+        const error = new Error('Projeto ainda não configurado: rode Reconfigure ou um build para gerar o menu');
+        error.status = 409;
+        error.needsReconfigure = true;
+        throw error;
+    }
+
+    const idfPath = kconfigEnv.env.IDF_PATH || IDF_PATH;
+    const target = kconfigEnv.env.IDF_TARGET;
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kconfgen-'));
+
+    try {
+        const args = [
+            'python', '-m', 'kconfgen',
+            '--list-separator=semicolon',
+            '--kconfig', path.join(idfPath, 'Kconfig'),
+            '--sdkconfig-rename', path.join(idfPath, 'sdkconfig.rename'),
+            '--env-file', kconfigEnv.envPath,
+            '--dont-write-deprecated'
+        ];
+        for (const name of withDefaults ? ['sdkconfig.defaults', `sdkconfig.defaults.${target}`] : []) {
+            const defaultsPath = path.join(project.path, name);
+            if (existsSync(defaultsPath)) args.push('--defaults', defaultsPath);
+        }
+
+        // O kconfgen reescreve o --config ao normalizar; usar uma cópia
+        if (withConfig && existsSync(path.join(project.path, 'sdkconfig'))) {
+            const configCopy = path.join(tmpDir, 'sdkconfig');
+            await fs.copyFile(path.join(project.path, 'sdkconfig'), configCopy);
+            args.push('--config', configCopy);
+        }
+
+        for (const output of outputs) {
+            args.push('--output', output, path.join(tmpDir, `out.${output}`));
+        }
+
+        await execIdfTool(args, { cwd: project.path });
+
+        const result = {};
+        for (const output of outputs) {
+            result[output] = await fs.readFile(path.join(tmpDir, `out.${output}`), 'utf-8');
+        }
+        return result;
+    } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+}
+
+async function loadKconfigMenus(project) {
+    const result = await runKconfgen(project, ['json_menus', 'json']);
+    return {
+        menus: JSON.parse(result.json_menus),
+        values: JSON.parse(result.json)
+    };
+}
+
+// Árvore de menus do Kconfig com tipos, ajuda, choices, ranges e depends on,
+// mais os valores efetivos (sdkconfig + defaults) de cada símbolo
+app.get('/api/project/:projectId/kconfig', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+
+    try {
+        const { menus, values } = await loadKconfigMenus(project);
+        res.json({ prefix: CONFIG_PREFIX, menus, values });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: error.message,
+            needsReconfigure: Boolean(error.needsReconfigure)
+        });
+    }
+});
+
+// Gravar sdkconfig.defaults mínimo (como idf.py save-defconfig): só as opções
+// do sdkconfig atual que diferem dos defaults do IDF
+app.post('/api/project/:projectId/sdkconfig/defaults', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+
+    try {
+        if (!existsSync(path.join(project.path, 'sdkconfig'))) {
+            return res.status(409).json({ error: 'Projeto sem sdkconfig: rode Reconfigure ou um build primeiro' });
+        }
+
+        const { savedefconfig } = await runKconfgen(project, ['savedefconfig']);
+        await fs.writeFile(path.join(project.path, 'sdkconfig.defaults'), savedefconfig);
+        const options = savedefconfig.split('\n').filter(line => /^(CONFIG_|# CONFIG_.* is not set)/.test(line)).length;
+        res.json({ success: true, path: 'sdkconfig.defaults', options, content: savedefconfig });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: error.message,
+            needsReconfigure: Boolean(error.needsReconfigure)
+        });
+    }
+});
+
+// Comparar o sdkconfig atual com:
+//   against=defaults  defaults do IDF + sdkconfig.defaults do projeto (o que um checkout limpo geraria)
+//   against=idf       apenas os defaults do IDF
+//   against=build     o sdkconfig usado por um build anterior (buildId e, no matrix, target)
+app.get('/api/project/:projectId/sdkconfig/diff', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    const against = req.query.against || 'defaults';
+    const sdkconfigPath = path.join(project.path, 'sdkconfig');
+
+    try {
+        if (against === 'build') {
+            const build = builds.get(req.query.buildId);
+            if (!build || build.projectId !== project.id) {
+                return res.status(404).json({ error: 'Build não encontrado' });
+            }
+            const target = req.query.target || build.target;
+            const buildConfig = build.sdkconfigs?.[target];
+            if (!buildConfig || !existsSync(path.join(BUILD_DIR, build.id, buildConfig))) {
+                return res.status(404).json({ error: 'Este build não guardou o sdkconfig usado' });
+            }
+            if (!existsSync(sdkconfigPath)) {
+                return res.status(409).json({ error: 'Projeto sem sdkconfig' });
+            }
+
+            const current = parseSdkconfig(await fs.readFile(sdkconfigPath, 'utf-8'));
+            const base = parseSdkconfig(await fs.readFile(path.join(BUILD_DIR, build.id, buildConfig), 'utf-8'));
+            return res.json({ against, buildId: build.id, target, entries: diffConfigs(current, base) });
+        }
+
+        if (!['defaults', 'idf'].includes(against)) {
+            return res.status(400).json({ error: 'against inválido. Use: defaults, idf, build' });
+        }
+
+        const current = await runKconfgen(project, ['json', 'json_menus']);
+        const base = await runKconfgen(project, ['json'], { withConfig: false, withDefaults: against === 'defaults' });
+        const menus = JSON.parse(current.json_menus);
+        res.json({
+            against,
+            entries: diffConfigs(
+                kconfgenValuesToConfigs(JSON.parse(current.json), menus),
+                kconfgenValuesToConfigs(JSON.parse(base.json), menus)
+            )
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: error.message,
+            needsReconfigure: Boolean(error.needsReconfigure)
+        });
+    }
+});
+
+// Linhas do sdkconfig para as alterações pedidas (nomes sem CONFIG_),
+// validadas contra o Kconfig quando o projeto já foi configurado
+async function resolveSdkconfigUpdate(project, requested) {
+    let menus = null;
+    try {
+        menus = (await loadKconfigMenus(project)).menus;
+    } catch (error) {
+        if (!error.needsReconfigure) throw error;
+    }
+
+    const { lines, errors } = resolveConfigChanges(requested, menus);
+    if (errors.length > 0) {
+        const error = new Error('Configuração inválida');
+        error.status = 400;
+        error.errors = errors;
+        throw error;
+    }
+    return { lines, validated: Boolean(menus) };
+}
+
+// Só as linhas alteradas mudam; comentários e ordem ficam como estão
+async function writeSdkconfigLines(project, lines) {
+    const sdkconfigPath = path.join(project.path, 'sdkconfig');
+    const current = existsSync(sdkconfigPath) ? await fs.readFile(sdkconfigPath, 'utf-8') : '';
+    await fs.writeFile(sdkconfigPath, patchSdkconfig(current, lines));
+}
+
+// Salvar configurações
+app.post('/api/project/:projectId/sdkconfig', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+
+    // `changes` usa os nomes do Kconfig (sem CONFIG_); `configs` é o formato antigo
+    const { changes, configs } = req.body;
+    const requested = changes || (configs && Object.fromEntries(
+        Object.entries(configs).map(([key, value]) => [key.replace(/^CONFIG_/, ''), value])
+    ));
+    if (!requested || typeof requested !== 'object' || Array.isArray(requested)) {
+        return res.status(400).json({ error: 'Configs inválidas' });
+    }
+
+    try {
+        const { lines, validated } = await resolveSdkconfigUpdate(project, requested);
+        await writeSdkconfigLines(project, lines);
+        res.json({ success: true, updated: [...lines.keys()], validated });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, errors: error.errors });
+    }
+});
+
+// ================== API: PARTIÇÕES ==================
+
+// Tabela padrão do IDF (CONFIG_PARTITION_TABLE_SINGLE_APP), usada sem partitions.csv
+const DEFAULT_PARTITIONS = [
+    { name: 'nvs', type: 'data', subtype: 'nvs', offset: '0x9000', size: '0x6000', flags: '' },
+    { name: 'phy_init', type: 'data', subtype: 'phy', offset: '0xf000', size: '0x1000', flags: '' },
+    { name: 'factory', type: 'app', subtype: 'factory', offset: '0x10000', size: '0x100000', flags: '' }
+];
+
+// Configuração do projeto: sdkconfig.defaults com o sdkconfig por cima
+async function readProjectConfigs(project) {
+    let configs = {};
+    for (const name of ['sdkconfig.defaults', 'sdkconfig']) {
+        const configPath = path.join(project.path, name);
+        if (existsSync(configPath)) {
+            configs = { ...configs, ...parseSdkconfig(await fs.readFile(configPath, 'utf-8')) };
+        }
+    }
+    return configs;
+}
+
+// Flash e tabela configuradas
+async function readPartitionSettings(project) {
+    return partitionSettings(await readProjectConfigs(project));
+}
+
+async function readPartitions(project) {
+    const partPath = path.join(project.path, PARTITIONS_CSV);
+    if (!existsSync(partPath)) return null;
+    return parsePartitionsCsv(await fs.readFile(partPath, 'utf-8'));
+}
+
+// Validação mais os avisos que dependem do sdkconfig do projeto
+function checkPartitions(partitions, settings, { exists = true } = {}) {
+    const result = validatePartitionTable(partitions, settings);
+    if (exists && !settings.usesCustomCsv) {
+        result.warnings.unshift(
+            `O sdkconfig não usa ${PARTITIONS_CSV}: ative CONFIG_PARTITION_TABLE_CUSTOM com CONFIG_PARTITION_TABLE_CUSTOM_FILENAME="${PARTITIONS_CSV}"`
+        );
+    }
+    return result;
+}
+
+// resolved: offset e tamanho efetivos de cada linha válida (offsets em branco calculados)
+function validationResponse(validation, settings) {
+    return {
+        valid: validation.valid,
+        errors: validation.errors,
+        warnings: validation.warnings,
+        resolved: validation.partitions.map(p => ({
+            row: p.row,
+            name: p.name,
+            offset: p.resolvedOffset,
+            size: p.sizeValue,
+            autoOffset: p.autoOffset
+        })),
+        settings: {
+            flashSize: settings.flashSizeLabel,
+            flashSizeBytes: settings.flashSize,
+            tableOffset: formatOffset(settings.tableOffset),
+            usesCustomCsv: settings.usesCustomCsv
+        }
+    };
+}
+
+// Ler tabela de partições, já validada e com os offsets em branco resolvidos
+app.get('/api/project/:projectId/partitions', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+
+    try {
+        const settings = await readPartitionSettings(project);
+        const csvPartitions = await readPartitions(project);
+        // Sem partitions.csv, retornar a partição padrão
+        const partitions = csvPartitions || DEFAULT_PARTITIONS;
+        const validation = checkPartitions(partitions, settings, { exists: Boolean(csvPartitions) });
+
+        res.json({
+            partitions,
+            exists: Boolean(csvPartitions),
+            ...validationResponse(validation, settings)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Validar sem salvar (editor valida enquanto o usuário edita)
+app.post('/api/project/:projectId/partitions/validate', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    const { partitions } = req.body;
+    if (!Array.isArray(partitions)) {
+        return res.status(400).json({ error: 'Partições inválidas' });
+    }
+
+    try {
+        const settings = await readPartitionSettings(project);
+        res.json(validationResponse(checkPartitions(partitions, settings), settings));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Salvar tabela de partições (recusada com os erros por linha se inválida)
+app.post('/api/project/:projectId/partitions', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    if (!project) {
+        return res.status(404).json({ error: 'Projeto não encontrado' });
+    }
+
+    const { partitions } = req.body;
+    if (!Array.isArray(partitions)) {
+        return res.status(400).json({ error: 'Partições inválidas' });
+    }
+
+    try {
+        const validation = checkPartitions(partitions, await readPartitionSettings(project));
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Tabela de partições inválida',
+                errors: validation.errors,
+                warnings: validation.warnings
+            });
+        }
+
+        // Offsets em branco continuam em branco no CSV (o IDF calcula igual)
+        await fs.writeFile(path.join(project.path, PARTITIONS_CSV), serializePartitionsCsv(partitions));
+        project.hasPartitions = true;
+        persist();
+        res.json({ success: true, warnings: validation.warnings });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Partições de dados da tabela (partitions.csv ou a padrão) com offset e tamanho resolvidos
+async function resolvedDataPartitions(project) {
+    const partitions = (await readPartitions(project)) || DEFAULT_PARTITIONS;
+
+    const validation = validatePartitionTable(partitions, await readPartitionSettings(project));
+    if (!validation.valid) {
+        const error = new Error(`Tabela de partições inválida: ${validation.errors[0].message}`);
+        error.status = 400;
+        throw error;
+    }
+    return validation.partitions
+        .filter(p => p.type === 'data')
+        .map(p => ({ name: p.name, subtype: p.subtype, offset: p.resolvedOffset, sizeValue: p.sizeValue }));
+}
+
+async function resolveFsImageFolder(project, folder) {
+    const fullPath = await resolveProjectPath(project.path, folder);
+    const stat = await fs.stat(fullPath).catch(() => null);
+    if (!stat?.isDirectory()) {
+        const error = new Error(`Pasta '${folder}' não existe no projeto`);
+        error.status = 400;
+        throw error;
+    }
+    return fullPath;
+}
+
+// Imagens de sistema de arquivos: pasta do projeto → partição de dados
+app.get('/api/project/:projectId/fs-images', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+
+    try {
+        res.json({
+            images: project.fsImages || [],
+            partitions: (await resolvedDataPartitions(project)).map(p => ({
+                name: p.name, subtype: p.subtype, offset: p.offset, size: p.sizeValue
+            })),
+            fsTypes: FS_TYPES
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/project/:projectId/fs-images', async (req, res) => {
+    const project = projects.get(req.params.projectId);
+
+    try {
+        const images = normalizeFsImages(req.body.images, await resolvedDataPartitions(project));
+        for (const image of images) {
+            await resolveFsImageFolder(project, image.folder);
+        }
+
+        project.fsImages = images;
+        persist();
+        res.json({ success: true, images });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ================== API: NVS ==================
+
+function nvsError(message, errors) {
+    const error = new Error(message);
+    error.status = 400;
+    error.errors = errors;
+    return error;
+}
+
+// Partição nvs escolhida (ou a primeira) e, para NVS criptografado, a nvs_keys
+async function resolveNvsPartitions(project, settings = project.nvs || {}) {
+    const dataPartitions = await resolvedDataPartitions(project);
+    const nvsPartitions = dataPartitions.filter(p => p.subtype === 'nvs');
+    const partition = settings.partition
+        ? nvsPartitions.find(p => p.name === settings.partition)
+        : nvsPartitions[0];
+    if (!partition) {
+        throw nvsError(`Partição NVS '${settings.partition || 'nvs'}' não existe na tabela de partições`);
+    }
+    if (partition.sizeValue < MIN_NVS_SIZE || partition.sizeValue % NVS_PAGE_SIZE) {
+        throw nvsError(`Partição '${partition.name}' precisa de pelo menos 0x3000 bytes, em múltiplos de 4K`);
+    }
+
+    const keysPartition = dataPartitions.find(p => p.subtype === 'nvs_keys') || null;
+    if (settings.encrypted && !keysPartition) {
+        throw nvsError('NVS criptografado precisa de uma partição nvs_keys (data, nvs_keys) na tabela');
+    }
+    return { partition, keysPartition, nvsPartitions };
+}
+
+// Entradas válidas e arquivos referenciados dentro do projeto
+// (options.template aceita valores {{coluna}} do provisionamento em lote)
+async function checkNvsEntries(project, entries, options = {}) {
+    const validation = validateNvsEntries(entries, options);
+    for (const [row, entry] of entries.entries()) {
+        if (entry?.type !== 'file' || !entry.value || hasPlaceholder(entry.value)) continue;
+        try {
+            const filePath = await resolveProjectPath(project.path, String(entry.value).trim());
+            if (!existsSync(filePath)) {
+                validation.errors.push({ row, field: 'value', message: `Arquivo '${entry.value}' não existe no projeto` });
             }
+        } catch (error) {
+            validation.errors.push({ row, field: 'value', message: error.message });
         }
+    }
+    validation.errors.sort((a, b) => (a.row ?? -1) - (b.row ?? -1));
+    validation.valid = validation.errors.length === 0;
+    return validation;
+}
 
-        // Criar manifest.json para ESP Web Tools
-        const manifest = {
-            name: project.name,
-            builds: [{
-                chipFamily: target.toUpperCase().replace('ESP32', 'ESP32'),
-                parts: []
-            }]
-        };
+// Nova chave XTS em <dir>/keys/nvs_keys.bin
+async function generateNvsKey(dir) {
+    await execIdfTool(nvsKeygenArgs({ outDir: dir, keyFile: 'nvs_keys.bin' }));
+    return path.join(dir, 'keys', 'nvs_keys.bin');
+}
 
-        // Ler flash_args para offsets
-        const flashArgsPath = path.join(buildDir, 'flash_args');
-        const flashArgs = {};
-        try {
-            if (existsSync(flashArgsPath)) {
-                const content = await fs.readFile(flashArgsPath, 'utf-8');
-                content.split('\n').forEach(line => {
-                    const match = line.match(/(0x[0-9a-fA-F]+)\s+(.+)/);
-                    if (match) flashArgs[path.basename(match[2].trim())] = match[1];
-                });
-            }
-        } catch (e) { }
+// Chave XTS do projeto, gerada uma vez e reutilizada em todas as imagens
+async function ensureNvsKey(project) {
+    const keyPath = path.join(NVS_KEYS_DIR, `${project.id}.bin`);
+    if (existsSync(keyPath)) return keyPath;
 
-        for (const [name] of Object.entries(binaries)) {
-            let offset = flashArgs[name.replace('-', '/')];
-            if (!offset) {
-                if (name.includes('bootloader')) offset = '0x1000';
-                else if (name.includes('partition')) offset = '0x8000';
-                else if (name.endsWith('.bin')) offset = '0x10000';
-            }
-            if (offset) {
-                manifest.builds[0].parts.push({
-                    path: name,
-                    offset: parseInt(offset, 16)
-                });
-            }
-        }
+    let tmpDir = null;
+    try {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nvs-key-'));
+        await fs.copyFile(await generateNvsKey(tmpDir), keyPath);
+        await fs.chmod(keyPath, 0o600);
+        return keyPath;
+    } finally {
+        if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+}
 
-        await fs.writeFile(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+// Gerar <partição>.bin (e <nvs_keys>.bin, se criptografado) em outDir a partir
+// do nvs.csv salvo. Com buildId a saída do gerador vai para o log do build.
+// csvPath/keyFile substituem o nvs.csv e a chave do projeto (provisionamento).
+async function generateNvsImage(project, outDir, { buildId = null, csvPath = null, keyFile = null } = {}) {
+    const settings = project.nvs || {};
+    csvPath = csvPath || path.join(project.path, NVS_CSV);
+    if (!existsSync(csvPath)) {
+        throw nvsError(`Projeto sem ${NVS_CSV}: salve as entradas do NVS primeiro`);
+    }
 
-        builds.set(buildId, {
-            ...builds.get(buildId),
-            id: buildId,  // Adicionar ID para o frontend usar
-            status: 'success',
-            binaries,
-            manifestUrl: `/builds/${buildId}/manifest.json`,
-            endTime: Date.now()
-        });
+    const validation = await checkNvsEntries(project, parseNvsCsv(await fs.readFile(csvPath, 'utf-8')));
+    if (!validation.valid) {
+        throw nvsError(`${NVS_CSV} inválido`, validation.errors);
+    }
 
-        broadcastLog(buildId, '✅ Build concluído com sucesso!', 'success');
+    const { partition, keysPartition } = await resolveNvsPartitions(project, settings);
+    if (settings.encrypted && !keyFile) keyFile = await ensureNvsKey(project);
+    const file = `${partition.name}.bin`;
+    const args = nvsGenerateArgs({ csvPath, output: path.join(outDir, file), size: partition.sizeValue, keyFile });
 
-    } catch (error) {
-        builds.set(buildId, {
-            ...builds.get(buildId),
-            status: 'failed',
-            error: error.message,
-            endTime: Date.now()
-        });
-        broadcastLog(buildId, `❌ Build falhou: ${error.message}`, 'error');
+    // cwd na raiz do projeto: entradas "file" usam caminhos relativos a ela
+    if (buildId) {
+        await runIdfCommand(project.path, args, buildId);
+    } else {
+        await execIdfTool(args, { cwd: project.path });
     }
-});
 
-// Full clean
-app.post('/api/project/:projectId/fullclean', async (req, res) => {
-    const project = projects.get(req.params.projectId);
-    if (!project) {
-        return res.status(404).json({ error: 'Projeto não encontrado' });
+    let keys = null;
+    if (settings.encrypted) {
+        keys = { partition: keysPartition, file: `${keysPartition.name}.bin` };
+        await fs.copyFile(keyFile, path.join(outDir, keys.file));
     }
+    return { partition, file, keys };
+}
 
-    const buildId = uuidv4();
-    res.json({ buildId });
+app.get('/api/project/:projectId/nvs', async (req, res) => {
+    const project = projects.get(req.params.projectId);
 
     try {
-        await runIdfCommand(project.path, 'idf.py fullclean', buildId);
-        project.target = null;
-        broadcastLog(buildId, '✅ Projeto limpo com sucesso!', 'success');
+        const csvPath = path.join(project.path, NVS_CSV);
+        const exists = existsSync(csvPath);
+        const dataPartitions = await resolvedDataPartitions(project);
+
+        res.json({
+            exists,
+            entries: exists ? parseNvsCsv(await fs.readFile(csvPath, 'utf-8')) : [],
+            settings: { partition: null, encrypted: false, flashWithBuild: false, ...project.nvs },
+            partitions: dataPartitions
+                .filter(p => p.subtype === 'nvs')
+                .map(p => ({ name: p.name, offset: p.offset, size: p.sizeValue })),
+            hasKeysPartition: dataPartitions.some(p => p.subtype === 'nvs_keys'),
+            encodings: NVS_ENCODINGS
+        });
     } catch (error) {
-        broadcastLog(buildId, `❌ Erro: ${error.message}`, 'error');
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Size info
-app.post('/api/project/:projectId/size', async (req, res) => {
+// Salvar nvs.csv e as opções de geração (recusado com erros por linha se inválido)
+app.post('/api/project/:projectId/nvs', async (req, res) => {
     const project = projects.get(req.params.projectId);
-    if (!project) {
-        return res.status(404).json({ error: 'Projeto não encontrado' });
-    }
-
-    const buildId = uuidv4();
-    res.json({ buildId });
+    const { entries } = req.body;
+    const settings = {
+        partition: req.body.settings?.partition || null,
+        encrypted: Boolean(req.body.settings?.encrypted),
+        flashWithBuild: Boolean(req.body.settings?.flashWithBuild)
+    };
 
     try {
-        await runIdfCommand(project.path, 'idf.py size', buildId);
-        broadcastLog(buildId, '✅ Análise de tamanho concluída!', 'success');
+        if (!Array.isArray(entries)) {
+            throw nvsError('Entradas inválidas');
+        }
+        // Modelo com {{coluna}} só serve para o lote, não para gravar junto com o firmware
+        const validation = await checkNvsEntries(project, entries, { template: !settings.flashWithBuild });
+        if (!validation.valid) {
+            throw nvsError(`${NVS_CSV} inválido`, validation.errors);
+        }
+        // Gravar junto com o firmware exige a partição (e a nvs_keys) já na tabela
+        if (settings.flashWithBuild) await resolveNvsPartitions(project, settings);
+
+        await fs.writeFile(path.join(project.path, NVS_CSV), serializeNvsCsv(entries));
+        project.nvs = settings;
+        persist();
+        res.json({ success: true, settings });
     } catch (error) {
-        broadcastLog(buildId, `❌ Erro: ${error.message}`, 'error');
+        res.status(error.status || 500).json({ error: error.message, errors: error.errors });
     }
 });
 
-// Size components
-app.post('/api/project/:projectId/size-components', async (req, res) => {
+// Download avulso da imagem NVS: o .bin, ou um ZIP com o .bin e a chave
+// (nvs_keys) quando criptografado
+app.post('/api/project/:projectId/nvs/image', async (req, res) => {
     const project = projects.get(req.params.projectId);
-    if (!project) {
-        return res.status(404).json({ error: 'Projeto não encontrado' });
-    }
-
-    const buildId = uuidv4();
-    res.json({ buildId });
+    let tmpDir = null;
 
     try {
-        await runIdfCommand(project.path, 'idf.py size-components', buildId);
-        broadcastLog(buildId, '✅ Análise de componentes concluída!', 'success');
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nvs-'));
+        const image = await generateNvsImage(project, tmpDir);
+
+        if (!image.keys) {
+            res.setHeader('Content-Type', 'application/octet-stream');
+            res.setHeader('Content-Disposition', `attachment; filename="${image.file}"`);
+            res.setHeader('X-Flash-Offset', image.partition.offset);
+            return res.send(await fs.readFile(path.join(tmpDir, image.file)));
+        }
+
+        const zip = new AdmZip();
+        zip.addLocalFile(path.join(tmpDir, image.file));
+        zip.addLocalFile(path.join(tmpDir, image.keys.file));
+        zip.addFile('flash_args', Buffer.from(
+            `${image.partition.offset} ${image.file}\n${image.keys.partition.offset} ${image.keys.file}\n`
+        ));
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${image.partition.name}-encrypted.zip"`);
+        res.send(zip.toBuffer());
     } catch (error) {
-        broadcastLog(buildId, `❌ Erro: ${error.message}`, 'error');
+        res.status(error.status || 500).json({ error: error.message, errors: error.errors });
+    } finally {
+        if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
     }
 });
 
-// Size files
-app.post('/api/project/:projectId/size-files', async (req, res) => {
-    const project = projects.get(req.params.projectId);
-    if (!project) {
-        return res.status(404).json({ error: 'Projeto não encontrado' });
-    }
+// ================== API: PROVISIONAMENTO EM LOTE ==================
+
+// Partes gravadas por um build para um target, com o caminho em BUILD_DIR
+// (no build matrix as partes de cada target ficam em <target>/)
+function buildFlashParts(build, target) {
+    return (build.flashLayout || [])
+        .filter(part => !build.matrix || part.name.startsWith(`${target}/`))
+        .map(part => ({
+            name: path.basename(part.name),
+            offset: parseInt(part.offset, 16),
+            chip: part.target,
+            source: path.join(BUILD_DIR, build.id, part.name)
+        }));
+}
 
-    const buildId = uuidv4();
-    res.json({ buildId });
+// Uma pasta por dispositivo no ZIP: imagem NVS (e a chave, se criptografado),
+// merged.bin com o firmware do build e o NVS do dispositivo, manifest.json do
+// ESP Web Tools, flash_args (imagem única) e nvs_flash_args (só o NVS).
+// As imagens ficam em disco até o fim e o ZIP é gravado em stream direto em
+// zipPath, então a memória não cresce com o tamanho do lote.
+async function runProvisioning(project, jobId, { build, target, devices, template, zipPath }) {
+    let tmpDir = null;
+    const zip = new yazl.ZipFile();
+    const zipWritten = new Promise((resolve, reject) => {
+        zip.outputStream.on('error', reject)
+            .pipe(createWriteStream(zipPath))
+            .on('error', reject)
+            .on('close', resolve);
+    });
 
     try {
-        await runIdfCommand(project.path, 'idf.py size-files', buildId);
-        broadcastLog(buildId, '✅ Análise de arquivos concluída!', 'success');
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'provision-'));
+        const encrypted = Boolean(project.nvs?.encrypted);
+        const firmwareParts = buildFlashParts(build, target);
+        const chip = firmwareParts[0]?.chip || target;
+
+        broadcastLog(jobId, `🏭 Provisionando ${devices.length} dispositivo(s) com o build ${build.id} (${target})${encrypted ? ', uma chave NVS por dispositivo' : ''}\n`, 'info');
+
+        for (const [index, device] of devices.entries()) {
+            throwIfCancelled(jobId);
+            broadcastLog(jobId, `\n📦 [${index + 1}/${devices.length}] ${device.id}\n`, 'info');
+
+            const deviceDir = path.join(tmpDir, device.id);
+            await fs.mkdir(deviceDir);
+            const csvPath = path.join(deviceDir, NVS_CSV);
+            await fs.writeFile(csvPath, serializeNvsCsv(renderNvsTemplate(template, device.values)));
+
+            const keyFile = encrypted ? await generateNvsKey(deviceDir) : null;
+            const image = await generateNvsImage(project, deviceDir, { buildId: jobId, csvPath, keyFile });
+
+            // Firmware do build com as partes de NVS trocadas pelas do dispositivo
+            const nvsParts = [{ name: image.file, offset: parseInt(image.partition.offset, 16) }];
+            if (image.keys) nvsParts.push({ name: image.keys.file, offset: parseInt(image.keys.partition.offset, 16) });
+            const flashParts = [
+                ...firmwareParts.filter(part => !nvsParts.some(nvs => nvs.offset === part.offset)),
+                ...nvsParts
+            ].sort((a, b) => a.offset - b.offset);
+
+            const copiedParts = firmwareParts.filter(part => flashParts.includes(part));
+            for (const part of copiedParts) await fs.copyFile(part.source, path.join(deviceDir, part.name));
+            await mergeFlashImage(deviceDir, jobId, chip, flashParts, build.flashSettings || {});
+            // As cópias do firmware já estão no merged.bin
+            for (const part of copiedParts) await fs.rm(path.join(deviceDir, part.name), { force: true });
+
+            const manifest = {
+                name: `${project.name} (${device.id})`,
+                builds: [{ chipFamily: chipFamilyForTarget(chip), parts: [{ path: MERGED_IMAGE_NAME, offset: 0 }] }]
+            };
+            // addFile só lê o arquivo quando o stream chega nele
+            for (const part of nvsParts) zip.addFile(path.join(deviceDir, part.name), `${device.id}/${part.name}`);
+            zip.addFile(path.join(deviceDir, MERGED_IMAGE_NAME), `${device.id}/${MERGED_IMAGE_NAME}`);
+            zip.addBuffer(Buffer.from(JSON.stringify(manifest, null, 2)), `${device.id}/manifest.json`);
+            zip.addBuffer(Buffer.from(`0x0 ${MERGED_IMAGE_NAME}\n`), `${device.id}/flash_args`);
+            zip.addBuffer(Buffer.from(
+                nvsParts.map(part => `${formatOffset(part.offset)} ${part.name}\n`).join('')
+            ), `${device.id}/nvs_flash_args`);
+        }
+
+        zip.end();
+        await zipWritten;
+
+        const filename = path.basename(zipPath);
+        broadcastEvent(jobId, 'provisioning', { buildId: build.id, filename, url: `/api/download/${build.id}/${filename}` });
+        broadcastLog(jobId, `✅ ${devices.length} dispositivo(s) provisionado(s): ${filename}`, 'success');
     } catch (error) {
-        broadcastLog(buildId, `❌ Erro: ${error.message}`, 'error');
+        // Encerrar o stream antes de apagar o ZIP incompleto
+        zip.end();
+        await zipWritten.catch(() => {});
+        await fs.rm(zipPath, { force: true });
+        throw error;
+    } finally {
+        if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
     }
-});
+}
 
-// Menuconfig (retorna JSON das configurações)
-app.get('/api/project/:projectId/sdkconfig', async (req, res) => {
+// Gerar as imagens de um lote: { devices: CSV (cabeçalho + um dispositivo por
+// linha), buildId?, target? }. Sem buildId usa o último build com sucesso do
+// projeto. Tudo é validado antes de começar; erros por dispositivo em `errors`.
+app.post('/api/project/:projectId/provision', async (req, res) => {
     const project = projects.get(req.params.projectId);
-    if (!project) {
-        return res.status(404).json({ error: 'Projeto não encontrado' });
-    }
 
     try {
-        const sdkconfigPath = path.join(project.path, 'sdkconfig');
-        if (!existsSync(sdkconfigPath)) {
-            return res.json({ configs: {} });
+        const templatePath = path.join(project.path, NVS_CSV);
+        if (!existsSync(templatePath)) {
+            throw nvsError(`Projeto sem ${NVS_CSV}: salve o modelo do NVS primeiro`);
+        }
+        if (typeof req.body.devices !== 'string') {
+            throw nvsError('CSV de dispositivos obrigatório');
         }
 
-        const content = await fs.readFile(sdkconfigPath, 'utf-8');
-        const configs = {};
-
-        content.split('\n').forEach(line => {
-            if (line.startsWith('CONFIG_')) {
-                const [key, ...valueParts] = line.split('=');
-                let value = valueParts.join('=');
-                if (value === 'y') value = true;
-                else if (value === 'n' || value === '') value = false;
-                else if (value.startsWith('"') && value.endsWith('"')) {
-                    value = value.slice(1, -1);
-                } else if (!isNaN(value)) {
-                    value = parseInt(value);
-                }
-                configs[key] = value;
+        const build = req.body.buildId
+            ? builds.get(req.body.buildId)
+            : [...builds.values()].filter(b => b.projectId === project.id && b.status === 'success').pop();
+        if (!build || build.projectId !== project.id || build.status !== 'success' || !build.flashLayout) {
+            throw nvsError('Nenhum build com sucesso deste projeto: compile o firmware antes de provisionar');
+        }
+        const target = req.body.target || build.target;
+        if (!(build.targets || [build.target]).includes(target)) {
+            throw nvsError(`O build ${build.id} não tem o target ${target}`);
+        }
+
+        const template = parseNvsCsv(await fs.readFile(templatePath, 'utf-8'));
+        const templateValidation = await checkNvsEntries(project, template, { template: true });
+        if (!templateValidation.valid) {
+            throw nvsError(`${NVS_CSV} inválido`, templateValidation.errors);
+        }
+        const deviceCsv = parseDeviceCsv(req.body.devices);
+        const errors = validateDevices(deviceCsv, template);
+        if (errors.length === 0) {
+            for (const device of deviceCsv.devices) {
+                const validation = await checkNvsEntries(project, renderNvsTemplate(template, device.values));
+                validation.errors.forEach(error => errors.push({ device: device.id, ...error }));
             }
-        });
+        }
+        if (errors.length > 0) {
+            throw nvsError('Lote inválido', errors);
+        }
+        await resolveNvsPartitions(project);
+
+        const jobId = createJob(project.id);
+        const zipPath = path.join(BUILD_DIR, build.id, `provisioning-${jobId}.zip`);
+        const queuePosition = enqueueProjectCommand(project, jobId, () => runProvisioning(
+            project, jobId, { build, target, devices: deviceCsv.devices, template, zipPath }
+        ));
 
-        res.json({ configs });
+        res.json({ buildId: jobId, queuePosition, sourceBuildId: build.id, target, devices: deviceCsv.devices.length });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message, errors: error.errors });
     }
 });
 
-// Salvar configurações
-app.post('/api/project/:projectId/sdkconfig', async (req, res) => {
+// Presets disponíveis para o assistente
+app.get('/api/project/:projectId/partitions/presets', async (req, res) => {
     const project = projects.get(req.params.projectId);
-    if (!project) {
-        return res.status(404).json({ error: 'Projeto não encontrado' });
-    }
-
-    const { configs } = req.body;
-    if (!configs || typeof configs !== 'object') {
-        return res.status(400).json({ error: 'Configs inválidas' });
-    }
 
     try {
-        let content = '# ESP-IDF SDK Configuration\n';
-
-        for (const [key, value] of Object.entries(configs)) {
-            if (value === true) {
-                content += `${key}=y\n`;
-            } else if (value === false) {
-                content += `# ${key} is not set\n`;
-            } else if (typeof value === 'string') {
-                content += `${key}="${value}"\n`;
-            } else {
-                content += `${key}=${value}\n`;
-            }
-        }
-
-        await fs.writeFile(path.join(project.path, 'sdkconfig'), content);
-        res.json({ success: true });
+        const settings = await readPartitionSettings(project);
+        res.json({
+            presets: PARTITION_PRESETS.map(({ id, name, description }) => ({ id, name, description })),
+            storages: PRESET_STORAGES,
+            flashSizes: PRESET_FLASH_SIZES,
+            flashSize: PRESET_FLASH_SIZES.includes(settings.flashSizeLabel) ? settings.flashSizeLabel : '4MB'
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// ================== API: PARTIÇÕES ==================
-
-// Ler tabela de partições
-app.get('/api/project/:projectId/partitions', async (req, res) => {
+// Aplicar um preset: grava o partitions.csv e ajusta CONFIG_PARTITION_TABLE_*
+// (e o tamanho da flash / coredump) pelo mesmo caminho do editor de sdkconfig.
+// preview: true só devolve a tabela gerada.
+app.post('/api/project/:projectId/partitions/preset', async (req, res) => {
     const project = projects.get(req.params.projectId);
-    if (!project) {
-        return res.status(404).json({ error: 'Projeto não encontrado' });
-    }
+    const { preset, storage, flashSize, preview } = req.body;
+    const coredump = Boolean(req.body.coredump);
 
     try {
-        const partPath = path.join(project.path, 'partitions.csv');
-        if (!existsSync(partPath)) {
-            // Retornar partição padrão
-            return res.json({
-                partitions: [
-                    { name: 'nvs', type: 'data', subtype: 'nvs', offset: '0x9000', size: '0x6000' },
-                    { name: 'phy_init', type: 'data', subtype: 'phy', offset: '0xf000', size: '0x1000' },
-                    { name: 'factory', type: 'app', subtype: 'factory', offset: '0x10000', size: '0x100000' }
-                ]
-            });
+        const configs = await readProjectConfigs(project);
+        const settings = partitionSettings(configs);
+        const { partitions, warnings } = buildPartitionPreset({
+            preset, storage, coredump, flashSize, tableOffset: settings.tableOffset
+        });
+        const validation = validatePartitionTable(partitions, {
+            ...settings, flashSize: parseFlashSize(flashSize), flashSizeLabel: flashSize
+        });
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Preset gerou uma tabela inválida', errors: validation.errors });
+        }
+        if (preview) {
+            return res.json({ partitions, warnings });
         }
 
-        const content = await fs.readFile(partPath, 'utf-8');
-        const partitions = [];
-
-        content.split('\n').forEach(line => {
-            line = line.trim();
-            if (!line || line.startsWith('#')) return;
-            const parts = line.split(',').map(p => p.trim());
-            if (parts.length >= 5) {
-                partitions.push({
-                    name: parts[0],
-                    type: parts[1],
-                    subtype: parts[2],
-                    offset: parts[3],
-                    size: parts[4],
-                    flags: parts[5] || ''
-                });
-            }
-        });
+        // sdkconfig validado antes de gravar qualquer coisa
+        const { lines, validated } = await resolveSdkconfigUpdate(project, presetSdkconfigChanges({ flashSize, coredump, configs }));
+        await fs.writeFile(path.join(project.path, PARTITIONS_CSV), serializePartitionsCsv(partitions));
+        await writeSdkconfigLines(project, lines);
+        project.hasPartitions = true;
+        persist();
 
-        res.json({ partitions });
+        res.json({ success: true, partitions, warnings, sdkconfig: { updated: [...lines.keys()], validated } });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message, errors: error.errors });
     }
 });
 
-// Salvar tabela de partições
-app.post('/api/project/:projectId/partitions', async (req, res) => {
+// partition-table.bin decodificado + hexdump, para comparar com o do chip
+// (esptool.py read_flash <offset> 0xc00). source=csv gera a partir do
+// partitions.csv atual; source=build usa o binário do último build.
+// format=bin baixa o binário.
+app.get('/api/project/:projectId/partitions/binary', async (req, res) => {
     const project = projects.get(req.params.projectId);
-    if (!project) {
-        return res.status(404).json({ error: 'Projeto não encontrado' });
-    }
-
-    const { partitions } = req.body;
-    if (!Array.isArray(partitions)) {
-        return res.status(400).json({ error: 'Partições inválidas' });
-    }
+    const source = req.query.source || 'csv';
 
     try {
-        let content = '# Name,   Type, SubType, Offset,  Size, Flags\n';
+        const settings = await readPartitionSettings(project);
+        let binary;
+
+        if (source === 'build') {
+            const binPath = path.join(project.path, 'build', 'partition_table', 'partition-table.bin');
+            if (!existsSync(binPath)) {
+                return res.status(404).json({ error: 'Nenhum partition-table.bin no build do projeto' });
+            }
+            binary = await fs.readFile(binPath);
+        } else if (source === 'csv') {
+            const partitions = (await readPartitions(project)) || DEFAULT_PARTITIONS;
+            const validation = validatePartitionTable(partitions, settings);
+            if (!validation.valid) {
+                return res.status(400).json({ error: 'Tabela de partições inválida', errors: validation.errors });
+            }
+            binary = encodePartitionTable(validation.partitions, { md5: settings.md5 });
+        } else {
+            return res.status(400).json({ error: 'source inválido. Use: csv, build' });
+        }
 
-        for (const p of partitions) {
-            content += `${p.name}, ${p.type}, ${p.subtype}, ${p.offset}, ${p.size}${p.flags ? ', ' + p.flags : ''}\n`;
+        if (req.query.format === 'bin') {
+            res.setHeader('Content-Type', 'application/octet-stream');
+            res.setHeader('Content-Disposition', 'attachment; filename="partition-table.bin"');
+            return res.send(binary);
         }
 
-        await fs.writeFile(path.join(project.path, 'partitions.csv'), content);
-        res.json({ success: true });
+        const decoded = decodePartitionTable(binary);
+        res.json({
+            source,
+            offset: formatOffset(settings.tableOffset),
+            size: binary.length,
+            partitions: decoded.partitions,
+            md5: decoded.md5,
+            hexdump: hexdump(binary)
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -630,9 +2202,9 @@ app.get('/api/project/:projectId/files', async (req, res) => {
     }
 
     const subPath = req.query.path || '';
-    const fullPath = path.join(project.path, subPath);
 
     try {
+        const fullPath = await resolveProjectPath(project.path, subPath, { allowRoot: true });
         const items = await fs.readdir(fullPath, { withFileTypes: true });
         const result = [];
 
@@ -648,7 +2220,7 @@ app.get('/api/project/:projectId/files', async (req, res) => {
 
         res.json({ path: subPath, items: result });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -664,13 +2236,12 @@ app.get('/api/project/:projectId/file', async (req, res) => {
         return res.status(400).json({ error: 'Path não especificado' });
     }
 
-    const fullPath = path.join(project.path, filePath);
-
     try {
+        const fullPath = await resolveProjectPath(project.path, filePath);
         const content = await fs.readFile(fullPath, 'utf-8');
         res.json({ path: filePath, content });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -686,13 +2257,12 @@ app.put('/api/project/:projectId/file', async (req, res) => {
         return res.status(400).json({ error: 'Path não especificado' });
     }
 
-    const fullPath = path.join(project.path, filePath);
-
     try {
+        const fullPath = await resolveProjectPath(project.path, filePath);
         await fs.writeFile(fullPath, content);
         res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -708,9 +2278,8 @@ app.post('/api/project/:projectId/file', async (req, res) => {
         return res.status(400).json({ error: 'Path não especificado' });
     }
 
-    const fullPath = path.join(project.path, filePath);
-
     try {
+        const fullPath = await resolveProjectPath(project.path, filePath);
         if (isDirectory) {
             await fs.mkdir(fullPath, { recursive: true });
         } else {
@@ -718,7 +2287,7 @@ app.post('/api/project/:projectId/file', async (req, res) => {
         }
         res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -734,13 +2303,12 @@ app.delete('/api/project/:projectId/file', async (req, res) => {
         return res.status(400).json({ error: 'Path não especificado' });
     }
 
-    const fullPath = path.join(project.path, filePath);
-
     try {
+        const fullPath = await resolveProjectPath(project.path, filePath);
         await fs.rm(fullPath, { recursive: true, force: true });
         res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -753,15 +2321,12 @@ app.post('/api/project/:projectId/reconfigure', async (req, res) => {
         return res.status(404).json({ error: 'Projeto não encontrado' });
     }
 
-    const buildId = uuidv4();
-    res.json({ buildId });
-
-    try {
-        await runIdfCommand(project.path, 'idf.py reconfigure', buildId);
+    const buildId = createJob(project.id);
+    const queuePosition = enqueueProjectCommand(project, buildId, async () => {
+        await runIdfCommand(project.path, ['idf.py', 'reconfigure'], buildId);
         broadcastLog(buildId, '✅ CMake reconfigurado!', 'success');
-    } catch (error) {
-        broadcastLog(buildId, `❌ Erro: ${error.message}`, 'error');
-    }
+    });
+    res.json({ buildId, queuePosition });
 });
 
 // Listar componentes
@@ -771,15 +2336,158 @@ app.post('/api/project/:projectId/list-components', async (req, res) => {
         return res.status(404).json({ error: 'Projeto não encontrado' });
     }
 
-    const buildId = uuidv4();
-    res.json({ buildId });
+    const buildId = createJob(project.id);
+    const queuePosition = enqueueProjectCommand(project, buildId, async () => {
+        await runIdfCommand(project.path, ['idf.py', 'show-efuse-table'], buildId, { allowFailure: true });
+        broadcastLog(buildId, '✅ Componentes listados!', 'success');
+    });
+    res.json({ buildId, queuePosition });
+});
+
+// ================== API: BACKTRACE ==================
+
+// Build (e target) cujo ELF decodifica o crash: o do hash impresso no panic
+// ("ELF file SHA256"), procurado em todos os builds do projeto; sem hash, ou
+// se nenhum build tem esse ELF, o buildId informado (o gravado pelo flasher);
+// senão o último com sucesso
+function findCrashBuild(project, { elfSha256, buildId, target }) {
+    const candidates = [...builds.values()]
+        .filter(b => b.projectId === project.id && b.status === 'success' && b.artifacts)
+        .sort((a, b) => (b.endTime || 0) - (a.endTime || 0));
+    const hashPrefix = String(elfSha256 || '').trim().toLowerCase();
+    let warning = null;
+
+    if (/^[0-9a-f]{8,64}$/.test(hashPrefix)) {
+        for (const build of candidates) {
+            const match = Object.entries(build.elfSha256 || {}).find(([, hash]) => hash.startsWith(hashPrefix));
+            if (!match) continue;
+            if (buildId && buildId !== build.id) {
+                warning = `O ELF ${hashPrefix} do crash é do build ${build.id}, não do build ${buildId}`;
+            }
+            return { build, target: match[0], matchedBy: 'elf-sha256', warning };
+        }
+        warning = `Nenhum build guardado tem o ELF ${hashPrefix}: o dispositivo pode estar com outro firmware`;
+    }
+
+    const build = buildId ? candidates.find(b => b.id === buildId) : candidates[0];
+    if (!build) {
+        const error = new Error(buildId
+            ? 'Build não encontrado ou sem artefatos de depuração'
+            : 'Nenhum build deste projeto com ELF guardado: compile o firmware primeiro');
+        error.status = 404;
+        throw error;
+    }
+    const buildTarget = target && build.artifacts[target] ? target : Object.keys(build.artifacts)[0];
+    return { build, target: buildTarget, matchedBy: buildId ? 'build' : 'latest', warning };
+}
+
+// Decodificar os endereços de um backtrace:
+// { addresses: ['0x400d1234', ...], elfSha256?, buildId?, target? }
+app.post('/api/project/:projectId/backtrace', async (req, res) => {
+    const project = projects.get(req.params.projectId);
 
     try {
-        await runIdfCommand(project.path, 'idf.py show-efuse-table 2>/dev/null || echo "OK"', buildId);
-        broadcastLog(buildId, '✅ Componentes listados!', 'success');
+        const addresses = normalizeAddresses(req.body.addresses);
+        const { build, target, matchedBy, warning } = findCrashBuild(project, req.body);
+        const elf = build.artifacts[target]?.elf;
+        if (!elf) {
+            return res.status(404).json({ error: `O build ${build.id} não guardou o ELF de ${target}` });
+        }
+
+        const output = await execIdfTool(addr2lineArgs(target, path.join(BUILD_DIR, build.id, elf), addresses));
+        res.json({
+            buildId: build.id,
+            target,
+            matchedBy,
+            warning,
+            builtAt: build.endTime,
+            frames: parseAddr2line(output, project.path)
+        });
     } catch (error) {
-        broadcastLog(buildId, `❌ Erro: ${error.message}`, 'error');
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ================== API: CORE DUMP ==================
+
+// O esp-coredump roda o GDB sobre o core dump; limitar o tempo de análise
+const COREDUMP_TIMEOUT_MS = 120 * 1000;
+const coredumpUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_COREDUMP_SIZE } });
+
+// Analisar um core dump: arquivo `coredump` (partição lida com read_flash ou
+// ELF) ou `uart` (texto do monitor com CORE DUMP START/END), mais
+// elfSha256/buildId/target opcionais para escolher o build (ver findCrashBuild)
+app.post('/api/project/:projectId/coredump', (req, res, next) => {
+    coredumpUpload.single('coredump')(req, res, err => err ? res.status(400).json({ error: err.message }) : next());
+}, async (req, res) => {
+    const project = projects.get(req.params.projectId);
+    let tmpDir = null;
+
+    try {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coredump-'));
+        let core;
+        let format;
+        if (req.file) {
+            core = req.file.buffer;
+            format = detectCoredumpFormat(core);
+        } else if (typeof req.body.uart === 'string') {
+            core = Buffer.from(extractUartCoredump(req.body.uart));
+            format = 'b64';
+        } else {
+            return res.status(400).json({ error: 'Envie o arquivo do core dump ou o texto capturado da UART' });
+        }
+
+        // O panic impresso antes do core dump na UART traz o hash do ELF
+        const elfSha256 = req.body.elfSha256 || req.body.uart?.match(/ELF file SHA256:\s*([0-9a-fA-F]+)/)?.[1];
+        const { build, target, matchedBy, warning } = findCrashBuild(project, { ...req.body, elfSha256 });
+        const elf = build.artifacts[target]?.elf;
+        if (!elf) {
+            return res.status(404).json({ error: `O build ${build.id} não guardou o ELF de ${target}` });
+        }
+
+        const corePath = path.join(tmpDir, format === 'b64' ? 'core.b64' : 'core.bin');
+        await fs.writeFile(corePath, core);
+        const output = await execIdfTool(
+            coredumpArgs({ target, corePath, format, elfPath: path.join(BUILD_DIR, build.id, elf) }),
+            { cwd: tmpDir, timeout: COREDUMP_TIMEOUT_MS }
+        );
+
+        res.json({
+            buildId: build.id,
+            target,
+            matchedBy,
+            warning,
+            builtAt: build.endTime,
+            format,
+            ...parseCoredumpInfo(output, project.path),
+            output
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    } finally {
+        if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+});
+
+// ================== API: MONITOR SERIAL ==================
+
+// Macros do monitor (payloads com nome, opcionalmente repetidos), por projeto
+app.get('/api/project/:projectId/serial-macros', (req, res) => {
+    const project = projects.get(req.params.projectId);
+    res.json({ macros: project.serialMacros || [], formats: MACRO_FORMATS, lineEndings: LINE_ENDINGS });
+});
+
+app.post('/api/project/:projectId/serial-macros', (req, res) => {
+    const project = projects.get(req.params.projectId);
+    const { macros, errors } = normalizeSerialMacros(req.body.macros);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Macros inválidas', errors });
     }
+
+    project.serialMacros = macros;
+    persist();
+    res.json({ success: true, macros });
 });
 
 // ================== API: STATUS ==================
@@ -793,22 +2501,101 @@ app.get('/api/build/:buildId', (req, res) => {
     res.json(build);
 });
 
-// Listar builds
+// Cancelar build (na fila ou em execução) ou comando em execução
+app.post('/api/build/:buildId/cancel', (req, res) => {
+    const { buildId } = req.params;
+    const build = builds.get(buildId);
+
+    // Comando avulso ainda na fila
+    if (!build && buildQueue.remove(buildId)) {
+        broadcastLog(buildId, '🛑 Comando cancelado (removido da fila)', 'cancelled');
+        return res.json({ success: true, status: 'cancelled' });
+    }
+
+    // Comando avulso em andamento, mesmo entre dois processos (a fila é quem
+    // sabe se o job terminou)
+    if (!build && !buildQueue.isRunning(buildId)) {
+        return res.status(404).json({ error: 'Build não encontrado ou já finalizado' });
+    }
+
+    if (build && !['queued', 'building'].includes(build.status)) {
+        return res.status(409).json({ error: `Build já finalizado (${build.status})` });
+    }
+
+    if (build?.status === 'queued' && buildQueue.remove(buildId)) {
+        builds.set(buildId, {
+            ...build,
+            status: 'cancelled',
+            queuePosition: null,
+            endTime: Date.now()
+        });
+        persist();
+        broadcastLog(buildId, '🛑 Build cancelado (removido da fila)', 'cancelled');
+        return res.json({ success: true, status: 'cancelled' });
+    }
+
+    cancelledJobs.add(buildId);
+    broadcastLog(buildId, '⏹️ Cancelando...', 'info');
+
+    const proc = runningProcesses.get(buildId);
+    if (proc) {
+        killProcessTree(proc);
+    }
+
+    res.json({ success: true, status: 'cancelling' });
+});
+
+// Log completo de um build/comando (texto puro, ou ?format=json)
+app.get('/api/build/:buildId/log', (req, res) => {
+    const { buildId } = req.params;
+    if (!buildLogs.exists(buildId)) {
+        return res.status(404).json({ error: 'Log não encontrado' });
+    }
+
+    if (req.query.format === 'json') {
+        return res.json({ buildId, entries: buildLogs.read(buildId) });
+    }
+
+    res.header('Content-Type', 'text/plain; charset=utf-8');
+    res.attachment(`build-${buildId}.log`);
+    res.send(buildLogs.readText(buildId));
+});
+
+// Listar builds, do mais recente para o mais antigo. Filtros opcionais:
+// projectId, status (lista separada por vírgulas), limit e offset; o total
+// antes da paginação vai no cabeçalho X-Total-Count
 app.get('/api/builds', (req, res) => {
+    const { projectId } = req.query;
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || BUILDS_PAGE_SIZE, 1), MAX_BUILDS_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
     const buildList = [];
     builds.forEach((value, key) => {
+        if (!canAccessJob(req.user, key)) return;
+        if (projectId && value.projectId !== projectId) return;
+        if (statuses && !statuses.includes(value.status)) return;
         buildList.push({ id: key, ...value });
     });
-    res.json(buildList.slice(-50));
-});
+    // Builds recuperados do disco entram no fim do registro: ordenar pela data
+    const createdAt = build => build.queuedAt || build.startTime || 0;
+    buildList.sort((a, b) => createdAt(b) - createdAt(a));
 
-// Servir arquivos de build
-app.use('/builds', express.static(BUILD_DIR));
+    res.set('X-Total-Count', String(buildList.length));
+    res.json(buildList.slice(offset, offset + limit));
+});
 
 // Download de firmware
 app.get('/api/download/:buildId/:filename', (req, res) => {
     const { buildId, filename } = req.params;
-    const filePath = path.join(BUILD_DIR, buildId, filename);
+    if (!isValidJobId(buildId)) {
+        return res.status(400).json({ error: 'buildId inválido' });
+    }
+    const buildPath = path.join(BUILD_DIR, buildId);
+    const filePath = path.resolve(buildPath, filename);
+    if (!isPathInside(buildPath, filePath) || filePath === buildPath) {
+        return res.status(400).json({ error: 'Nome de arquivo inválido' });
+    }
 
     if (!existsSync(filePath)) {
         return res.status(404).json({ error: 'Arquivo não encontrado' });
@@ -824,35 +2611,59 @@ app.get('/api/health', (req, res) => {
         uptime: process.uptime(),
         builds: builds.size,
         projects: projects.size,
+        queue: buildQueue.stats(),
         features: [
-            'build', 'fullclean', 'reconfigure',
-            'set-target', 'size', 'size-components', 'size-files',
-            'sdkconfig', 'partitions', 'file-editor',
-            'web-flash', 'serial-monitor'
+            'build', 'build-matrix', 'build-queue', 'cancel', 'build-logs', 'fullclean', 'reconfigure',
+            'build-artifacts', 'backtrace', 'coredump', 'set-target', 'size', 'size-components', 'size-files',
+            'sdkconfig', 'partitions', 'fs-images', 'nvs', 'provisioning', 'file-editor',
+            'web-flash', 'merged-image', 'serial-monitor', 'serial-macros'
         ],
-        targets: ['esp32', 'esp32s2', 'esp32s3', 'esp32c3', 'esp32c6', 'esp32h2']
+        targets: VALID_TARGETS
     });
 });
 
 // Info do sistema ESP-IDF
 app.get('/api/idf-info', async (req, res) => {
     try {
-        const result = await new Promise((resolve, reject) => {
-            exec('source /opt/esp/idf/export.sh && idf.py --version', { shell: '/bin/bash' }, (err, stdout) => {
-                if (err) reject(err);
-                else resolve(stdout.trim());
-            });
-        });
-        res.json({ version: result });
+        const result = await execIdfTool(['idf.py', '--version']);
+        res.json({ version: result.trim() });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Gravar registro pendente antes de encerrar (docker stop envia SIGTERM)
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+        try {
+            store.flushSync();
+        } catch (err) {
+            console.error('Erro ao salvar registro:', err.message);
+        }
+        process.exit(0);
+    });
+});
+
 // Iniciar servidor
+await reconcileRegistry();
+console.log(`📚 Registro: ${projects.size} projetos, ${builds.size} builds`);
+
+auth.pruneSessions();
+const bootstrap = auth.ensureAdmin({
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD
+});
+if (bootstrap) {
+    console.log(`👤 Usuário admin criado: ${bootstrap.user.username}`);
+    if (bootstrap.generatedPassword) {
+        console.log(`🔑 Senha inicial (troque após o login): ${bootstrap.generatedPassword}`);
+    }
+}
+
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 ESP32 Web IDE rodando em http://0.0.0.0:${PORT}`);
     console.log(`📁 Projects dir: ${PROJECTS_DIR}`);
     console.log(`📁 Build dir: ${BUILD_DIR}`);
+    console.log(`💾 Data dir: ${DATA_DIR}`);
     console.log(`🔧 Features: build, flash, monitor, menuconfig, partitions, file-editor`);
 });
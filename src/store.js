@@ -0,0 +1,81 @@
+import fs from 'fs/promises';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import path from 'path';
+
+// Registro persistente de projetos, builds, usuários e sessões.
+// Tudo fica em memória (Maps) e é gravado em DATA_DIR/registry.json de forma
+// atômica (arquivo temporário + rename). As gravações são agrupadas: várias
+// chamadas a persist() em sequência geram uma única escrita. O arquivo tem
+// hashes de senha e de tokens, por isso é gravado só com permissão do dono.
+
+const REGISTRY_VERSION = 1;
+const FLUSH_DELAY_MS = 200;
+
+export function openStore(dataDir) {
+    mkdirSync(dataDir, { recursive: true });
+
+    const filePath = path.join(dataDir, 'registry.json');
+    const projects = new Map();
+    const builds = new Map();
+    const users = new Map();
+    const sessions = new Map();
+
+    if (existsSync(filePath)) {
+        try {
+            const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+            (data.projects || []).forEach(p => projects.set(p.id, p));
+            (data.builds || []).forEach(b => builds.set(b.id, b));
+            (data.users || []).forEach(u => users.set(u.id, u));
+            (data.sessions || []).forEach(s => sessions.set(s.id, s));
+        } catch (err) {
+            // Não sobrescrever um registro ilegível: guardar cópia para análise
+            const backup = `${filePath}.corrupt-${Date.now()}`;
+            renameSync(filePath, backup);
+            console.error(`⚠️ Registro inválido (${err.message}), movido para ${backup}`);
+        }
+    }
+
+    let timer = null;
+    let pending = Promise.resolve();
+
+    function serialize() {
+        return JSON.stringify({
+            version: REGISTRY_VERSION,
+            savedAt: Date.now(),
+            projects: [...projects.values()],
+            builds: [...builds.values()],
+            users: [...users.values()],
+            sessions: [...sessions.values()]
+        }, null, 2);
+    }
+
+    async function write() {
+        const tmp = `${filePath}.tmp`;
+        await fs.writeFile(tmp, serialize(), { mode: 0o600 });
+        await fs.rename(tmp, filePath);
+    }
+
+    // Agendar gravação (chamar após qualquer alteração nos Maps)
+    function persist() {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            pending = pending
+                .then(write)
+                .catch(err => console.error('Erro ao salvar registro:', err.message));
+        }, FLUSH_DELAY_MS);
+    }
+
+    // Gravação síncrona, usada no encerramento do processo
+    function flushSync() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        const tmp = `${filePath}.tmp`;
+        writeFileSync(tmp, serialize(), { mode: 0o600 });
+        renameSync(tmp, filePath);
+    }
+
+    return { projects, builds, users, sessions, persist, flushSync, filePath };
+}
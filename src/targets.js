@@ -0,0 +1,12 @@
+// Targets do ESP-IDF aceitos pelo servidor. Todo target vindo do cliente (ou
+// lido de um sdkconfig enviado) passa por aqui antes de chegar a um comando.
+
+export const VALID_TARGETS = ['esp32', 'esp32s2', 'esp32s3', 'esp32c3', 'esp32c6', 'esp32h2'];
+
+export function isValidTarget(target) {
+    return typeof target === 'string' && VALID_TARGETS.includes(target);
+}
+
+export function invalidTargetMessage() {
+    return `Target inválido. Use: ${VALID_TARGETS.join(', ')}`;
+}
@@ -0,0 +1,90 @@
+import AdmZip from 'adm-zip';
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { invalidPath, isPathInside } from './projectPaths.js';
+
+// Extração de ZIP enviado pelo usuário. Todas as entradas são validadas antes
+// de gravar qualquer arquivo: nada de caminho absoluto, "..", links
+// simbólicos ou arquivos demais / grandes demais (zip bomb). Os arquivos são
+// gravados um a um, em vez de extractAllTo, para o limite valer sobre os
+// bytes realmente descompactados.
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function isSymlinkEntry(entry) {
+    // Modo Unix nos 16 bits altos dos atributos externos (zip criado no Unix)
+    return ((entry.header.attr >>> 16) & S_IFMT) === S_IFLNK;
+}
+
+function checkEntryName(name) {
+    if (!name || name.includes('\0')) {
+        return 'nome vazio ou com caracteres inválidos';
+    }
+    if (/^([\\/]|[A-Za-z]:)/.test(name)) {
+        return 'caminho absoluto';
+    }
+    if (name.split(/[\\/]/).includes('..')) {
+        return 'caminho com ".."';
+    }
+    return null;
+}
+
+export function extractZipSafely(zipPath, destDir, { maxEntries, maxTotalSize }) {
+    let zip;
+    try {
+        zip = new AdmZip(zipPath);
+    } catch (e) {
+        throw invalidPath(`Arquivo ZIP inválido: ${e.message}`);
+    }
+
+    const entries = zip.getEntries();
+    if (entries.length === 0) {
+        throw invalidPath('Arquivo ZIP vazio');
+    }
+    if (entries.length > maxEntries) {
+        throw invalidPath(`ZIP com ${entries.length} entradas (máximo ${maxEntries})`);
+    }
+
+    const root = path.resolve(destDir);
+    let declaredSize = 0;
+    const files = entries.map(entry => {
+        const name = entry.entryName;
+        const problem = checkEntryName(name);
+        if (problem) {
+            throw invalidPath(`Entrada insegura no ZIP (${problem}): ${name}`);
+        }
+        if (isSymlinkEntry(entry)) {
+            throw invalidPath(`Links simbólicos não são permitidos no ZIP: ${name}`);
+        }
+        const target = path.resolve(root, name);
+        if (!isPathInside(root, target)) {
+            throw invalidPath(`Entrada fora do diretório do projeto: ${name}`);
+        }
+        declaredSize += entry.header.size;
+        return { entry, target };
+    });
+
+    if (declaredSize > maxTotalSize) {
+        throw invalidPath(`Conteúdo descompactado excede o limite de ${Math.round(maxTotalSize / 1024 / 1024)}MB`);
+    }
+
+    // O tamanho declarado no cabeçalho também limita a descompactação de cada
+    // entrada no adm-zip; a soma real é conferida de novo aqui
+    let extractedSize = 0;
+    for (const { entry, target } of files) {
+        if (entry.isDirectory) {
+            mkdirSync(target, { recursive: true });
+            continue;
+        }
+        const data = entry.getData();
+        extractedSize += data.length;
+        if (extractedSize > maxTotalSize) {
+            throw invalidPath(`Conteúdo descompactado excede o limite de ${Math.round(maxTotalSize / 1024 / 1024)}MB`);
+        }
+        mkdirSync(path.dirname(target), { recursive: true });
+        writeFileSync(target, data);
+    }
+
+    return { entries: entries.length, size: extractedSize };
+}
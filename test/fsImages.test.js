@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fsImageCommand, normalizeFsImages } from '../src/fsImages.js';
+
+const BASE = { sourceDir: 'data', size: 0x100000, output: 'build/storage.bin', idfPath: '/opt/esp/idf', tools: {} };
+
+test('partição fat usa a imagem com wear levelling por padrão', () => {
+    const [image] = normalizeFsImages([{ partition: 'storage', folder: 'data' }], [{ name: 'storage', subtype: 'fat' }]);
+    assert.equal(image.fsType, 'fat');
+
+    const args = fsImageCommand({ ...BASE, fsType: image.fsType, configs: {} });
+    assert.equal(args[1], '/opt/esp/idf/components/fatfs/wl_fatfsgen.py');
+    assert.deepEqual(args.slice(-2), ['--wl_mode', 'perf']);
+});
+
+test('fat-raw usa o fatfsgen.py sem wear levelling', () => {
+    const args = fsImageCommand({ ...BASE, fsType: 'fat-raw', configs: { CONFIG_FATFS_LFN_HEAP: true } });
+    assert.equal(args[1], '/opt/esp/idf/components/fatfs/fatfsgen.py');
+    assert.ok(args.includes('--long_name_support'));
+    assert.ok(!args.includes('--wl_mode'));
+});
+
+test('setor e modo do wear levelling vêm do sdkconfig', () => {
+    const args = fsImageCommand({
+        ...BASE, fsType: 'fat', configs: { CONFIG_WL_SECTOR_SIZE: 512, CONFIG_WL_SECTOR_MODE_SAFE: true }
+    });
+    assert.equal(args[args.indexOf('--sector_size') + 1], '512');
+    assert.equal(args[args.indexOf('--wl_mode') + 1], 'safe');
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+let tmpDir;
+let idfEnvModule;
+
+// IDF_PATH falso: o export.sh não faz nada, então o bash roda o comando direto
+before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'idf-env-test-'));
+    await fs.writeFile(path.join(tmpDir, 'export.sh'), 'export IDF_ENV_LOADED=1\n');
+    process.env.IDF_PATH = tmpDir;
+    idfEnvModule = await import('../src/idfEnv.js');
+});
+
+after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+function payloads(marker) {
+    return [
+        `esp32; touch ${marker}-semicolon`,
+        `esp32 && touch ${marker}-and`,
+        `$(touch ${marker}-subshell)`,
+        `\`touch ${marker}-backtick\``,
+        '$(id)',
+        '`id`',
+        `esp32 | tee ${marker}-pipe`,
+        `esp32\ntouch ${marker}-newline`,
+        '"; touch /tmp/x; echo "',
+        '$IDF_PATH'
+    ];
+}
+
+test('IDF_ENV_SCRIPT não contém nada além do export.sh e do exec', () => {
+    const { IDF_ENV_SCRIPT } = idfEnvModule;
+    assert.equal(IDF_ENV_SCRIPT, 'source "$IDF_PATH/export.sh" && exec "$@"');
+});
+
+test('idfShellArgs passa o comando como parâmetros posicionais', () => {
+    const { idfShellArgs, IDF_ENV_SCRIPT } = idfEnvModule;
+    const args = ['idf.py', 'set-target', 'esp32; touch /tmp/x'];
+    assert.deepEqual(idfShellArgs(args), ['-c', IDF_ENV_SCRIPT, 'idf-env', ...args]);
+});
+
+test('argumentos maliciosos chegam literais ao comando e nada é executado', async () => {
+    const { idfShellArgs, idfEnv } = idfEnvModule;
+    const marker = path.join(tmpDir, 'pwned');
+    const values = payloads(marker);
+
+    // printf imprime cada argumento recebido entre delimitadores
+    const { stdout } = await execFileAsync('bash', idfShellArgs(['printf', '<%s>', ...values]), {
+        cwd: tmpDir,
+        env: idfEnv()
+    });
+
+    assert.equal(stdout, values.map(value => `<${value}>`).join(''));
+    const created = (await fs.readdir(tmpDir)).filter(name => name.startsWith('pwned'));
+    assert.deepEqual(created, []);
+});
+
+test('o export.sh do IDF_PATH é carregado antes do comando', async () => {
+    const { idfShellArgs, idfEnv } = idfEnvModule;
+    const { stdout } = await execFileAsync('bash', idfShellArgs(['printenv', 'IDF_ENV_LOADED']), { env: idfEnv() });
+    assert.equal(stdout.trim(), '1');
+});
+
+test('diretório de trabalho com metacaracteres não é interpretado', async () => {
+    const { idfShellArgs, idfEnv } = idfEnvModule;
+    const cwd = path.join(tmpDir, '$(touch pwned-cwd)-`touch pwned-cwd-backtick`');
+    await fs.mkdir(cwd);
+
+    const { stdout } = await execFileAsync('bash', idfShellArgs(['pwd']), { cwd, env: idfEnv() });
+    assert.equal(stdout.trim(), cwd);
+    assert.equal(existsSync(path.join(cwd, 'pwned-cwd')), false);
+    assert.equal(existsSync(path.join(cwd, 'pwned-cwd-backtick')), false);
+});
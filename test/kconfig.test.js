@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexKconfigSymbols, resolveConfigChanges, patchSdkconfig } from '../src/kconfig.js';
+
+const MENUS = [
+    {
+        type: 'menu', title: 'Log output', name: null, children: [
+            { type: 'int', name: 'LOG_DEFAULT_LEVEL', title: 'Nível', range: [0, 5] }
+        ]
+    },
+    {
+        type: 'menu', title: 'Enable SPIRAM', name: 'SPIRAM', is_menuconfig: true, children: [
+            { type: 'bool', name: 'SPIRAM_USE_MALLOC', title: 'Usar malloc' }
+        ]
+    }
+];
+
+test('menuconfig com nome entra no índice como bool', () => {
+    const symbols = indexKconfigSymbols(MENUS);
+    assert.equal(symbols.get('SPIRAM').type, 'bool');
+    assert.equal(symbols.has('SPIRAM_USE_MALLOC'), true);
+});
+
+test('menuconfig pode ser ligado e desligado', () => {
+    const on = resolveConfigChanges({ SPIRAM: true }, MENUS);
+    assert.deepEqual(on.errors, []);
+    assert.equal(on.lines.get('SPIRAM'), 'y');
+
+    const off = resolveConfigChanges({ SPIRAM: false }, MENUS);
+    assert.deepEqual(off.errors, []);
+    assert.equal(off.lines.get('SPIRAM'), null);
+
+    const invalid = resolveConfigChanges({ SPIRAM: 'y' }, MENUS);
+    assert.equal(invalid.errors.length, 1);
+});
+
+test('sem árvore de menus, nomes inválidos são rejeitados', () => {
+    const { lines, errors } = resolveConfigChanges({
+        'FOO\nCONFIG_BAR': true,
+        'FOO=y': true,
+        'FOO BAR': true,
+        VALID_NAME: true
+    }, null);
+    assert.deepEqual(errors.map(e => e.name), ['FOO\nCONFIG_BAR', 'FOO=y', 'FOO BAR']);
+    assert.deepEqual([...lines.keys()], ['VALID_NAME']);
+});
+
+test('sem árvore de menus, valores com quebra de linha são rejeitados', () => {
+    const { lines, errors } = resolveConfigChanges({
+        NAME: 'abc\nCONFIG_INJECTED=y',
+        OTHER: 'a\rb',
+        OBJECT: { toString: () => 'y' },
+        NUMBER: 12,
+        TEXT: 'linha "única"'
+    }, null);
+    assert.deepEqual(errors.map(e => e.name), ['NAME', 'OTHER', 'OBJECT']);
+    assert.equal(lines.get('NUMBER'), '12');
+    assert.equal(lines.get('TEXT'), '"linha \\"única\\""');
+
+    const patched = patchSdkconfig('CONFIG_A=y\n', lines);
+    assert.equal(patched.split('\n').filter(line => line.startsWith('CONFIG_')).length, 3);
+});
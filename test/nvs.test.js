@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDeviceCsv, validateDevices } from '../src/nvs.js';
+
+function deviceErrors(csv) {
+    return validateDevices(parseDeviceCsv(csv), []).filter(error => error.field === 'id');
+}
+
+test('identificadores de dispositivo aceitam letras, números, ".", "_" e "-"', () => {
+    assert.deepEqual(deviceErrors('id,serial\nsensor-01,1\nv1.2_b,2\n'), []);
+});
+
+test('identificadores que viram caminhos ou começam com pontuação são recusados', () => {
+    const rejected = ['.', '..', '.hidden', '-opt', '_x'];
+    const errors = deviceErrors(`id,serial\n${rejected.map(id => `${id},1`).join('\n')}\n`);
+    assert.deepEqual(errors.map(error => error.device), rejected);
+});
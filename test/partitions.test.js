@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { presetSdkconfigChanges, validatePartitionTable } from '../src/partitions.js';
+
+function selected(changes, prefix) {
+    return Object.keys(changes).filter(name => name.startsWith(prefix) && changes[name] === true);
+}
+
+test('preset marca um membro de cada choice e desmarca os irmãos', () => {
+    const changes = presetSdkconfigChanges({ flashSize: '8MB', coredump: true });
+
+    assert.deepEqual(selected(changes, 'PARTITION_TABLE_'), ['PARTITION_TABLE_CUSTOM']);
+    assert.equal(changes.PARTITION_TABLE_SINGLE_APP, false);
+    assert.equal(changes.PARTITION_TABLE_TWO_OTA, false);
+    assert.equal(changes.PARTITION_TABLE_CUSTOM_FILENAME, 'partitions.csv');
+
+    assert.deepEqual(selected(changes, 'ESPTOOLPY_FLASHSIZE_'), ['ESPTOOLPY_FLASHSIZE_8MB']);
+    assert.equal(changes.ESPTOOLPY_FLASHSIZE_4MB, false);
+
+    assert.deepEqual(selected(changes, 'ESP_COREDUMP_'), ['ESP_COREDUMP_ENABLE_TO_FLASH']);
+    assert.equal(changes.ESP_COREDUMP_ENABLE_TO_NONE, false);
+});
+
+test('preset sem coredump troca a gravação na flash pela UART', () => {
+    const changes = presetSdkconfigChanges({
+        flashSize: '4MB', coredump: false, configs: { CONFIG_ESP_COREDUMP_ENABLE_TO_FLASH: true }
+    });
+    assert.deepEqual(selected(changes, 'ESP_COREDUMP_'), ['ESP_COREDUMP_ENABLE_TO_UART']);
+    assert.equal(changes.ESP_COREDUMP_ENABLE_TO_FLASH, false);
+    assert.equal(changes.ESP_COREDUMP_ENABLE_TO_NONE, false);
+});
+
+test('preset sem coredump mantém a escolha de UART ou nenhum', () => {
+    for (const configs of [
+        { CONFIG_ESP_COREDUMP_ENABLE_TO_UART: true, CONFIG_ESP_COREDUMP_ENABLE_TO_FLASH: false },
+        { CONFIG_ESP_COREDUMP_ENABLE_TO_NONE: true },
+        {}
+    ]) {
+        const changes = presetSdkconfigChanges({ flashSize: '4MB', coredump: false, configs });
+        assert.deepEqual(Object.keys(changes).filter(name => name.startsWith('ESP_COREDUMP_')), []);
+    }
+});
+
+test('linhas que não são objetos viram erro da linha', () => {
+    const partitions = [
+        { name: 'nvs', type: 'data', subtype: 'nvs', offset: '', size: '0x6000', flags: '' },
+        null,
+        'factory,app,factory,,1M,',
+        ['phy_init'],
+        { name: 'factory', type: 'app', subtype: 'factory', offset: '0x10000', size: '1M', flags: '' }
+    ];
+    const result = validatePartitionTable(partitions, { flashSize: 4 * 1024 * 1024, flashSizeLabel: '4MB' });
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(error => [error.row, error.field]), [[1, null], [2, null], [3, null]]);
+    assert.deepEqual(result.partitions.map(p => p.name), ['nvs', 'factory']);
+});
@@ -0,0 +1,218 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import AdmZip from 'adm-zip';
+
+const SERVER = fileURLToPath(new URL('../src/server.js', import.meta.url));
+const PASSWORD = 'senha-de-teste-123';
+
+// Nomes que, se passassem por um shell, criariam arquivos "pwned-*" no cwd
+const CRAFTED_TARGETS = ['esp32; touch pwned-semicolon', '$(touch pwned-subshell)', '`touch pwned-backtick`', '$(id)'];
+const CRAFTED_DIR = 'blink-$(touch pwned-dir)-`touch pwned-dir-backtick`';
+
+const SEEDED_BUILDS_A = 60;
+const SEEDED_BUILDS_B = 3;
+
+let tmpDir;
+let server;
+let baseUrl;
+let cookie;
+let projectId;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// IDF falso: o export.sh põe no PATH um idf.py que só registra os argumentos
+async function createFakeIdf(idfPath) {
+    await fs.mkdir(path.join(idfPath, 'bin'), { recursive: true });
+    await fs.writeFile(path.join(idfPath, 'export.sh'), 'export PATH="$IDF_PATH/bin:$PATH"\n');
+    await fs.writeFile(
+        path.join(idfPath, 'bin', 'idf.py'),
+        '#!/bin/bash\nprintf \'%s\\n\' "$@" > "$IDF_PATH/idf-args.txt"\n',
+        { mode: 0o755 }
+    );
+}
+
+function craftedProjectZip() {
+    const zip = new AdmZip();
+    zip.addFile(`${CRAFTED_DIR}/CMakeLists.txt`, Buffer.from(
+        'cmake_minimum_required(VERSION 3.16)\n' +
+        'include($ENV{IDF_PATH}/tools/cmake/project.cmake)\n' +
+        'project(`touch pwned-name`; $(touch pwned-name-subshell))\n'
+    ));
+    zip.addFile(`${CRAFTED_DIR}/sdkconfig`, Buffer.from('CONFIG_IDF_TARGET="esp32; touch pwned-sdkconfig"\n'));
+    zip.addFile(`${CRAFTED_DIR}/main/main.c`, Buffer.from('void app_main(void) {}\n'));
+    return zip.toBuffer();
+}
+
+async function api(method, url, body) {
+    const headers = { cookie };
+    if (body && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+    const res = await fetch(baseUrl + url, {
+        method,
+        headers,
+        body: body instanceof FormData ? body : body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+// Arquivos criados por algum payload, em qualquer lugar do diretório de teste
+async function pwnedFiles(dir = tmpDir) {
+    const found = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('pwned')) found.push(path.join(dir, entry.name));
+        if (entry.isDirectory()) found.push(...await pwnedFiles(path.join(dir, entry.name)));
+    }
+    return found;
+}
+
+// Builds antigos de dois projetos, já gravados no registro antes de o servidor subir
+async function seedBuilds(dataDir) {
+    const seeded = [];
+    for (let i = 0; i < SEEDED_BUILDS_A; i++) {
+        seeded.push({ id: `seed-a-${i}`, projectId: 'proj-a', status: 'failed', target: 'esp32', queuedAt: 1000 + i });
+    }
+    for (let i = 0; i < SEEDED_BUILDS_B; i++) {
+        seeded.push({ id: `seed-b-${i}`, projectId: 'proj-b', status: 'failed', target: 'esp32', queuedAt: 500 + i });
+    }
+    await fs.mkdir(dataDir, { recursive: true });
+    await fs.writeFile(path.join(dataDir, 'registry.json'), JSON.stringify({ version: 1, builds: seeded }));
+}
+
+before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-test-'));
+    const idfPath = path.join(tmpDir, 'idf');
+    await createFakeIdf(idfPath);
+    await seedBuilds(path.join(tmpDir, 'data'));
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    server = spawn(process.execPath, [SERVER], {
+        cwd: tmpDir,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            IDF_PATH: idfPath,
+            UPLOAD_DIR: path.join(tmpDir, 'uploads'),
+            BUILD_DIR: path.join(tmpDir, 'builds'),
+            PROJECTS_DIR: path.join(tmpDir, 'projects'),
+            DATA_DIR: path.join(tmpDir, 'data'),
+            ADMIN_USERNAME: 'admin',
+            ADMIN_PASSWORD: PASSWORD
+        },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    let output = '';
+    server.stdout.setEncoding('utf-8');
+    await new Promise((resolve, reject) => {
+        server.once('exit', code => reject(new Error(`Servidor encerrou (código ${code}):\n${output}`)));
+        server.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('rodando em')) resolve();
+        });
+    });
+
+    const login = await fetch(`${baseUrl}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: PASSWORD })
+    });
+    assert.equal(login.status, 200);
+    cookie = login.headers.get('set-cookie').split(';')[0];
+
+    const form = new FormData();
+    form.append('project', new Blob([craftedProjectZip()]), 'blink.zip');
+    const upload = await api('POST', '/api/project/upload', form);
+    assert.equal(upload.status, 200, JSON.stringify(upload.body));
+    projectId = upload.body.project.id;
+});
+
+after(async () => {
+    if (server && server.exitCode === null) {
+        server.kill('SIGTERM');
+        await once(server, 'exit');
+    }
+    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('target do sdkconfig enviado é ignorado quando inválido', async () => {
+    const { body } = await api('GET', `/api/project/${projectId}`);
+    assert.equal(body.target, null);
+});
+
+test('/build recusa target forjado com 400', async () => {
+    for (const target of CRAFTED_TARGETS) {
+        const { status, body } = await api('POST', `/api/project/${projectId}/build`, { target });
+        assert.equal(status, 400, target);
+        assert.match(body.error, /^Target inválido/);
+    }
+});
+
+test('/build recusa build matrix com target forjado com 400', async () => {
+    const { status } = await api('POST', `/api/project/${projectId}/build`, { targets: ['esp32', CRAFTED_TARGETS[0]] });
+    assert.equal(status, 400);
+});
+
+test('/build recusa target que não é string com 400', async () => {
+    const { status } = await api('POST', `/api/project/${projectId}/build`, { target: ['esp32'] });
+    assert.equal(status, 400);
+});
+
+test('/set-target recusa target forjado com 400', async () => {
+    for (const target of CRAFTED_TARGETS) {
+        const { status, body } = await api('POST', `/api/project/${projectId}/set-target`, { target });
+        assert.equal(status, 400, target);
+        assert.match(body.error, /^Target inválido/);
+    }
+});
+
+test('/set-target roda no projeto com nome forjado sem executar nada', async () => {
+    const { status } = await api('POST', `/api/project/${projectId}/set-target`, { target: 'esp32s3' });
+    assert.equal(status, 200);
+
+    let project;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        ({ body: project } = await api('GET', `/api/project/${projectId}`));
+        if (project.target === 'esp32s3') break;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.equal(project.target, 'esp32s3');
+    assert.equal(path.basename(project.path), CRAFTED_DIR);
+
+    const args = await fs.readFile(path.join(tmpDir, 'idf', 'idf-args.txt'), 'utf-8');
+    assert.equal(args, 'set-target\nesp32s3\n');
+    assert.deepEqual(await pwnedFiles(), []);
+});
+
+test('/api/builds filtra por projeto e pagina do mais recente ao mais antigo', async () => {
+    const onlyB = await fetch(`${baseUrl}/api/builds?projectId=proj-b`, { headers: { cookie } });
+    assert.equal(onlyB.headers.get('x-total-count'), String(SEEDED_BUILDS_B));
+    assert.deepEqual((await onlyB.json()).map(b => b.id), ['seed-b-2', 'seed-b-1', 'seed-b-0']);
+
+    // Os builds mais antigos de um projeto continuam acessíveis além da primeira página
+    const lastPage = await fetch(`${baseUrl}/api/builds?projectId=proj-a&limit=20&offset=50`, { headers: { cookie } });
+    assert.equal(lastPage.headers.get('x-total-count'), String(SEEDED_BUILDS_A));
+    const ids = (await lastPage.json()).map(b => b.id);
+    assert.equal(ids.length, 10);
+    assert.equal(ids[0], 'seed-a-9');
+    assert.equal(ids.at(-1), 'seed-a-0');
+});
+
+test('nenhum payload criou arquivos', async () => {
+    assert.deepEqual(await pwnedFiles(), []);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VALID_TARGETS, isValidTarget, invalidTargetMessage } from '../src/targets.js';
+
+test('isValidTarget aceita os targets suportados', () => {
+    for (const target of VALID_TARGETS) {
+        assert.equal(isValidTarget(target), true, target);
+    }
+});
+
+test('isValidTarget rejeita targets forjados', () => {
+    const crafted = [
+        'esp32; touch /tmp/x',
+        'esp32 && id',
+        '$(id)',
+        '`id`',
+        'esp32\n',
+        ' esp32',
+        'ESP32',
+        'esp32s3 ',
+        '../esp32',
+        '',
+        null,
+        undefined,
+        42,
+        ['esp32'],
+        { toString: () => 'esp32' }
+    ];
+    for (const target of crafted) {
+        assert.equal(isValidTarget(target), false, JSON.stringify(String(target)));
+    }
+});
+
+test('invalidTargetMessage lista os targets válidos', () => {
+    const message = invalidTargetMessage();
+    assert.match(message, /^Target inválido/);
+    for (const target of VALID_TARGETS) {
+        assert.ok(message.includes(target), target);
+    }
+});